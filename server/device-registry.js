@@ -0,0 +1,288 @@
+// Enrolled/revoked device keys and enrollment invitations. Devices belong to an account: the
+// first device enrolled on its own starts one, devices enrolled through an invitation join the
+// inviting device's account and rotated keys keep theirs.
+//
+// An invitation moves through pending -> scanned (link opened) -> awaiting_approval (a new device
+// claimed it with its key) -> approved | rejected, and becomes expired if it isn't decided in time.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const { keyFingerprint } = require('./signatures');
+
+const ENROLLMENT_TTL_MS = 10 * 60 * 1000;
+// Decided and expired invitations are kept this long so polling clients can see the outcome
+const ENROLLMENT_RETENTION_MS = 10 * 60 * 1000;
+const ENROLLMENT_FINAL_STATES = ['approved', 'rejected', 'expired'];
+
+// Create a registry, optionally persisted to a JSON file between restarts
+function createDeviceRegistry({ filePath } = {}) {
+  let state = { devices: {}, enrollments: {} };
+
+  if (filePath && fs.existsSync(filePath)) {
+    state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  function save() {
+    if (filePath) {
+      fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+    }
+  }
+
+  function getDevice(publicKey) {
+    return state.devices[publicKey] || null;
+  }
+
+  function findPublicKey(fingerprint) {
+    return Object.keys(state.devices).find(key => keyFingerprint(key) === fingerprint) || null;
+  }
+
+  function findByFingerprint(fingerprint) {
+    const publicKey = findPublicKey(fingerprint);
+    return publicKey ? state.devices[publicKey] : null;
+  }
+
+  // Devices saved before accounts existed get an account of their own on first use
+  function getAccountId(publicKey) {
+    const device = getDevice(publicKey);
+    if (!device) {
+      return null;
+    }
+    if (!device.accountId) {
+      device.accountId = crypto.randomUUID();
+      save();
+    }
+    return device.accountId;
+  }
+
+  function isEnrolled(publicKey) {
+    const device = getDevice(publicKey);
+    return Boolean(device && device.status === 'enrolled');
+  }
+
+  function isRevoked(publicKey) {
+    const device = getDevice(publicKey);
+    return Boolean(device && device.status === 'revoked');
+  }
+
+  function enroll(publicKey, accountId = crypto.randomUUID()) {
+    state.devices[publicKey] = {
+      status: 'enrolled',
+      accountId,
+      label: null,
+      enrolledAt: Date.now(),
+      lastSeen: Date.now()
+    };
+    save();
+    return state.devices[publicKey];
+  }
+
+  function touch(publicKey) {
+    const device = getDevice(publicKey);
+    if (device) {
+      device.lastSeen = Date.now();
+      save();
+    }
+  }
+
+  function revoke(publicKey) {
+    const device = getDevice(publicKey);
+    if (!device) {
+      return false;
+    }
+    device.status = 'revoked';
+    device.revokedAt = Date.now();
+    save();
+    return true;
+  }
+
+  function rename(publicKey, label) {
+    const device = getDevice(publicKey);
+    if (!device) {
+      return false;
+    }
+    device.label = label;
+    save();
+    return true;
+  }
+
+  // Link a WebAuthn credential ({ id, publicKey }) to a device; its token requests may then be assertions
+  function setCredential(publicKey, credential) {
+    const device = getDevice(publicKey);
+    if (!device) {
+      return false;
+    }
+    device.credential = { id: credential.id, publicKey: credential.publicKey, registeredAt: Date.now() };
+    save();
+    return true;
+  }
+
+  // The account's devices, without keys that were rotated out
+  function listDevices(accountId) {
+    return Object.entries(state.devices)
+      .filter(([, device]) => device.accountId === accountId && device.status !== 'rotated')
+      .map(([publicKey, device]) => ({
+        fingerprint: keyFingerprint(publicKey),
+        label: device.label || null,
+        status: device.status,
+        enrolledAt: device.enrolledAt,
+        lastSeen: device.lastSeen,
+        revokedAt: device.revokedAt || null,
+        signing: device.credential ? 'webauthn' : 'webcrypto'
+      }));
+  }
+
+  // An enrolled key can be rotated out. One already rotated to the same successor is accepted too,
+  // unless that successor has itself been rotated out, so a client that didn't see the first
+  // response can send its rotation statement again.
+  function canRotate(previousPublicKey, publicKey) {
+    const previous = getDevice(previousPublicKey);
+    if (!previous) {
+      return false;
+    }
+    if (previous.status === 'enrolled') {
+      return true;
+    }
+    return previous.rotatedTo === publicKey && getDevice(publicKey).status !== 'rotated';
+  }
+
+  // Carry an enrollment over from a rotated-out key to its successor; repeating a rotation is a no-op
+  function rotate(previousPublicKey, publicKey) {
+    const previous = getDevice(previousPublicKey);
+    if (previous.rotatedTo === publicKey) {
+      return;
+    }
+    state.devices[publicKey] = {
+      ...previous,
+      accountId: getAccountId(previousPublicKey),
+      status: 'enrolled',
+      rotatedFrom: previousPublicKey,
+      lastSeen: Date.now()
+    };
+    previous.status = 'rotated';
+    previous.rotatedTo = publicKey;
+    save();
+  }
+
+  // Expire undecided invitations and drop old ones
+  function pruneEnrollments(now = Date.now()) {
+    let changed = false;
+    for (const [enrollmentToken, enrollment] of Object.entries(state.enrollments)) {
+      if (!ENROLLMENT_FINAL_STATES.includes(enrollment.status) && enrollment.expiresAt <= now) {
+        enrollment.status = 'expired';
+        enrollment.updatedAt = enrollment.expiresAt;
+        changed = true;
+      }
+      // Invitations saved before they had a status are dropped once expired
+      if ((enrollment.updatedAt || enrollment.expiresAt) + ENROLLMENT_RETENTION_MS <= now) {
+        delete state.enrollments[enrollmentToken];
+        changed = true;
+      }
+    }
+    if (changed) {
+      save();
+    }
+  }
+
+  // Create an invitation on behalf of an enrolled device
+  function createEnrollment(ownerPublicKey) {
+    pruneEnrollments();
+    const enrollmentToken = crypto.randomBytes(16).toString('base64url');
+    const now = Date.now();
+    state.enrollments[enrollmentToken] = {
+      status: 'pending',
+      ownerPublicKey,
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: now + ENROLLMENT_TTL_MS,
+      candidatePublicKey: null,
+      candidateLabel: null
+    };
+    save();
+    return { enrollmentToken, ...state.enrollments[enrollmentToken] };
+  }
+
+  function getEnrollment(enrollmentToken) {
+    pruneEnrollments();
+    return state.enrollments[enrollmentToken] || null;
+  }
+
+  function updateEnrollment(enrollment, changes) {
+    Object.assign(enrollment, changes, { updatedAt: Date.now() });
+    save();
+  }
+
+  // Record that the invitation link was opened
+  function markEnrollmentScanned(enrollmentToken) {
+    const enrollment = getEnrollment(enrollmentToken);
+    if (enrollment && enrollment.status === 'pending') {
+      updateEnrollment(enrollment, { status: 'scanned' });
+    }
+    return enrollment;
+  }
+
+  // A new device offers its key for an invitation; returns { valid, reason, enrollment }
+  function claimEnrollment(enrollmentToken, publicKey, label = null) {
+    const enrollment = getEnrollment(enrollmentToken);
+    if (!enrollment) {
+      return { valid: false, reason: 'unknown_enrollment' };
+    }
+    if (enrollment.status === 'expired') {
+      return { valid: false, reason: 'enrollment_expired' };
+    }
+    if (!['pending', 'scanned'].includes(enrollment.status)) {
+      return { valid: false, reason: 'enrollment_already_claimed' };
+    }
+    if (publicKey === enrollment.ownerPublicKey || isRevoked(publicKey)) {
+      return { valid: false, reason: 'invalid_enrollment_key' };
+    }
+    updateEnrollment(enrollment, { status: 'awaiting_approval', candidatePublicKey: publicKey, candidateLabel: label });
+    return { valid: true, enrollment };
+  }
+
+  // The owner's decision. Approving enrolls the claiming key on the owner's account; rejecting also
+  // cancels invitations nobody has claimed yet. Returns { valid, reason, enrollment }.
+  function decideEnrollment(enrollmentToken, approved) {
+    const enrollment = getEnrollment(enrollmentToken);
+    if (!enrollment) {
+      return { valid: false, reason: 'unknown_enrollment' };
+    }
+    if (enrollment.status === 'expired') {
+      return { valid: false, reason: 'enrollment_expired' };
+    }
+    if (ENROLLMENT_FINAL_STATES.includes(enrollment.status)
+      || (approved && enrollment.status !== 'awaiting_approval')) {
+      return { valid: false, reason: 'invalid_enrollment_state' };
+    }
+    if (approved) {
+      enroll(enrollment.candidatePublicKey, getAccountId(enrollment.ownerPublicKey));
+      rename(enrollment.candidatePublicKey, enrollment.candidateLabel);
+    }
+    updateEnrollment(enrollment, { status: approved ? 'approved' : 'rejected' });
+    return { valid: true, enrollment };
+  }
+
+  return {
+    getDevice,
+    findPublicKey,
+    findByFingerprint,
+    getAccountId,
+    isEnrolled,
+    isRevoked,
+    enroll,
+    touch,
+    revoke,
+    rename,
+    setCredential,
+    listDevices,
+    canRotate,
+    rotate,
+    createEnrollment,
+    getEnrollment,
+    markEnrollmentScanned,
+    claimEnrollment,
+    decideEnrollment
+  };
+}
+
+module.exports = { createDeviceRegistry };
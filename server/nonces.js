@@ -0,0 +1,52 @@
+// Single-use challenge nonces for /issue-token
+
+const crypto = require('crypto');
+
+// Create a nonce store; each nonce is bound to the origin it was requested for
+function createNonceStore({ ttlSeconds }) {
+  const ttlMs = ttlSeconds * 1000;
+  const nonces = new Map();
+
+  // Used and expired nonces are remembered for one more TTL so reuse is reported as such
+  function prune(now) {
+    for (const [nonce, entry] of nonces) {
+      if (entry.expiresAt + ttlMs <= now) {
+        nonces.delete(nonce);
+      }
+    }
+  }
+
+  // Issue a nonce for an origin; returns the nonce and its expiry in ms
+  function issue(origin) {
+    const now = Date.now();
+    prune(now);
+    const nonce = crypto.randomBytes(24).toString('base64url');
+    const expiresAt = now + ttlMs;
+    nonces.set(nonce, { origin, expiresAt, used: false });
+    return { nonce, expiresAt };
+  }
+
+  // Use up a nonce; returns { valid, reason }
+  function consume(nonce, origin) {
+    const now = Date.now();
+    const entry = typeof nonce === 'string' ? nonces.get(nonce) : null;
+    if (!entry) {
+      return { valid: false, reason: 'unknown_nonce' };
+    }
+    if (entry.used) {
+      return { valid: false, reason: 'nonce_reused' };
+    }
+    entry.used = true;
+    if (entry.expiresAt <= now) {
+      return { valid: false, reason: 'nonce_expired' };
+    }
+    if (entry.origin !== origin) {
+      return { valid: false, reason: 'nonce_origin_mismatch' };
+    }
+    return { valid: true, reason: null };
+  }
+
+  return { issue, consume };
+}
+
+module.exports = { createNonceStore };
@@ -0,0 +1,98 @@
+// Verification of the per-request proof-of-possession (X-Secure-Context-Proof) the extension
+// attaches to site API calls; see walmart/request-proof.js for the format
+
+const crypto = require('crypto');
+
+const { isPublicKeyHex, verifyDeviceSignature, keyFingerprint } = require('./signatures');
+
+const REQUEST_PROOF_TYPE = 'secure-context-pop+jwt';
+
+function decodeJsonPart(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+function sha256Base64Url(data) {
+  return crypto.createHash('sha256').update(data).digest('base64url');
+}
+
+// Origin and path only, as covered by the proof's htu claim; null if url isn't an absolute URL
+function normalizeProofUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  return `${parsed.origin}${parsed.pathname}`;
+}
+
+// Create a verifier that accepts proofs up to maxAgeSeconds old and rejects reused proof ids
+function createRequestProofVerifier({ maxAgeSeconds }) {
+  const seenIds = new Map();
+
+  function rememberId(jti, now) {
+    for (const [id, expiresAt] of seenIds) {
+      if (expiresAt <= now) {
+        seenIds.delete(id);
+      }
+    }
+    if (seenIds.has(jti)) {
+      return false;
+    }
+    seenIds.set(jti, now + maxAgeSeconds * 2000);
+    return true;
+  }
+
+  // Check a proof for a request and the verified claims of the token it carried.
+  // bodyDigest is the base64url SHA-256 of the request body. Returns { valid, reason }.
+  async function verify(proof, { method, url, bodyDigest, token, claims }) {
+    const parts = typeof proof === 'string' ? proof.split('.') : [];
+    if (parts.length !== 3) {
+      return { valid: false, reason: 'malformed_proof' };
+    }
+
+    let header;
+    let payload;
+    try {
+      header = decodeJsonPart(parts[0]);
+      payload = decodeJsonPart(parts[1]);
+    } catch (error) {
+      return { valid: false, reason: 'malformed_proof' };
+    }
+    if (header.typ !== REQUEST_PROOF_TYPE || header.alg !== 'ES256' || !isPublicKeyHex(header.pk)) {
+      return { valid: false, reason: 'unsupported_proof' };
+    }
+
+    // The proof key must be the key the token was issued to
+    if (!claims.cnf || keyFingerprint(header.pk) !== claims.cnf.jkt) {
+      return { valid: false, reason: 'key_mismatch' };
+    }
+    const signature = Buffer.from(parts[2], 'base64url').toString('hex');
+    if (!await verifyDeviceSignature(header.pk, `${parts[0]}.${parts[1]}`, signature)) {
+      return { valid: false, reason: 'invalid_proof_signature' };
+    }
+
+    const now = Date.now();
+    const htu = normalizeProofUrl(url);
+    if (payload.htm !== String(method).toUpperCase() || htu === null || payload.htu !== htu) {
+      return { valid: false, reason: 'request_mismatch' };
+    }
+    if (payload.bdh !== bodyDigest) {
+      return { valid: false, reason: 'body_mismatch' };
+    }
+    if (payload.ath !== sha256Base64Url(token)) {
+      return { valid: false, reason: 'token_mismatch' };
+    }
+    if (typeof payload.iat !== 'number' || Math.abs(now / 1000 - payload.iat) > maxAgeSeconds) {
+      return { valid: false, reason: 'proof_expired' };
+    }
+    if (typeof payload.jti !== 'string' || !rememberId(payload.jti, now)) {
+      return { valid: false, reason: 'proof_reused' };
+    }
+    return { valid: true, reason: null };
+  }
+
+  return { verify };
+}
+
+module.exports = { createRequestProofVerifier, sha256Base64Url };
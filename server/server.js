@@ -0,0 +1,634 @@
+// Reference attestation backend implementing the extension's documented endpoints.
+// Run with `node server/server.js`; configuration comes from environment variables.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { createDeviceRegistry } = require('./device-registry');
+const { createNonceStore } = require('./nonces');
+const { createRequestProofVerifier } = require('./request-proof');
+const { createStepUpCodes, createStepUpAttemptLimiter } = require('./step-up');
+const { createTokenIssuer } = require('./tokens');
+const {
+  isPublicKeyHex,
+  verifyDeviceSignature,
+  isWebAuthnAssertion,
+  verifyWebAuthnAssertion,
+  verifyKeyRotation,
+  keyFingerprint
+} = require('./signatures');
+const { getGeofenceBounds, verifyGeofenceProof } = require('../walmart/zkp');
+const {
+  buildSignedContextPayload,
+  buildSignedStepUpPayload,
+  buildSignedDevicePayload
+} = require('../walmart/canonical');
+
+const DEVICE_LABEL_MAX_LENGTH = 64;
+
+const CONFIG = {
+  port: Number(process.env.PORT || 8787),
+  basePath: '/secure-context',
+  publicUrl: process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 8787}`,
+  minScore: Number(process.env.MIN_SCORE || 0.7),
+  tokenTtlSeconds: Number(process.env.TOKEN_TTL_SECONDS || 30),
+  nonceTtlSeconds: Number(process.env.NONCE_TTL_SECONDS || 60),
+  proofMaxAgeSeconds: Number(process.env.PROOF_MAX_AGE_SECONDS || 60),
+  tokenSecret: process.env.TOKEN_SECRET || crypto.randomBytes(32).toString('hex'),
+  requireEnrollment: process.env.REQUIRE_ENROLLMENT === '1',
+  dataFile: process.env.DATA_FILE || null,
+  storesFile: process.env.STORES_FILE || path.join(__dirname, '..', 'walmart', 'stores.json'),
+  // On unless REQUIRE_GEOFENCE_PROOF=0, e.g. for online-only sites, which have no stores to prove
+  requireGeofenceProof: process.env.REQUIRE_GEOFENCE_PROOF !== '0',
+  // The client computes the consistency score, so without a verified geofence proof it is capped here
+  unprovenMaxScore: Number(process.env.UNPROVEN_MAX_SCORE || 0.7),
+  // Registers compute their store's rotating step-up code from this secret (tools/step-up-code.js)
+  stepUpSecret: process.env.STEP_UP_SECRET || crypto.randomBytes(32).toString('hex'),
+  stepUpMinScore: Number(process.env.STEP_UP_MIN_SCORE || 0.4),
+  stepUpTokenTtlSeconds: Number(process.env.STEP_UP_TOKEN_TTL_SECONDS || 15),
+  // Wrong store codes a device may submit before /step-up locks it out for the rest of the window
+  stepUpMaxFailures: Number(process.env.STEP_UP_MAX_FAILURES || 5),
+  stepUpLockoutSeconds: Number(process.env.STEP_UP_LOCKOUT_SECONDS || 900),
+  // Extension ids allowed as the WebAuthn relying party (comma-separated); unset allows any
+  webauthnRpIds: process.env.WEBAUTHN_RP_IDS ? process.env.WEBAUTHN_RP_IDS.split(',').map(id => id.trim()) : null
+};
+
+// Error carrying an HTTP status and a machine-readable code
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message || code);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Create the request handler; exported so the server can be embedded or scripted
+function createApp(config = CONFIG) {
+  const registry = createDeviceRegistry({ filePath: config.dataFile });
+  const tokens = createTokenIssuer({ secret: config.tokenSecret, ttlSeconds: config.tokenTtlSeconds });
+  const stores = loadStores(config.storesFile);
+  const nonces = createNonceStore({ ttlSeconds: config.nonceTtlSeconds });
+  const requestProofs = createRequestProofVerifier({ maxAgeSeconds: config.proofMaxAgeSeconds });
+  const stepUpCodes = createStepUpCodes({ secret: config.stepUpSecret });
+  const stepUpAttempts = createStepUpAttemptLimiter({
+    maxFailures: config.stepUpMaxFailures,
+    windowSeconds: config.stepUpLockoutSeconds
+  });
+
+  function requirePublicKey(publicKey) {
+    if (!isPublicKeyHex(publicKey)) {
+      throw new HttpError(400, 'invalid_public_key');
+    }
+  }
+
+  // The origin a signed URL belongs to, or null if the URL is malformed
+  function originOf(url) {
+    try {
+      return new URL(url).origin;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Check the signature on a token request. Devices with a registered WebAuthn credential sign with
+  // it (an assertion over the payload's hash) when the ceremony works in the background; otherwise,
+  // like devices without one, with their WebCrypto key. A key that is being rotated in is checked
+  // against the device it replaces, whose credential it inherits.
+  function verifyTokenRequestSignature(publicKey, signedPayload, signature, device = registry.getDevice(publicKey)) {
+    if (device && device.credential && isWebAuthnAssertion(signature)) {
+      return verifyWebAuthnAssertion(device.credential.publicKey, signedPayload, signature, { rpIds: config.webauthnRpIds });
+    }
+    return verifyDeviceSignature(publicKey, signedPayload, signature);
+  }
+
+  // POST /challenge: issue a single-use nonce for a site origin
+  async function issueChallenge(body) {
+    if (typeof body.origin !== 'string' || originOf(body.origin) !== body.origin) {
+      throw new HttpError(400, 'invalid_origin');
+    }
+    return nonces.issue(body.origin);
+  }
+
+  // A store of the site an origin belongs to; a store elsewhere can't vouch for it
+  function requireSiteStore(storeId, origin) {
+    const store = stores.get(storeId);
+    if (!store) {
+      throw new HttpError(400, 'unknown_store');
+    }
+    const { hostname } = new URL(origin);
+    if (hostname !== store.site && !hostname.endsWith(`.${store.site}`)) {
+      throw new HttpError(403, 'store_site_mismatch');
+    }
+    return store;
+  }
+
+  // Consistency scores are a fraction the client claims for its own context
+  function isConsistencyScore(value) {
+    return typeof value === 'number' && value >= 0 && value <= 1;
+  }
+
+  // The score a token request is held to. The backend can't recompute the client's assessment, so
+  // unless a verified geofence proof places the device in one of the site's stores it is capped at
+  // unprovenMaxScore.
+  function boundConsistencyScore(consistencyScore, geofence) {
+    return geofence ? consistencyScore : Math.min(consistencyScore, config.unprovenMaxScore);
+  }
+
+  // Verify a geofence proof against the registered bounds of the store it names, which must be one
+  // of the origin's site
+  async function verifyStoreGeofence(proof, origin, publicKey, contextHash) {
+    const store = requireSiteStore(proof && proof.storeId, origin);
+    const bounds = getGeofenceBounds(store);
+    const matchesRegistry = proof.bounds &&
+      Object.keys(bounds).every(edge => proof.bounds[edge] === bounds[edge]);
+    if (!matchesRegistry) {
+      throw new HttpError(403, 'geofence_mismatch');
+    }
+    const result = await verifyGeofenceProof(proof, { publicKey, contextHash });
+    if (!result.valid) {
+      throw new HttpError(403, 'invalid_geofence_proof', result.reason);
+    }
+    return { storeId: store.storeId, transcript: result.transcript };
+  }
+
+  // A token request's verified geofence proof, or null if it has none and proofs are optional
+  async function verifyRequestGeofence(proof, origin, publicKey, contextHash) {
+    if (proof) {
+      return verifyStoreGeofence(proof, origin, publicKey, contextHash);
+    }
+    if (config.requireGeofenceProof) {
+      throw new HttpError(403, 'geofence_proof_required');
+    }
+    return null;
+  }
+
+  // POST /issue-token: verify the nonce-bound signed context (and geofence proof) and issue a short-lived token
+  async function issueToken(body) {
+    const {
+      contextHash, nonce, origin, url, signature, consistencyScore,
+      publicKey, keyRotation, geofenceProof
+    } = body;
+    requirePublicKey(publicKey);
+    if (typeof contextHash !== 'string' || !isConsistencyScore(consistencyScore)) {
+      throw new HttpError(400, 'invalid_request');
+    }
+    if (typeof origin !== 'string' || originOf(url) !== origin) {
+      throw new HttpError(400, 'invalid_origin');
+    }
+
+    // Nonces are single-use: even a request that fails later can't be replayed
+    const challenge = nonces.consume(nonce, origin);
+    if (!challenge.valid) {
+      throw new HttpError(401, challenge.reason);
+    }
+
+    // A rotation is checked here but only applied once every other check has passed, so a request
+    // that fails leaves the previous key enrolled and the same statement can be sent again
+    if (keyRotation) {
+      const validRotation = keyRotation.publicKey === publicKey
+        && registry.canRotate(keyRotation.previousPublicKey, publicKey)
+        && await verifyKeyRotation(keyRotation);
+      if (!validRotation) {
+        throw new HttpError(403, 'invalid_key_rotation');
+      }
+    }
+
+    const geofence = await verifyRequestGeofence(geofenceProof, origin, publicKey, contextHash);
+    const signedPayload = buildSignedContextPayload({
+      contextHash,
+      nonce,
+      origin,
+      url,
+      geofenceTranscript: geofence ? geofence.transcript : null
+    });
+    const signingDevice = registry.getDevice(publicKey)
+      || (keyRotation ? registry.getDevice(keyRotation.previousPublicKey) : null);
+    if (!await verifyTokenRequestSignature(publicKey, signedPayload, signature, signingDevice)) {
+      throw new HttpError(401, 'invalid_signature');
+    }
+    if (registry.isRevoked(publicKey)) {
+      throw new HttpError(403, 'device_revoked');
+    }
+    // A rotated-in key takes over the previous key's enrollment below
+    if (!keyRotation && !registry.isEnrolled(publicKey)) {
+      if (config.requireEnrollment) {
+        throw new HttpError(403, 'device_not_enrolled');
+      }
+      registry.enroll(publicKey);
+    }
+    const score = boundConsistencyScore(consistencyScore, geofence);
+    if (score < config.minScore) {
+      throw new HttpError(403, 'insufficient_score');
+    }
+
+    if (keyRotation) {
+      registry.rotate(keyRotation.previousPublicKey, publicKey);
+    }
+    registry.touch(publicKey);
+    const claims = {
+      sub: keyFingerprint(publicKey),
+      score,
+      ctx: contextHash,
+      origin,
+      // Binds the token to the device key for per-request proofs
+      cnf: { jkt: keyFingerprint(publicKey) }
+    };
+    if (geofence) {
+      claims.store = geofence.storeId;
+    }
+    const { token, expiresAt } = tokens.issue(claims);
+    return { token, expiresAt, consistencyScore: score };
+  }
+
+  // POST /step-up: a context that scored below minScore (but at least stepUpMinScore), backed by the
+  // store's current register code signed with the device key, gets a reduced-lifetime token. The
+  // score floor is held to the same geofence evidence as /issue-token, and a device that keeps
+  // sending wrong codes is locked out for a while.
+  async function stepUp(body) {
+    const {
+      contextHash, nonce, origin, url, signature, consistencyScore,
+      publicKey, storeId, code, geofenceProof
+    } = body;
+    requirePublicKey(publicKey);
+    if (typeof contextHash !== 'string' || !isConsistencyScore(consistencyScore) || typeof code !== 'string') {
+      throw new HttpError(400, 'invalid_request');
+    }
+    if (typeof origin !== 'string' || originOf(url) !== origin) {
+      throw new HttpError(400, 'invalid_origin');
+    }
+
+    const challenge = nonces.consume(nonce, origin);
+    if (!challenge.valid) {
+      throw new HttpError(401, challenge.reason);
+    }
+
+    const geofence = await verifyRequestGeofence(geofenceProof, origin, publicKey, contextHash);
+    const signedPayload = buildSignedStepUpPayload({
+      contextHash,
+      nonce,
+      origin,
+      url,
+      storeId,
+      code,
+      geofenceTranscript: geofence ? geofence.transcript : null
+    });
+    if (!await verifyTokenRequestSignature(publicKey, signedPayload, signature)) {
+      throw new HttpError(401, 'invalid_signature');
+    }
+    if (registry.isRevoked(publicKey)) {
+      throw new HttpError(403, 'device_revoked');
+    }
+    // Unlike /issue-token, a device is never enrolled by stepping up
+    if (!registry.isEnrolled(publicKey)) {
+      throw new HttpError(403, 'device_not_enrolled');
+    }
+
+    const store = requireSiteStore(storeId, origin);
+    if (geofence && geofence.storeId !== store.storeId) {
+      throw new HttpError(403, 'geofence_mismatch');
+    }
+    const score = boundConsistencyScore(consistencyScore, geofence);
+    if (score < config.stepUpMinScore) {
+      throw new HttpError(403, 'insufficient_score');
+    }
+    if (stepUpAttempts.isLocked(publicKey)) {
+      throw new HttpError(403, 'step_up_locked', 'Too many wrong store codes; try again later');
+    }
+    const result = stepUpCodes.verify(store.storeId, code);
+    if (!result.valid) {
+      stepUpAttempts.recordFailure(publicKey);
+      throw new HttpError(403, 'invalid_step_up_code', result.reason);
+    }
+    stepUpAttempts.reset(publicKey);
+
+    registry.touch(publicKey);
+    const { token, expiresAt } = tokens.issue({
+      sub: keyFingerprint(publicKey),
+      score,
+      ctx: contextHash,
+      origin,
+      cnf: { jkt: keyFingerprint(publicKey) },
+      store: store.storeId,
+      stepUp: true
+    }, { lifetimeSeconds: config.stepUpTokenTtlSeconds });
+    return { token, expiresAt, consistencyScore: score, store: store.storeId, stepUp: true };
+  }
+
+  // Check a token's signature, expiry and that its device is still enrolled
+  function checkToken(token) {
+    const result = tokens.verify(token);
+    if (!result.valid) {
+      return result;
+    }
+    const device = registry.findByFingerprint(result.claims.sub);
+    if (!device || device.status !== 'enrolled') {
+      return { valid: false, reason: 'device_revoked' };
+    }
+    return result;
+  }
+
+  // POST /verify-token: check signature, expiry and that the device is still enrolled
+  async function verifyToken(body) {
+    if (typeof body.token !== 'string') {
+      throw new HttpError(400, 'invalid_request');
+    }
+    const result = checkToken(body.token);
+    if (!result.valid) {
+      return { valid: false, reason: result.reason };
+    }
+    return {
+      valid: true,
+      expiresAt: result.claims.exp * 1000,
+      consistencyScore: result.claims.score,
+      store: result.claims.store || null,
+      stepUp: result.claims.stepUp === true
+    };
+  }
+
+  // POST /verify-request: for site APIs, check a request's token together with its proof-of-possession
+  async function verifyRequest(body) {
+    const { token, proof, method, url, bodyDigest } = body;
+    if (typeof method !== 'string' || typeof url !== 'string' || typeof bodyDigest !== 'string') {
+      throw new HttpError(400, 'invalid_request');
+    }
+    const result = checkToken(token);
+    if (!result.valid) {
+      return { valid: false, reason: result.reason };
+    }
+    const pop = await requestProofs.verify(proof, { method, url, bodyDigest, token, claims: result.claims });
+    if (!pop.valid) {
+      return { valid: false, reason: pop.reason };
+    }
+    return {
+      valid: true,
+      consistencyScore: result.claims.score,
+      store: result.claims.store || null,
+      stepUp: result.claims.stepUp === true
+    };
+  }
+
+  // Check a device-signed request's timestamp and signature. Signatures are only accepted for
+  // proofMaxAgeSeconds; replaying one within that window can only repeat the same change.
+  async function verifySignedDeviceRequest(body, action, params) {
+    const { publicKey, timestamp, signature } = body;
+    requirePublicKey(publicKey);
+    if (typeof timestamp !== 'number' || Math.abs(Date.now() - timestamp) > config.proofMaxAgeSeconds * 1000) {
+      throw new HttpError(401, 'stale_request');
+    }
+    const signedPayload = buildSignedDevicePayload({ action, publicKey, timestamp, params });
+    if (!await verifyDeviceSignature(publicKey, signedPayload, signature)) {
+      throw new HttpError(401, 'invalid_signature');
+    }
+  }
+
+  // Authenticate a device management request signed by an enrolled device and return its account
+  async function authenticateDeviceRequest(body, action, params = {}) {
+    const { publicKey } = body;
+    await verifySignedDeviceRequest(body, action, params);
+    if (registry.isRevoked(publicKey)) {
+      throw new HttpError(403, 'device_revoked');
+    }
+    if (!registry.isEnrolled(publicKey)) {
+      throw new HttpError(403, 'device_not_enrolled');
+    }
+    return registry.getAccountId(publicKey);
+  }
+
+  // A device of the caller's account by fingerprint; other accounts' devices are reported as unknown
+  function requireAccountDevice(accountId, fingerprint) {
+    const publicKey = typeof fingerprint === 'string' ? registry.findPublicKey(fingerprint) : null;
+    const device = publicKey ? registry.getDevice(publicKey) : null;
+    if (!device || device.status === 'rotated' || registry.getAccountId(publicKey) !== accountId) {
+      throw new HttpError(404, 'unknown_device');
+    }
+    return publicKey;
+  }
+
+  // What either side of an enrollment may see: its state and the claiming device's fingerprint
+  function describeEnrollment(enrollment) {
+    return {
+      status: enrollment.status,
+      expiresAt: enrollment.expiresAt,
+      candidate: enrollment.candidatePublicKey
+        ? { fingerprint: keyFingerprint(enrollment.candidatePublicKey), label: enrollment.candidateLabel }
+        : null
+    };
+  }
+
+  function requireEnrollmentResult(result) {
+    if (!result.valid) {
+      const status = { unknown_enrollment: 404, enrollment_expired: 410, invalid_enrollment_key: 403 }[result.reason] || 409;
+      throw new HttpError(status, result.reason);
+    }
+    return describeEnrollment(result.enrollment);
+  }
+
+  // POST /generate-enrollment: an enrolled device invites another device
+  async function generateEnrollment(body) {
+    await authenticateDeviceRequest(body, 'invite');
+    const { enrollmentToken, ...enrollment } = registry.createEnrollment(body.publicKey);
+    return {
+      enrollmentToken,
+      enrollmentUrl: `${config.publicUrl}${config.basePath}/enroll?token=${enrollmentToken}`,
+      ...describeEnrollment(enrollment)
+    };
+  }
+
+  // GET /enroll?token=...: the link in the invitation QR code. The extension on the scanning device
+  // claims the invitation itself; opening the link only tells the inviting device it was scanned.
+  async function openEnrollment(body, query) {
+    const enrollment = registry.markEnrollmentScanned(query.get('token'));
+    if (!enrollment) {
+      throw new HttpError(404, 'unknown_enrollment');
+    }
+    return {
+      ...describeEnrollment(enrollment),
+      message: 'Open the Secure Context Attestation extension on this device to finish enrolling'
+    };
+  }
+
+  // POST /claim-enrollment: a new device offers its key, signed, for the owner to approve
+  async function claimEnrollment(body) {
+    const { enrollmentToken, label = null } = body;
+    await verifySignedDeviceRequest(body, 'claim', { enrollmentToken, label });
+    if (label !== null && (typeof label !== 'string' || label.length > DEVICE_LABEL_MAX_LENGTH)) {
+      throw new HttpError(400, 'invalid_label');
+    }
+    return requireEnrollmentResult(registry.claimEnrollment(enrollmentToken, body.publicKey, label));
+  }
+
+  // POST /enrollment-status: polled by both devices; knowing the token is enough to see its state
+  async function enrollmentStatus(body) {
+    const enrollment = registry.getEnrollment(body.enrollmentToken);
+    if (!enrollment) {
+      throw new HttpError(404, 'unknown_enrollment');
+    }
+    return describeEnrollment(enrollment);
+  }
+
+  // POST /approve-enrollment: the inviting account approves or rejects the claiming device
+  async function approveEnrollment(body) {
+    const { enrollmentToken, approve } = body;
+    const accountId = await authenticateDeviceRequest(body, 'approve', { enrollmentToken, approve });
+    const enrollment = registry.getEnrollment(enrollmentToken);
+    if (!enrollment || registry.getAccountId(enrollment.ownerPublicKey) !== accountId) {
+      throw new HttpError(404, 'unknown_enrollment');
+    }
+    return requireEnrollmentResult(registry.decideEnrollment(enrollmentToken, approve === true));
+  }
+
+  // POST /list-devices: the devices enrolled on the caller's account
+  async function listDevices(body) {
+    const accountId = await authenticateDeviceRequest(body, 'list');
+    const current = keyFingerprint(body.publicKey);
+    return {
+      devices: registry.listDevices(accountId).map(device => ({ ...device, current: device.fingerprint === current }))
+    };
+  }
+
+  // POST /rename-device: label one of the account's devices
+  async function renameDevice(body) {
+    const { fingerprint, label } = body;
+    const accountId = await authenticateDeviceRequest(body, 'rename', { fingerprint, label });
+    if (typeof label !== 'string' || !label.trim() || label.trim().length > DEVICE_LABEL_MAX_LENGTH) {
+      throw new HttpError(400, 'invalid_label');
+    }
+    registry.rename(requireAccountDevice(accountId, fingerprint), label.trim());
+    return { renamed: true };
+  }
+
+  // POST /revoke-device: revoke one of the account's devices (the caller itself when no fingerprint is given)
+  async function revokeDevice(body) {
+    const fingerprint = body.fingerprint || null;
+    const accountId = await authenticateDeviceRequest(body, 'revoke', { fingerprint });
+    const publicKey = fingerprint ? requireAccountDevice(accountId, fingerprint) : body.publicKey;
+    registry.revoke(publicKey);
+    return { revoked: true, current: publicKey === body.publicKey };
+  }
+
+  // POST /register-credential: link a WebAuthn credential to the calling device. The request is
+  // signed by the device key and carries an assertion by the credential over the same payload, so
+  // both keys are proven. A device's credential can't be replaced; a new one needs a new device key.
+  async function registerCredential(body) {
+    const { credentialId, credentialPublicKey, assertion } = body;
+    const params = { credentialId, credentialPublicKey };
+    await authenticateDeviceRequest(body, 'register-credential', params);
+    if (typeof credentialId !== 'string' || !credentialId || !isPublicKeyHex(credentialPublicKey)
+        || !isWebAuthnAssertion(assertion)) {
+      throw new HttpError(400, 'invalid_request');
+    }
+    if (registry.getDevice(body.publicKey).credential) {
+      throw new HttpError(409, 'credential_already_registered');
+    }
+    const signedPayload = buildSignedDevicePayload({
+      action: 'register-credential',
+      publicKey: body.publicKey,
+      timestamp: body.timestamp,
+      params
+    });
+    if (!verifyWebAuthnAssertion(credentialPublicKey, signedPayload, assertion, { rpIds: config.webauthnRpIds })) {
+      throw new HttpError(401, 'invalid_assertion');
+    }
+    registry.setCredential(body.publicKey, { id: credentialId, publicKey: credentialPublicKey });
+    return { registered: true };
+  }
+
+  const routes = {
+    'POST /challenge': issueChallenge,
+    'POST /issue-token': issueToken,
+    'POST /step-up': stepUp,
+    'POST /verify-token': verifyToken,
+    'POST /verify-request': verifyRequest,
+    'POST /generate-enrollment': generateEnrollment,
+    'GET /enroll': openEnrollment,
+    'POST /claim-enrollment': claimEnrollment,
+    'POST /enrollment-status': enrollmentStatus,
+    'POST /approve-enrollment': approveEnrollment,
+    'POST /list-devices': listDevices,
+    'POST /rename-device': renameDevice,
+    'POST /revoke-device': revokeDevice,
+    'POST /register-credential': registerCredential
+  };
+
+  return async function handleRequest(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const { pathname, searchParams } = new URL(req.url, config.publicUrl);
+    const route = pathname.startsWith(config.basePath)
+      ? routes[`${req.method} ${pathname.slice(config.basePath.length)}`]
+      : null;
+
+    try {
+      if (!route) {
+        throw new HttpError(404, 'not_found');
+      }
+      const result = await route(await readJsonBody(req), searchParams);
+      sendJson(res, 200, result);
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) {
+        console.error(error);
+      }
+      sendJson(res, status, { error: error.code || 'internal_error', message: error.message });
+    }
+  };
+}
+
+// Load the store registry (stores.json) the geofence proofs are checked against, keyed by storeId
+function loadStores(filePath) {
+  const { stores } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return new Map(stores.map(store => [store.storeId, store]));
+}
+
+// Read and parse a JSON object request body
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      data += chunk;
+      if (data.length > 1e6) {
+        reject(new HttpError(413, 'payload_too_large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      let body;
+      try {
+        body = data ? JSON.parse(data) : {};
+      } catch (error) {
+        reject(new HttpError(400, 'invalid_json'));
+        return;
+      }
+      // Every route takes an object; null, arrays and bare values are malformed requests
+      if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        reject(new HttpError(400, 'invalid_request'));
+        return;
+      }
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+if (require.main === module) {
+  http.createServer(createApp()).listen(CONFIG.port, () => {
+    console.log(`Reference attestation backend listening on ${CONFIG.publicUrl}${CONFIG.basePath}`);
+  });
+}
+
+module.exports = { createApp, HttpError, CONFIG };
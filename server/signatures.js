@@ -0,0 +1,151 @@
+// Verification of device signatures: the extension's signData() over its WebCrypto key, and WebAuthn
+// assertions from a device's platform authenticator credential (walmart/device-credential.js)
+
+const crypto = require('crypto');
+
+const { webcrypto } = crypto;
+
+const ECDSA_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_PARAMS = { name: 'ECDSA', hash: { name: 'SHA-256' } };
+// Authenticator data flag: the user was present (touched or was otherwise asked by the authenticator)
+const WEBAUTHN_FLAG_USER_PRESENT = 0x01;
+// Extension documents have the origin chrome-extension://<id>; the extension id is their RP id
+const EXTENSION_ORIGIN_PATTERN = /^chrome-extension:\/\/([a-p]{32})$/;
+
+// A hex-encoded uncompressed P-256 point as a KeyObject; throws for points off the curve
+function createEcPublicKey(publicKeyHex) {
+  const point = Buffer.from(publicKeyHex, 'hex');
+  return crypto.createPublicKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: point.subarray(1, 33).toString('base64url'),
+      y: point.subarray(33).toString('base64url')
+    },
+    format: 'jwk'
+  });
+}
+
+// Public keys are hex-encoded uncompressed P-256 points (0x04 || X || Y) that lie on the curve
+function isPublicKeyHex(value) {
+  if (typeof value !== 'string' || !/^04[0-9a-f]{128}$/i.test(value)) {
+    return false;
+  }
+  try {
+    createEcPublicKey(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Import a hex-encoded raw public key for verification
+function importPublicKey(publicKeyHex) {
+  if (!isPublicKeyHex(publicKeyHex)) {
+    throw new Error('Malformed public key');
+  }
+  return webcrypto.subtle.importKey(
+    'raw',
+    Buffer.from(publicKeyHex, 'hex'),
+    ECDSA_PARAMS,
+    false,
+    ['verify']
+  );
+}
+
+// Verify a hex-encoded IEEE P1363 ECDSA signature over a UTF-8 string
+async function verifyDeviceSignature(publicKeyHex, data, signatureHex) {
+  if (typeof signatureHex !== 'string' || !/^[0-9a-f]{128}$/i.test(signatureHex)) {
+    return false;
+  }
+  let publicKey;
+  try {
+    publicKey = await importPublicKey(publicKeyHex);
+  } catch (error) {
+    return false;
+  }
+  return webcrypto.subtle.verify(
+    SIGN_PARAMS,
+    publicKey,
+    Buffer.from(signatureHex, 'hex'),
+    Buffer.from(data, 'utf8')
+  );
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest();
+}
+
+function isWebAuthnAssertion(value) {
+  return Boolean(value) && typeof value === 'object'
+    && ['authenticatorData', 'clientDataJSON', 'signature'].every(field => typeof value[field] === 'string');
+}
+
+// Verify a WebAuthn assertion whose challenge is the SHA-256 of a UTF-8 string. The assertion's
+// fields are base64url; the signature is a DER ECDSA signature over authenticatorData and the hash
+// of clientDataJSON. rpIds optionally limits which extension ids may have produced it.
+function verifyWebAuthnAssertion(publicKeyHex, data, assertion, { rpIds = null } = {}) {
+  if (!isPublicKeyHex(publicKeyHex) || !isWebAuthnAssertion(assertion)) {
+    return false;
+  }
+  const clientDataJSON = Buffer.from(assertion.clientDataJSON, 'base64url');
+  let clientData;
+  try {
+    clientData = JSON.parse(clientDataJSON.toString('utf8'));
+  } catch (error) {
+    return false;
+  }
+  if (clientData.type !== 'webauthn.get' || clientData.challenge !== sha256(Buffer.from(data, 'utf8')).toString('base64url')) {
+    return false;
+  }
+  const origin = EXTENSION_ORIGIN_PATTERN.exec(typeof clientData.origin === 'string' ? clientData.origin : '');
+  const rpId = origin ? origin[1] : null;
+  if (!rpId || (rpIds && !rpIds.includes(rpId))) {
+    return false;
+  }
+
+  // rpIdHash (32 bytes), flags (1), signCount (4)
+  const authenticatorData = Buffer.from(assertion.authenticatorData, 'base64url');
+  if (authenticatorData.length < 37 || !authenticatorData.subarray(0, 32).equals(sha256(rpId))
+      || !(authenticatorData[32] & WEBAUTHN_FLAG_USER_PRESENT)) {
+    return false;
+  }
+
+  try {
+    return crypto.verify(
+      'sha256',
+      Buffer.concat([authenticatorData, sha256(clientDataJSON)]),
+      { key: createEcPublicKey(publicKeyHex), dsaEncoding: 'der' },
+      Buffer.from(assertion.signature, 'base64url')
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+// Verify a key rotation statement: the previous key signs "<previous>:<new>:<rotatedAt>"
+function verifyKeyRotation(rotation) {
+  if (!rotation || !isPublicKeyHex(rotation.previousPublicKey) || !isPublicKeyHex(rotation.publicKey)) {
+    return Promise.resolve(false);
+  }
+  const statement = `${rotation.previousPublicKey}:${rotation.publicKey}:${rotation.rotatedAt}`;
+  return verifyDeviceSignature(rotation.previousPublicKey, statement, rotation.signature);
+}
+
+// Short, stable identifier for a public key
+function keyFingerprint(publicKeyHex) {
+  return crypto
+    .createHash('sha256')
+    .update(Buffer.from(publicKeyHex, 'hex'))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+module.exports = {
+  isPublicKeyHex,
+  verifyDeviceSignature,
+  isWebAuthnAssertion,
+  verifyWebAuthnAssertion,
+  verifyKeyRotation,
+  keyFingerprint
+};
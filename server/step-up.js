@@ -0,0 +1,95 @@
+// Rotating store codes for step-up verification. Each store's registers show a code that changes
+// every stepSeconds (the in-store QR code carries the same code); a device that fails the score
+// threshold can submit it to /step-up for a reduced-lifetime token.
+//
+// Codes are HOTP values (RFC 4226 dynamic truncation over HMAC-SHA256) of the time step, keyed per
+// store from one secret, so registers can compute them offline from their store's key.
+
+const crypto = require('crypto');
+
+// In-store QR codes encode securecontext://step-up?store=<storeId>&code=<code>
+const STEP_UP_QR_PREFIX = 'securecontext://step-up';
+
+function createStepUpCodes({ secret, stepSeconds = 30, digits = 6, driftSteps = 1 }) {
+  function storeKey(storeId) {
+    return crypto.createHmac('sha256', secret).update(`step-up:${storeId}`).digest();
+  }
+
+  function codeForStep(storeId, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const mac = crypto.createHmac('sha256', storeKey(storeId)).update(counter).digest();
+    const offset = mac[mac.length - 1] & 0x0f;
+    const value = mac.readUInt32BE(offset) & 0x7fffffff;
+    return String(value % 10 ** digits).padStart(digits, '0');
+  }
+
+  function currentStep(now) {
+    return Math.floor(now / 1000 / stepSeconds);
+  }
+
+  // The code a store's registers show now and when it rotates
+  function current(storeId, now = Date.now()) {
+    const step = currentStep(now);
+    return { code: codeForStep(storeId, step), rotatesAt: (step + 1) * stepSeconds * 1000 };
+  }
+
+  // Accept the current code or one up to driftSteps old (the shopper may have read it just before it
+  // rotated); returns { valid, reason }
+  function verify(storeId, code, now = Date.now()) {
+    if (typeof code !== 'string' || !new RegExp(`^\\d{${digits}}$`).test(code)) {
+      return { valid: false, reason: 'malformed_code' };
+    }
+    const step = currentStep(now);
+    for (let drift = 0; drift <= driftSteps; drift++) {
+      const expected = Buffer.from(codeForStep(storeId, step - drift));
+      if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+        return { valid: true, reason: null };
+      }
+    }
+    return { valid: false, reason: 'invalid_code' };
+  }
+
+  // Text of the store's in-store QR code right now
+  function qrText(storeId, now = Date.now()) {
+    return `${STEP_UP_QR_PREFIX}?store=${encodeURIComponent(storeId)}&code=${current(storeId, now).code}`;
+  }
+
+  return { current, verify, qrText };
+}
+
+// Wrong step-up codes per device. A device that sends maxFailures wrong codes is locked out until
+// windowSeconds after its first one; a correct code clears its count.
+function createStepUpAttemptLimiter({ maxFailures, windowSeconds }) {
+  const windowMs = windowSeconds * 1000;
+  // { failures, windowStart } by device public key
+  const attempts = new Map();
+
+  function getAttempts(publicKey, now) {
+    const entry = attempts.get(publicKey);
+    if (entry && entry.windowStart + windowMs <= now) {
+      attempts.delete(publicKey);
+      return null;
+    }
+    return entry || null;
+  }
+
+  function isLocked(publicKey, now = Date.now()) {
+    const entry = getAttempts(publicKey, now);
+    return Boolean(entry) && entry.failures >= maxFailures;
+  }
+
+  function recordFailure(publicKey, now = Date.now()) {
+    const entry = getAttempts(publicKey, now) || { failures: 0, windowStart: now };
+    entry.failures += 1;
+    attempts.set(publicKey, entry);
+  }
+
+  function reset(publicKey) {
+    attempts.delete(publicKey);
+  }
+
+  return { isLocked, recordFailure, reset };
+}
+
+module.exports = { createStepUpCodes, createStepUpAttemptLimiter, STEP_UP_QR_PREFIX };
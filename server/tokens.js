@@ -0,0 +1,64 @@
+// Short-lived HS256 JWT context tokens
+
+const crypto = require('crypto');
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+// Create a token signer bound to a secret and lifetime
+function createTokenIssuer({ secret, ttlSeconds }) {
+  function sign(encodedHeader, encodedPayload) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${encodedHeader}.${encodedPayload}`)
+      .digest('base64url');
+  }
+
+  // Issue a token for a device, optionally with a shorter lifetime; returns the token and its expiry in ms
+  function issue(claims, { lifetimeSeconds = ttlSeconds } = {}) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const payload = {
+      iss: 'secure-context-reference',
+      iat: issuedAt,
+      exp: issuedAt + lifetimeSeconds,
+      jti: crypto.randomBytes(12).toString('base64url'),
+      ...claims
+    };
+    const encodedHeader = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const encodedPayload = base64url(JSON.stringify(payload));
+    return {
+      token: `${encodedHeader}.${encodedPayload}.${sign(encodedHeader, encodedPayload)}`,
+      expiresAt: payload.exp * 1000,
+      claims: payload
+    };
+  }
+
+  // Check signature and expiry; returns { valid, claims, reason }
+  function verify(token) {
+    if (typeof token !== 'string' || token.split('.').length !== 3) {
+      return { valid: false, reason: 'malformed_token' };
+    }
+    const [encodedHeader, encodedPayload, signature] = token.split('.');
+    const expected = Buffer.from(sign(encodedHeader, encodedPayload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { valid: false, reason: 'bad_signature' };
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return { valid: false, reason: 'malformed_token' };
+    }
+    if (claims.exp * 1000 <= Date.now()) {
+      return { valid: false, reason: 'token_expired', claims };
+    }
+    return { valid: true, claims };
+  }
+
+  return { issue, verify };
+}
+
+module.exports = { createTokenIssuer };
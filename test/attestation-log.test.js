@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { webcrypto } = require('crypto');
+const { loadExtensionScripts, toPlain } = require('./helpers/extension-scripts');
+
+const SIGN_PARAMS = { name: 'ECDSA', hash: { name: 'SHA-256' } };
+
+const toHex = buffer => Buffer.from(buffer).toString('hex');
+
+// The attestation log over an in-memory chrome.storage.local
+function loadAttestationLogScripts() {
+  const stored = {};
+  const chrome = {
+    storage: {
+      local: {
+        get: async keys => Object.fromEntries(keys.filter(key => key in stored).map(key => [key, stored[key]])),
+        set: async items => Object.assign(stored, JSON.parse(JSON.stringify(items)))
+      }
+    }
+  };
+  return loadExtensionScripts(['canonical.js', 'attestation-log.js'], { chrome });
+}
+
+// A device key as appendAttestation() is given it, optionally rotated in from `previous` the way
+// rotateDeviceKey() vouches for a new key
+async function createSigner(previous = null) {
+  const keyPair = await webcrypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign', 'verify']);
+  const publicKey = toHex(await webcrypto.subtle.exportKey('raw', keyPair.publicKey));
+  const sign = async text => toHex(await webcrypto.subtle.sign(SIGN_PARAMS, keyPair.privateKey, new TextEncoder().encode(text)));
+  let rotation = null;
+  if (previous) {
+    const rotatedAt = Date.now();
+    rotation = {
+      previousPublicKey: previous.publicKey,
+      publicKey,
+      rotatedAt,
+      signature: await previous.sign(`${previous.publicKey}:${publicKey}:${rotatedAt}`)
+    };
+  }
+  return { publicKey, rotation, sign };
+}
+
+const record = { site: 'walmart.com', outcome: 'verified' };
+
+// Re-sign the log from `fromIndex` on with `signer`, as someone rewriting it would
+async function resign(context, entries, fromIndex, signer) {
+  const rewritten = entries.slice();
+  for (let i = fromIndex; i < rewritten.length; i++) {
+    const entry = { ...rewritten[i], publicKey: signer.publicKey, prevHash: i > 0 ? rewritten[i - 1].hash : rewritten[i].prevHash };
+    entry.hash = await context.hashAttestationEntry(entry);
+    entry.signature = await signer.sign(entry.hash);
+    rewritten[i] = entry;
+  }
+  return rewritten;
+}
+
+test('a log carried across a key rotation verifies', async () => {
+  const context = loadAttestationLogScripts();
+  const first = await createSigner();
+  const second = await createSigner(first);
+  await context.appendAttestation(record, first);
+  await context.appendAttestation(record, second);
+  await context.appendAttestation(record, second);
+
+  const { entries, base } = await context.loadAttestationLog();
+  assert.strictEqual(base.publicKey, first.publicKey);
+  assert.strictEqual(entries[0].keyRotation, null);
+  assert.strictEqual(entries[1].keyRotation.publicKey, second.publicKey);
+  const result = await context.verifyAttestationLog(entries, base, { trustedKeys: [first.publicKey] });
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.checked, 3);
+});
+
+test('edited and reordered entries are reported', async () => {
+  const context = loadAttestationLogScripts();
+  const signer = await createSigner();
+  for (let i = 0; i < 3; i++) {
+    await context.appendAttestation(record, signer);
+  }
+  const { entries, base } = await context.loadAttestationLog();
+
+  const edited = entries.map((entry, i) => (i === 1 ? { ...entry, outcome: 'rejected' } : entry));
+  assert.deepStrictEqual(toPlain((await context.verifyAttestationLog(edited, base)).problems), [
+    { seq: 1, problem: 'contents were edited' }
+  ]);
+  const reordered = [entries[0], entries[2], entries[1]];
+  assert.strictEqual((await context.verifyAttestationLog(reordered, base)).valid, false);
+});
+
+test('a log re-signed under another key from some point on is reported', async () => {
+  const context = loadAttestationLogScripts();
+  const signer = await createSigner();
+  for (let i = 0; i < 3; i++) {
+    await context.appendAttestation(record, signer);
+  }
+  const { entries, base } = await context.loadAttestationLog();
+  const forged = await resign(context, entries, 1, await createSigner());
+
+  const result = await context.verifyAttestationLog(forged, base);
+  assert.deepStrictEqual(toPlain(result.problems), [
+    { seq: 1, problem: 'changes signing key without a rotation statement' }
+  ]);
+});
+
+test('a log re-signed entirely, base included, only verifies without trusted keys', async () => {
+  const context = loadAttestationLogScripts();
+  const signer = await createSigner();
+  await context.appendAttestation(record, signer);
+  await context.appendAttestation(record, signer);
+  const { entries, base } = await context.loadAttestationLog();
+  const attacker = await createSigner();
+  const forged = await resign(context, entries, 0, attacker);
+  const forgedBase = { ...base, publicKey: attacker.publicKey };
+
+  const unchecked = await context.verifyAttestationLog(forged, forgedBase);
+  assert.strictEqual(unchecked.valid, true);
+  assert.strictEqual(unchecked.startKey, attacker.publicKey);
+  const checked = await context.verifyAttestationLog(forged, forgedBase, { trustedKeys: [signer.publicKey] });
+  assert.strictEqual(checked.valid, false);
+  assert.strictEqual(checked.problems[0].problem, 'starts from a key that is not a trusted device key');
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtensionScripts } = require('./helpers/extension-scripts');
+
+const DEVICE = 'device-1';
+
+// The context history over an in-memory chrome.storage.local
+function loadContextHistoryScripts() {
+  const stored = {};
+  const chrome = {
+    storage: {
+      local: {
+        get: async key => (key in stored ? { [key]: JSON.parse(JSON.stringify(stored[key])) } : {}),
+        set: async items => Object.assign(stored, JSON.parse(JSON.stringify(items)))
+      }
+    }
+  };
+  return loadExtensionScripts(['geofence.js', 'context-history.js'], { chrome });
+}
+
+const {
+  evaluateTravelPlausibility,
+  evaluateCoordinateReplay,
+  evaluateClockConsistency
+} = loadContextHistoryScripts();
+
+// A snapshot collected `at` ms with a fix at the given coordinates
+function snapshot(at, lat, lng, accuracy = 10) {
+  return { timestamp: at, location: { lat, lng, accuracy, timestamp: at } };
+}
+
+function historyOf(...snapshots) {
+  return snapshots.map(({ timestamp, location }) => ({
+    lat: location.lat,
+    lng: location.lng,
+    accuracy: location.accuracy,
+    fixTime: location.timestamp,
+    collectedAt: timestamp
+  }));
+}
+
+test('travel faster than any shopper is flagged', () => {
+  // About 11 km in a minute
+  const result = evaluateTravelPlausibility(snapshot(60000, 36.47, -94.21), historyOf(snapshot(0, 36.37, -94.21)));
+  assert.strictEqual(result.score, 0);
+  assert.strictEqual(result.anomaly.type, 'impossible_travel');
+});
+
+test('walking pace and jitter within the fixes\' accuracy are plausible', () => {
+  // About 111 m in two minutes
+  assert.strictEqual(evaluateTravelPlausibility(snapshot(120000, 36.371, -94.21), historyOf(snapshot(0, 36.37, -94.21))).score, 1);
+  // About 50 m apart with 30 m fixes
+  const jitter = evaluateTravelPlausibility(snapshot(1000, 36.37045, -94.21, 30), historyOf(snapshot(0, 36.37, -94.21, 30)));
+  assert.strictEqual(jitter.score, 1);
+  assert.strictEqual(jitter.anomaly, undefined);
+});
+
+test('coordinates repeated exactly across samples are flagged', () => {
+  const earlier = historyOf(snapshot(0, 36.3712345, -94.2112345), snapshot(1000, 36.3712345, -94.2112345));
+  const repeated = evaluateCoordinateReplay(snapshot(2000, 36.3712345, -94.2112345), earlier);
+  assert.strictEqual(repeated.score, 0);
+  assert.strictEqual(repeated.anomaly.matches, 2);
+  assert.strictEqual(evaluateCoordinateReplay(snapshot(2000, 36.3712345, -94.2112345), earlier.slice(0, 1)).score, 0.5);
+  assert.strictEqual(evaluateCoordinateReplay(snapshot(2000, 36.3712346, -94.2112345), earlier).score, 1);
+});
+
+test('timestamps that go backwards are flagged', () => {
+  const earlier = historyOf(snapshot(5000, 36.37, -94.21));
+  const result = evaluateClockConsistency(snapshot(4000, 36.37, -94.21), earlier);
+  assert.strictEqual(result.score, 0);
+  assert.strictEqual(result.anomaly.type, 'clock_regression');
+  assert.strictEqual(evaluateClockConsistency(snapshot(6000, 36.37, -94.21), earlier).score, 1);
+});
+
+test('the evaluators abstain without history', () => {
+  const current = snapshot(0, 36.37, -94.21);
+  assert.strictEqual(evaluateTravelPlausibility(current, []), null);
+  assert.strictEqual(evaluateCoordinateReplay(current, []), null);
+  assert.strictEqual(evaluateClockConsistency(current, []), null);
+});
+
+test('the history keeps the latest samples per device', async () => {
+  const context = loadContextHistoryScripts();
+  const now = Date.now();
+  for (let i = 0; i < 25; i++) {
+    await context.recordContextSnapshot(DEVICE, snapshot(now + i, 36.37, -94.21));
+  }
+  await context.recordContextSnapshot('device-2', snapshot(now, 36.37, -94.21));
+
+  const history = await context.loadContextHistory(DEVICE);
+  assert.strictEqual(history.length, 20);
+  assert.strictEqual(history[19].collectedAt, now + 24);
+  assert.strictEqual((await context.loadContextHistory('device-2')).length, 1);
+});
+
+test('concurrent snapshots are all kept', async () => {
+  const context = loadContextHistoryScripts();
+  const now = Date.now();
+  await Promise.all([0, 1, 2].map(i => context.recordContextSnapshot(DEVICE, snapshot(now + i, 36.37, -94.21))));
+  assert.strictEqual((await context.loadContextHistory(DEVICE)).length, 3);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadExtensionScripts } = require('./helpers/extension-scripts');
+
+const FIXTURES = path.join(__dirname, '..', 'tools', 'companion-host', 'fixtures');
+
+const { evaluateNetworkConsistency, evaluateBeaconConsistency } = loadExtensionScripts(['context-scoring.js']);
+const { stores } = require('../walmart/stores.json');
+const { fingerprint } = stores.find(store => store.storeId === 'walmart-100');
+
+const inside = { store_id: 'walmart-100', distance: 0 };
+const nearby = { store_id: 'walmart-100', distance: 40 };
+
+// The first scan of a companion host fixture
+function fixtureScan(name) {
+  return require(path.join(FIXTURES, `${name}.json`)).scans[0];
+}
+
+test('a scan inside the store matches its surveyed fingerprint', () => {
+  const { wifi, ble } = fixtureScan('walmart-100');
+  const network = evaluateNetworkConsistency(wifi, fingerprint.wifi, inside);
+  assert.ok(network.score > 0.8);
+  assert.strictEqual(network.reason, '4 of 4 access points of walmart-100 seen');
+  assert.strictEqual(network.anomaly, undefined);
+
+  const beacon = evaluateBeaconConsistency(ble, fingerprint.beacons, inside);
+  assert.ok(beacon.score > 0.8);
+  assert.strictEqual(beacon.reason, '2 of 2 beacons of walmart-100 seen');
+});
+
+test('emitters count less the further their strength is from the survey, and missing ones not at all', () => {
+  const expected = [{ bssid: 'AA:00:00:00:00:01', rssi: -50 }, { bssid: 'aa:00:00:00:00:02', rssi: -60 }];
+  const exact = evaluateNetworkConsistency({ networks: [{ bssid: 'aa:00:00:00:00:01', rssi: -50 }] }, expected, nearby);
+  assert.strictEqual(exact.score, 0.5);
+  const weaker = evaluateNetworkConsistency({ networks: [{ bssid: 'aa:00:00:00:00:01', rssi: -65 }] }, expected, nearby);
+  assert.strictEqual(weaker.score, 0.25);
+  const tooWeak = evaluateNetworkConsistency({ networks: [{ bssid: 'aa:00:00:00:00:01', rssi: -90 }] }, expected, nearby);
+  assert.strictEqual(tooWeak.score, 0);
+});
+
+test('a scan showing none of the store\'s emitters from inside it is an anomaly', () => {
+  const { wifi, ble } = fixtureScan('outside-store');
+  const network = evaluateNetworkConsistency(wifi, fingerprint.wifi, inside);
+  assert.strictEqual(network.score, 0);
+  assert.strictEqual(network.anomaly.type, 'fingerprint_mismatch');
+  assert.strictEqual(network.anomaly.evaluator, 'network');
+  // Outside the store it only scores low, and an empty scan is no evidence either way
+  assert.strictEqual(evaluateNetworkConsistency(wifi, fingerprint.wifi, nearby).anomaly, undefined);
+  assert.strictEqual(evaluateBeaconConsistency(ble, fingerprint.beacons, inside).anomaly, undefined);
+});
+
+test('radio evaluators abstain without a scan or a fingerprint', () => {
+  const { wifi } = fixtureScan('walmart-100');
+  assert.strictEqual(evaluateNetworkConsistency(null, fingerprint.wifi, inside), null);
+  assert.strictEqual(evaluateNetworkConsistency({ timestamp: 0 }, fingerprint.wifi, inside), null);
+  assert.strictEqual(evaluateNetworkConsistency(wifi, undefined, inside), null);
+  assert.strictEqual(evaluateNetworkConsistency(wifi, [], inside), null);
+});
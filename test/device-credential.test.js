@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtensionScripts } = require('./helpers/extension-scripts');
+
+const PAYLOAD = 'signed-payload';
+
+// The credential signing helpers with an offscreen document that runs `ceremony` for each assertion
+// and a device key that signs with the WebCrypto key as 'device-signature'
+function loadDeviceCredential(ceremony) {
+  const state = { assertions: 0, updates: [] };
+  const context = loadExtensionScripts(['device-credential.js'], {
+    console: { ...console, warn() {} },
+    SIGNING_CONFIG: { mode: 'webauthn' },
+    base64UrlEncode: bytes => Buffer.from(bytes).toString('base64url'),
+    sendOffscreenRequest: async (type, payload, timeoutMs) => {
+      state.assertions += 1;
+      state.timeoutMs = timeoutMs;
+      return ceremony();
+    },
+    updateDeviceKey: async changes => {
+      state.updates.push(changes);
+    },
+    signData: async () => 'device-signature'
+  });
+  return { context, state };
+}
+
+const deviceKey = { keyPair: { privateKey: {} }, credential: { id: 'credential-1' } };
+
+test('token requests are signed with the credential when the assertion works', async () => {
+  const { context, state } = loadDeviceCredential(async () => ({ assertion: { signature: 'assertion' } }));
+  const signature = await context.signTokenRequest(deviceKey, PAYLOAD);
+  assert.strictEqual(signature.signature, 'assertion');
+  assert.ok(state.timeoutMs <= 5000);
+});
+
+test('a failed assertion falls back to the device key and is remembered', async () => {
+  const { context, state } = loadDeviceCredential(async () => {
+    throw Object.assign(new Error('The document is not focused.'), { code: 'NotAllowedError' });
+  });
+
+  assert.strictEqual(await context.signTokenRequest(deviceKey, PAYLOAD), 'device-signature');
+  assert.strictEqual(state.updates.length, 1);
+  assert.strictEqual(typeof state.updates[0].credentialAssertionFailedAt, 'number');
+
+  // Within the hour the ceremony isn't tried again
+  const failedKey = { ...deviceKey, credentialAssertionFailedAt: state.updates[0].credentialAssertionFailedAt };
+  assert.strictEqual(await context.signTokenRequest(failedKey, PAYLOAD), 'device-signature');
+  assert.strictEqual(state.assertions, 1);
+});
+
+test('an assertion is tried again an hour after it failed', async () => {
+  const { context, state } = loadDeviceCredential(async () => ({ assertion: { signature: 'assertion' } }));
+  const failedKey = { ...deviceKey, credentialAssertionFailedAt: Date.now() - 60 * 60 * 1000 };
+  const signature = await context.signTokenRequest(failedKey, PAYLOAD);
+  assert.strictEqual(signature.signature, 'assertion');
+  assert.strictEqual(state.assertions, 1);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtensionScripts } = require('./helpers/extension-scripts');
+
+// Device management over an in-memory chrome.storage.local, with a device key whose public key
+// changes when it is replaced
+function loadDeviceManagement() {
+  const stored = {};
+  const chrome = {
+    storage: {
+      local: {
+        get: async key => (key in stored ? { [key]: stored[key] } : {}),
+        set: async items => Object.assign(stored, items),
+        remove: async key => {
+          delete stored[key];
+        }
+      }
+    }
+  };
+  let keyNumber = 1;
+  const context = loadExtensionScripts(['device-management.js'], {
+    chrome,
+    getDeviceKey: async () => ({ publicKey: `04${String(keyNumber).padStart(128, '0')}` }),
+    replaceDeviceKey: async () => {
+      keyNumber += 1;
+    },
+    removeAllHeaderRules: async () => {},
+    ensureDeviceCredential: async () => {}
+  });
+  return { context, stored };
+}
+
+test('a device counts as enrolled once the backend has enrolled its current key', async () => {
+  const { context } = loadDeviceManagement();
+  // A device that has never had a token issued has no state, but isn't enrolled either
+  assert.strictEqual(await context.getDeviceState(), null);
+  assert.strictEqual(await context.isDeviceEnrolled(), false);
+
+  await context.markDeviceEnrolled();
+  assert.strictEqual(await context.isDeviceEnrolled(), true);
+});
+
+test('a re-enrolling device isn\'t enrolled until its new key is', async () => {
+  const { context } = loadDeviceManagement();
+  await context.markDeviceEnrolled();
+  await context.markDeviceRevoked();
+  await context.reenrollDevice();
+  assert.strictEqual((await context.getDeviceState()).status, 'reenrolling');
+  assert.strictEqual(await context.isDeviceEnrolled(), false);
+
+  await context.markDeviceEnrolled();
+  assert.strictEqual(await context.getDeviceState(), null);
+  assert.strictEqual(await context.isDeviceEnrolled(), true);
+});
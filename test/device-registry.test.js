@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createDeviceRegistry } = require('../server/device-registry');
+
+const OWNER = '04'.padEnd(130, 'a');
+const CANDIDATE = '04'.padEnd(130, 'b');
+
+// A registry with an enrolled owner and an invitation from it
+function createInvitation() {
+  const registry = createDeviceRegistry();
+  registry.enroll(OWNER);
+  const { enrollmentToken } = registry.createEnrollment(OWNER);
+  return { registry, enrollmentToken };
+}
+
+test('an invitation moves from pending through scanned and claimed to approved', () => {
+  const { registry, enrollmentToken } = createInvitation();
+  assert.strictEqual(registry.getEnrollment(enrollmentToken).status, 'pending');
+  assert.strictEqual(registry.markEnrollmentScanned(enrollmentToken).status, 'scanned');
+
+  const claimed = registry.claimEnrollment(enrollmentToken, CANDIDATE, 'Chrome on Linux');
+  assert.strictEqual(claimed.valid, true);
+  assert.strictEqual(claimed.enrollment.status, 'awaiting_approval');
+  assert.strictEqual(registry.isEnrolled(CANDIDATE), false);
+
+  const decided = registry.decideEnrollment(enrollmentToken, true);
+  assert.strictEqual(decided.enrollment.status, 'approved');
+  assert.strictEqual(registry.isEnrolled(CANDIDATE), true);
+  assert.strictEqual(registry.getAccountId(CANDIDATE), registry.getAccountId(OWNER));
+  assert.strictEqual(registry.getDevice(CANDIDATE).label, 'Chrome on Linux');
+});
+
+test('an invitation can be claimed once, and not with the owner\'s key', () => {
+  const { registry, enrollmentToken } = createInvitation();
+  assert.strictEqual(registry.claimEnrollment(enrollmentToken, OWNER).reason, 'invalid_enrollment_key');
+  assert.strictEqual(registry.claimEnrollment(enrollmentToken, CANDIDATE).valid, true);
+  assert.strictEqual(registry.claimEnrollment(enrollmentToken, '04'.padEnd(130, 'c')).reason, 'enrollment_already_claimed');
+  assert.strictEqual(registry.claimEnrollment('unknown', CANDIDATE).reason, 'unknown_enrollment');
+});
+
+test('only a claimed invitation can be approved, and any open one rejected', () => {
+  const { registry, enrollmentToken } = createInvitation();
+  assert.strictEqual(registry.decideEnrollment(enrollmentToken, true).reason, 'invalid_enrollment_state');
+  assert.strictEqual(registry.decideEnrollment(enrollmentToken, false).enrollment.status, 'rejected');
+  assert.strictEqual(registry.decideEnrollment(enrollmentToken, false).reason, 'invalid_enrollment_state');
+  assert.strictEqual(registry.claimEnrollment(enrollmentToken, CANDIDATE).reason, 'enrollment_already_claimed');
+});
+
+test('an undecided invitation expires', t => {
+  const { registry, enrollmentToken } = createInvitation();
+  registry.claimEnrollment(enrollmentToken, CANDIDATE);
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 10 * 60 * 1000 });
+
+  assert.strictEqual(registry.getEnrollment(enrollmentToken).status, 'expired');
+  assert.strictEqual(registry.decideEnrollment(enrollmentToken, true).reason, 'enrollment_expired');
+  assert.strictEqual(registry.isEnrolled(CANDIDATE), false);
+});
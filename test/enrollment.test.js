@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtensionScripts } = require('./helpers/extension-scripts');
+
+const ENDPOINT = 'https://backend.example/api';
+const noopEvent = { addListener() {} };
+
+// The enrollment client over in-memory storage and alarms, with `backend` answering device
+// requests (sendDeviceRequest) and `/enrollment-status` polls (postToBackend)
+function loadEnrollment(backend) {
+  const stored = {};
+  const state = { enrolled: false, polls: 0 };
+  const chrome = {
+    storage: {
+      local: {
+        get: async key => (key in stored ? { [key]: stored[key] } : {}),
+        set: async items => Object.assign(stored, items),
+        remove: async key => {
+          delete stored[key];
+        }
+      }
+    },
+    alarms: { get: async () => null, create() {}, clear() {}, onAlarm: noopEvent },
+    webNavigation: { onBeforeNavigate: noopEvent }
+  };
+  const context = loadExtensionScripts(['enrollment.js'], {
+    chrome,
+    console: { ...console, warn() {} },
+    navigator: {},
+    REQUEST_POLICY: {},
+    getDeviceManagementEndpoint: () => ENDPOINT,
+    sendDeviceRequest: async (action, params) => backend[action](params),
+    postToBackend: async () => {
+      state.polls += 1;
+      return backend.status();
+    },
+    markDeviceEnrolled: async () => {
+      state.enrolled = true;
+    }
+  });
+  return { context, state, stored };
+}
+
+test('a claimed invitation is polled until the owner approves it', async t => {
+  let status = 'awaiting_approval';
+  const { context, state } = loadEnrollment({
+    claim: async () => ({ status: 'awaiting_approval', expiresAt: Date.now() + 60000 }),
+    status: async () => ({ status, expiresAt: Date.now() + 60000 })
+  });
+  t.after(() => context.stopEnrollmentPolling());
+
+  const joined = await context.joinEnrollment('token-1');
+  assert.strictEqual(joined.status, 'awaiting_approval');
+  assert.strictEqual(state.enrolled, false);
+
+  status = 'approved';
+  await context.pollEnrollment();
+  assert.strictEqual((await context.getEnrollmentState()).status, 'approved');
+  assert.strictEqual(state.enrolled, true);
+
+  // Final states aren't polled again
+  await context.pollEnrollment();
+  assert.strictEqual(state.polls, 1);
+});
+
+test('a refused claim ends the enrollment', async () => {
+  const { context } = loadEnrollment({
+    claim: async () => {
+      throw Object.assign(new Error('Invitation expired'), { code: 'enrollment_expired' });
+    }
+  });
+  const joined = await context.joinEnrollment('token-1');
+  assert.strictEqual(joined.status, 'expired');
+  assert.strictEqual(joined.reason, 'Invitation expired');
+});
+
+test('an invitation past its expiry is expired without asking the backend', async t => {
+  const { context, state } = loadEnrollment({
+    invite: async () => ({ enrollmentToken: 'token-1', enrollmentUrl: `${ENDPOINT}/enroll?token=token-1`, status: 'pending', expiresAt: Date.now() - 1 }),
+    status: async () => ({ status: 'pending' })
+  });
+  t.after(() => context.stopEnrollmentPolling());
+
+  await context.startEnrollment();
+  await context.pollEnrollment();
+  assert.strictEqual((await context.getEnrollmentState()).status, 'expired');
+  assert.strictEqual(state.polls, 0);
+});
+
+test('enrollment links are only recognized on the device management backend', () => {
+  const { context } = loadEnrollment({});
+  assert.strictEqual(context.getEnrollmentLinkToken(`${ENDPOINT}/enroll?token=abc`), 'abc');
+  assert.strictEqual(context.getEnrollmentLinkToken('https://evil.example/api/enroll?token=abc'), null);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtensionScripts, toPlain } = require('./helpers/extension-scripts');
+
+const { findNearestStore } = loadExtensionScripts(['geofence.js']);
+
+// About 111 m per 0.001° of latitude
+const circleStore = { storeId: 'circle', center: { lat: 36.3615, lng: -94.215 }, radius: 150 };
+const polygonStore = {
+  storeId: 'polygon',
+  polygon: [
+    { lat: 37.0, lng: -122.0 },
+    { lat: 37.002, lng: -122.0 },
+    { lat: 37.002, lng: -121.9975 },
+    { lat: 37.0, lng: -121.9975 }
+  ]
+};
+
+function nearestDistance(location, store) {
+  return Math.round(toPlain(findNearestStore(location, [store])).distance);
+}
+
+test('a fix whose accuracy circle lies inside the store is inside', () => {
+  assert.strictEqual(nearestDistance({ ...circleStore.center, accuracy: 20 }, circleStore), 0);
+  assert.strictEqual(nearestDistance({ lat: 37.001, lng: -121.99875, accuracy: 20 }, polygonStore), 0);
+});
+
+test('a coarse fix centred in the store is not inside', () => {
+  assert.strictEqual(nearestDistance({ ...circleStore.center, accuracy: 2000 }, circleStore), 1850);
+  assert.ok(nearestDistance({ lat: 37.001, lng: -121.99875, accuracy: 500 }, polygonStore) > 350);
+});
+
+test('a coarse fix near the store no longer overlaps its way in', () => {
+  // ~333 m north of the centre: 183 m outside the radius, well within a 500 m accuracy circle
+  const location = { lat: circleStore.center.lat + 0.003, lng: circleStore.center.lng, accuracy: 500 };
+  assert.strictEqual(nearestDistance(location, circleStore), 684);
+});
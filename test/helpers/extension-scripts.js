@@ -0,0 +1,38 @@
+// Load extension scripts for tests. They are plain browser scripts sharing one global scope, so they
+// are evaluated in one VM context, like tools/replay-trace.js does; `globals` stands in for the
+// browser and extension APIs each test needs.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const EXTENSION_DIR = path.join(__dirname, '..', '..', 'walmart');
+
+function loadExtensionScripts(files, globals = {}) {
+  const context = vm.createContext({
+    console,
+    URL,
+    TextEncoder,
+    crypto,
+    atob,
+    btoa,
+    setTimeout,
+    clearTimeout,
+    Request,
+    Response,
+    Headers,
+    ...globals
+  });
+  files.forEach(file => {
+    const source = fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  });
+  return context;
+}
+
+// Objects built inside the context have its own prototypes; compare them as plain data
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadExtensionScripts, toPlain };
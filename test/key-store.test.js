@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtensionScripts } = require('./helpers/extension-scripts');
+
+// The key store with an in-memory chrome.alarms
+function loadKeyStore(existingAlarms = {}) {
+  const alarms = { ...existingAlarms };
+  const chrome = {
+    alarms: {
+      get: async name => alarms[name],
+      create: (name, info) => {
+        alarms[name] = { name, ...info };
+      },
+      onAlarm: { addListener() {} }
+    }
+  };
+  const context = loadExtensionScripts(['key-store.js'], { chrome });
+  return { context, alarms };
+}
+
+// The key store over in-memory key records instead of IndexedDB
+function loadKeyStoreWithRecords() {
+  const { context } = loadKeyStore();
+  const records = {};
+  context.chrome.storage = { local: { set: async () => {} } };
+  context.readKeyRecord = async id => records[id];
+  context.writeKeyRecord = async record => {
+    records[record.id] = record;
+  };
+  return { context, records };
+}
+
+test('installing schedules the key rotation alarm', async () => {
+  const { context, alarms } = loadKeyStore();
+  await context.scheduleKeyRotation();
+  assert.strictEqual(alarms['device-key-rotation'].periodInMinutes, 30 * 24 * 60);
+});
+
+test('an update keeps the pending key rotation', async () => {
+  const pending = { name: 'device-key-rotation', scheduledTime: 12345, periodInMinutes: 30 * 24 * 60 };
+  const { context, alarms } = loadKeyStore({ 'device-key-rotation': pending });
+  await context.scheduleKeyRotation();
+  assert.strictEqual(alarms['device-key-rotation'], pending);
+});
+
+test('the key isn\'t rotated again until the backend acknowledges the last rotation', async () => {
+  const { context, records } = loadKeyStoreWithRecords();
+  const original = await context.getDeviceKey();
+
+  const rotated = await context.rotateDeviceKey();
+  const pending = rotated.rotation;
+  assert.strictEqual(pending.previousPublicKey, original.publicKey);
+  const again = await context.rotateDeviceKey();
+  assert.strictEqual(again.publicKey, rotated.publicKey);
+  assert.strictEqual(records.device.rotation, pending);
+  assert.strictEqual(records['device-previous'].publicKey, original.publicKey);
+
+  await context.acknowledgeKeyRotation();
+  const next = await context.rotateDeviceKey();
+  assert.strictEqual(next.rotation.previousPublicKey, rotated.publicKey);
+});
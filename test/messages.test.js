@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtensionScripts, toPlain } = require('./helpers/extension-scripts');
+
+const EXTENSION_ID = 'abcdefghijklmnopabcdefghijklmnop';
+const chrome = {
+  runtime: {
+    id: EXTENSION_ID,
+    getURL: path => `chrome-extension://${EXTENSION_ID}/${path}`,
+    getManifest: () => ({ background: { service_worker: 'background.js' } })
+  }
+};
+const { createMessage, validateMessage, getMessageSenderKind } = loadExtensionScripts(['messages.js'], { chrome });
+
+// The code validateMessage() rejects a message with
+function rejectionCode(message, senderKind) {
+  try {
+    validateMessage(message, senderKind);
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+}
+
+test('a message matching its schema for the sender is accepted', () => {
+  const payload = validateMessage(createMessage('STEP_UP', { tabId: 3, code: '123456' }), 'extension');
+  assert.deepStrictEqual(toPlain(payload), { tabId: 3, code: '123456' });
+  // Optional fields may be null or missing; a missing payload is empty
+  assert.strictEqual(rejectionCode(createMessage('STEP_UP', { tabId: 3, qrText: null }), 'extension'), null);
+  assert.strictEqual(rejectionCode({ version: 1, type: 'CONTEXT_READY' }, 'content'), null);
+});
+
+test('malformed, unknown and other-version messages are rejected', () => {
+  assert.strictEqual(rejectionCode(null, 'content'), 'invalid_message');
+  assert.strictEqual(rejectionCode({ version: 2, type: 'CONTEXT_READY', payload: {} }, 'content'), 'unsupported_version');
+  assert.strictEqual(rejectionCode(createMessage('MAKE_TOKEN'), 'content'), 'unknown_type');
+  assert.strictEqual(rejectionCode(createMessage('toString'), 'content'), 'unknown_type');
+});
+
+test('a message from a sender its schema doesn\'t list is forbidden', () => {
+  assert.strictEqual(rejectionCode(createMessage('REVOKE_DEVICE', {}), 'content'), 'forbidden_sender');
+  assert.strictEqual(rejectionCode(createMessage('VERIFY_CONTEXT', {}), 'frame'), 'forbidden_sender');
+  assert.strictEqual(rejectionCode(createMessage('VERIFY_CONTEXT', {}), null), 'forbidden_sender');
+});
+
+test('payloads with missing, mistyped or extra fields are invalid', () => {
+  assert.strictEqual(rejectionCode(createMessage('VERIFY_CONTEXT', {}), 'extension'), 'invalid_payload');
+  assert.strictEqual(rejectionCode(createMessage('VERIFY_CONTEXT', { tabId: 1.5 }), 'extension'), 'invalid_payload');
+  assert.strictEqual(rejectionCode(createMessage('TAB_VISIBILITY', { visible: 'yes' }), 'content'), 'invalid_payload');
+  assert.strictEqual(rejectionCode(createMessage('CONTEXT_READY', { extra: true }), 'content'), 'invalid_payload');
+  assert.strictEqual(rejectionCode({ version: 1, type: 'CONTEXT_READY', payload: [] }, 'content'), 'invalid_payload');
+});
+
+test('senders are told apart by URL, tab and frame', () => {
+  const url = path => `chrome-extension://${EXTENSION_ID}/${path}`;
+  assert.strictEqual(getMessageSenderKind({ id: EXTENSION_ID, url: url('background.js') }), 'background');
+  assert.strictEqual(getMessageSenderKind({ id: EXTENSION_ID, url: url('popup.html') }), 'extension');
+  assert.strictEqual(getMessageSenderKind({ id: EXTENSION_ID, url: 'https://www.walmart.com/', tab: {}, frameId: 0 }), 'content');
+  assert.strictEqual(getMessageSenderKind({ id: EXTENSION_ID, url: 'https://ads.example/', tab: {}, frameId: 3 }), 'frame');
+  assert.strictEqual(getMessageSenderKind({ id: 'another-extension', url: url('popup.html') }), null);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtensionScripts } = require('./helpers/extension-scripts');
+
+const fixture = require('../tools/companion-host/fixtures/walmart-100.json');
+
+// The companion client with its providers captured as they register, talking to a port on which
+// `answer` plays the host (or to no port when `answer` is null, as without an installed host)
+function loadCompanion(answer) {
+  const requests = [];
+  const providers = {};
+  const chrome = {
+    runtime: {
+      lastError: null,
+      connectNative: () => {
+        const listeners = { message: [], disconnect: [] };
+        const port = {
+          onMessage: { addListener: listener => listeners.message.push(listener) },
+          onDisconnect: { addListener: listener => listeners.disconnect.push(listener) },
+          postMessage: message => {
+            requests.push(message.type);
+            queueMicrotask(() => {
+              if (answer) {
+                listeners.message.forEach(listener => listener({ id: message.id, ...answer(message) }));
+              } else {
+                chrome.runtime.lastError = { message: 'Specified native messaging host not found.' };
+                listeners.disconnect.forEach(listener => listener());
+              }
+            });
+          },
+          disconnect() {}
+        };
+        return port;
+      }
+    }
+  };
+  loadExtensionScripts(['native-companion.js'], {
+    chrome,
+    console: { ...console, warn() {} },
+    registerSensorProvider: (signal, provider) => {
+      providers[signal] = provider;
+    }
+  });
+  return { providers, requests };
+}
+
+// The stub host's answers for a fixture (tools/companion-host/stub-host.js)
+function fixtureHost({ capabilities, scans }, protocol = 1) {
+  return message => (message.type === 'hello'
+    ? { type: 'hello', protocol, host: { name: 'test-host', version: '1.0.0' }, capabilities }
+    : { type: 'scan', ...scans[0] });
+}
+
+test('Wi-Fi and beacon readings come from one scan of the companion host', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { providers, requests } = loadCompanion(fixtureHost(fixture));
+
+  assert.strictEqual(await providers.wifi.isAvailable(), true);
+  assert.strictEqual(await providers.pos.getPermissionState(), 'granted');
+  const [wifi, pos] = await Promise.all([providers.wifi.collect(), providers.pos.collect()]);
+  assert.strictEqual(wifi.networks.length, fixture.scans[0].wifi.networks.length);
+  assert.strictEqual(pos.beacons[0].id, fixture.scans[0].ble.beacons[0].id);
+  assert.deepStrictEqual(requests, ['hello', 'scan']);
+});
+
+test('the host\'s permission state is reported for each signal', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const capabilities = { wifi: { available: true, permission: 'denied' }, ble: { available: false } };
+  const { providers } = loadCompanion(fixtureHost({ ...fixture, capabilities }));
+  assert.strictEqual(await providers.wifi.getPermissionState(), 'denied');
+  assert.strictEqual(await providers.pos.isAvailable(), false);
+});
+
+test('without a host speaking its protocol, the signals are unavailable', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const missing = loadCompanion(null);
+  assert.strictEqual(await missing.providers.wifi.isAvailable(), false);
+  assert.strictEqual(await missing.providers.pos.isAvailable(), false);
+
+  const outdated = loadCompanion(fixtureHost(fixture, 2));
+  assert.strictEqual(await outdated.providers.wifi.isAvailable(), false);
+  assert.deepStrictEqual(outdated.requests, ['hello']);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createNonceStore } = require('../server/nonces');
+const { canonicalize } = require('../walmart/canonical');
+
+const ORIGIN = 'https://www.walmart.com';
+
+test('a nonce can be used once, for the origin it was issued to', () => {
+  const nonces = createNonceStore({ ttlSeconds: 60 });
+  const { nonce } = nonces.issue(ORIGIN);
+  assert.deepStrictEqual(nonces.consume(nonce, ORIGIN), { valid: true, reason: null });
+  assert.strictEqual(nonces.consume(nonce, ORIGIN).reason, 'nonce_reused');
+
+  const other = nonces.issue(ORIGIN).nonce;
+  assert.strictEqual(nonces.consume(other, 'https://www.target.com').reason, 'nonce_origin_mismatch');
+  // A mismatched attempt still uses the nonce up
+  assert.strictEqual(nonces.consume(other, ORIGIN).reason, 'nonce_reused');
+  assert.strictEqual(nonces.consume('made-up', ORIGIN).reason, 'unknown_nonce');
+});
+
+test('nonces expire after their TTL and are then forgotten', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const nonces = createNonceStore({ ttlSeconds: 60 });
+  const { nonce, expiresAt } = nonces.issue(ORIGIN);
+  assert.strictEqual(expiresAt, 60000);
+
+  t.mock.timers.tick(60000);
+  assert.strictEqual(nonces.consume(nonce, ORIGIN).reason, 'nonce_expired');
+  // Pruned with the next issue, one TTL after expiry
+  const late = nonces.issue(ORIGIN).nonce;
+  t.mock.timers.tick(60000);
+  nonces.issue(ORIGIN);
+  assert.strictEqual(nonces.consume(nonce, ORIGIN).reason, 'unknown_nonce');
+  assert.strictEqual(nonces.consume(late, ORIGIN).reason, 'nonce_expired');
+});
+
+test('the canonical encoding sorts keys and drops undefined properties', () => {
+  assert.strictEqual(canonicalize({ b: 1, a: [undefined, 'x'], c: undefined, d: { z: null, y: true } }),
+    '{"a":[null,"x"],"b":1,"d":{"y":true,"z":null}}');
+  assert.throws(() => canonicalize({ score: Infinity }), TypeError);
+});
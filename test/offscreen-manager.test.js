@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtensionScripts } = require('./helpers/extension-scripts');
+
+const noopEvent = { addListener() {} };
+
+// The offscreen manager with `createDocument` and `sendMessage` standing in for the offscreen
+// document, and a Wi-Fi provider registered in the worker as the native companion's is
+function loadOffscreenManager({ createDocument, sendMessage }) {
+  const state = { created: 0 };
+  const chrome = {
+    runtime: {
+      id: 'abcdefghijklmnopabcdefghijklmnop',
+      getURL: path => `chrome-extension://abcdefghijklmnopabcdefghijklmnop/${path}`,
+      getContexts: async () => [],
+      sendMessage,
+      onMessage: noopEvent
+    },
+    offscreen: {
+      createDocument: async options => {
+        state.created += 1;
+        return createDocument(options);
+      },
+      closeDocument: async () => {}
+    }
+  };
+  const context = loadExtensionScripts(['messages.js', 'sensor-providers.js', 'offscreen-manager.js'], {
+    chrome,
+    console: { ...console, error() {} }
+  });
+  context.registerSensorProvider('wifi', {
+    isAvailable: async () => true,
+    getPermissionState: async () => 'granted',
+    collect: async () => ({ networks: [{ bssid: '00:11:22:33:44:55', rssi: -50 }] })
+  });
+  return { context, state };
+}
+
+// A round as the offscreen document answers it: location collected, the worker's signals unavailable
+function offscreenRound() {
+  const unavailable = { status: 'unavailable', permission: null, reading: null };
+  return {
+    timestamp: Date.now(),
+    signals: {
+      location: { status: 'ok', permission: 'granted', reading: { lat: 36.37, lng: -94.21, accuracy: 10 } },
+      wifi: unavailable,
+      motion: unavailable,
+      pos: unavailable
+    }
+  };
+}
+
+test('a live round combines the offscreen document\'s readings with the worker\'s', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const messages = [];
+  const { context, state } = loadOffscreenManager({
+    createDocument: async () => {},
+    sendMessage: async message => {
+      messages.push(message.type);
+      return { success: true, readings: offscreenRound() };
+    }
+  });
+
+  const { signals } = await context.collectLiveReadings();
+  assert.strictEqual(state.created, 1);
+  assert.deepStrictEqual(messages, ['COLLECT_SENSORS']);
+  assert.strictEqual(signals.location.status, 'ok');
+  assert.strictEqual(signals.wifi.status, 'ok');
+  assert.strictEqual(signals.wifi.reading.networks.length, 1);
+});
+
+test('a round is still reported when the offscreen document can\'t be created', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { context } = loadOffscreenManager({
+    createDocument: async () => {
+      throw new Error('Only a single offscreen document may be created');
+    },
+    sendMessage: async () => assert.fail('no document to message')
+  });
+
+  const { signals } = await context.collectLiveReadings();
+  assert.strictEqual(signals.location.status, 'error');
+  assert.strictEqual(signals.location.error, 'Only a single offscreen document may be created');
+  assert.strictEqual(signals.motion.status, 'error');
+  // The worker's own signals don't depend on the document
+  assert.strictEqual(signals.wifi.status, 'ok');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtensionScripts } = require('./helpers/extension-scripts');
+
+const EXTENSION_ID = 'abcdefghijklmnopabcdefghijklmnop';
+const WORKER = { id: EXTENSION_ID, url: `chrome-extension://${EXTENSION_ID}/background.js` };
+
+// The offscreen document with a geolocation stub that records the maximumAge it is asked for;
+// `ask` sends it a message and resolves with its response
+function loadOffscreen() {
+  const requestedMaxAges = [];
+  const navigator = {
+    geolocation: {
+      getCurrentPosition(resolve, reject, { maximumAge }) {
+        requestedMaxAges.push(maximumAge);
+        resolve({ coords: { latitude: 36.37, longitude: -94.21, accuracy: 20 }, timestamp: Date.now() });
+      }
+    },
+    permissions: { query: async () => ({ state: 'granted' }) }
+  };
+  let listener;
+  const chrome = {
+    runtime: {
+      id: EXTENSION_ID,
+      getURL: path => `chrome-extension://${EXTENSION_ID}/${path}`,
+      getManifest: () => ({ background: { service_worker: 'background.js' } }),
+      onMessage: { addListener: added => { listener = added; } }
+    }
+  };
+  const context = loadExtensionScripts(['messages.js', 'sensor-providers.js', 'offscreen.js'], { navigator, chrome });
+  const ask = (message, sender) => new Promise(resolve => listener(message, sender, resolve));
+  return { context, ask, requestedMaxAges };
+}
+
+test('the worker\'s COLLECT_SENSORS is answered with a round from the document\'s sensors', async () => {
+  const { context, ask, requestedMaxAges } = loadOffscreen();
+  const { success, readings } = await ask(context.createMessage('COLLECT_SENSORS', {}), WORKER);
+  assert.strictEqual(success, true);
+  assert.strictEqual(readings.signals.location.status, 'ok');
+  assert.strictEqual(readings.signals.location.permission, 'granted');
+  assert.strictEqual(readings.signals.location.reading.lat, 36.37);
+  assert.strictEqual(readings.signals.motion.status, 'ok');
+  // Every round asks for a fresh fix; the document holds no provider for the worker's signals
+  assert.deepStrictEqual(requestedMaxAges, [0]);
+  assert.strictEqual(readings.signals.wifi.status, 'unavailable');
+});
+
+test('COLLECT_SENSORS from anyone but the worker is refused', async () => {
+  const { context, ask, requestedMaxAges } = loadOffscreen();
+  const popup = { id: EXTENSION_ID, url: `chrome-extension://${EXTENSION_ID}/popup.html` };
+  const response = await ask(context.createMessage('COLLECT_SENSORS', {}), popup);
+  assert.strictEqual(response.success, false);
+  assert.strictEqual(response.code, 'forbidden_sender');
+  assert.deepStrictEqual(requestedMaxAges, []);
+});
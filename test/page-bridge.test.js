@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtensionScripts } = require('./helpers/extension-scripts');
+
+const PAGE_ORIGIN = 'https://www.walmart.com';
+
+// A page window with the bridge injected. fetch() and XMLHttpRequest record what reaches the network;
+// the content script side is played by `onExtensionMessage`.
+function createPage({ onExtensionMessage = () => {} } = {}) {
+  const window = new EventTarget();
+  const sent = [];
+  window.location = { href: `${PAGE_ORIGIN}/store/100`, origin: PAGE_ORIGIN };
+  window.fetch = async (input, init) => {
+    const request = new Request(input, init);
+    sent.push({ url: request.url, proof: request.headers.get('X-Secure-Context-Proof'), body: await request.text() });
+    return new Response('ok');
+  };
+  window.postMessage = data => {
+    if (data.direction === 'to-extension') {
+      onExtensionMessage(data, window);
+    }
+  };
+
+  class XMLHttpRequest {
+    constructor() {
+      this.headers = {};
+    }
+
+    open(method, url) {
+      this.url = url;
+    }
+
+    setRequestHeader(name, value) {
+      this.headers[name] = value;
+    }
+
+    send(body) {
+      sent.push({ url: this.url, proof: this.headers['X-Secure-Context-Proof'] || null, body });
+    }
+  }
+  loadExtensionScripts(['page-bridge.js'], {
+    window,
+    XMLHttpRequest,
+    Document: class {},
+    FormData,
+    CustomEvent,
+    console: { ...console, error() {} }
+  });
+  return { window, sent, XMLHttpRequest };
+}
+
+// Post a message from the content script to the page
+function postToPage(window, type, payload) {
+  const event = new Event('message');
+  Object.assign(event, {
+    source: window,
+    origin: PAGE_ORIGIN,
+    data: { channel: 'secure-context', version: 1, direction: 'to-page', type, payload }
+  });
+  window.dispatchEvent(event);
+}
+
+test('fetches to other URLs keep the body of a Request input', async () => {
+  const { window, sent } = createPage();
+  postToPage(window, 'config', { apiPattern: 'api.walmart.com' });
+  postToPage(window, 'status', { status: 'active', token: 'token-1' });
+
+  const response = await window.fetch(new Request('https://cdn.example/upload', { method: 'POST', body: 'payload' }));
+
+  assert.strictEqual(await response.text(), 'ok');
+  assert.deepStrictEqual(sent, [{ url: 'https://cdn.example/upload', proof: null, body: 'payload' }]);
+});
+
+test('fetches to lookalike hosts get no proof', async () => {
+  const signed = [];
+  const { window, sent } = createPage({ onExtensionMessage: ({ type }) => signed.push(type) });
+  postToPage(window, 'config', { apiPattern: 'api.walmart.com' });
+  postToPage(window, 'status', { status: 'active', token: 'token-1' });
+
+  await window.fetch('https://api.walmart.com.example/cart', { method: 'POST', body: 'payload' });
+
+  assert.deepStrictEqual(signed, []);
+  assert.deepStrictEqual(sent, [{ url: 'https://api.walmart.com.example/cart', proof: null, body: 'payload' }]);
+});
+
+test('fetches to the site API carry a proof over their body', async () => {
+  const { window, sent } = createPage({
+    onExtensionMessage({ type, payload }, page) {
+      if (type === 'sign_request') {
+        postToPage(page, 'request_proof', { requestId: payload.requestId, proof: `proof:${payload.bodyDigest}` });
+      }
+    }
+  });
+  postToPage(window, 'config', { apiPattern: 'api.walmart.com' });
+  postToPage(window, 'status', { status: 'active', token: 'token-1' });
+
+  await window.fetch(new Request('https://api.walmart.com/cart', { method: 'POST', body: 'payload' }));
+
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].body, 'payload');
+  assert.match(sent[0].proof, /^proof:[A-Za-z0-9_-]{43}$/);
+});
+
+test('the SDK reports status events and the usable token', async () => {
+  const { window } = createPage();
+  const seen = [];
+  const unsubscribe = window.secureContext.onStatusChange(status => seen.push(status.status));
+
+  postToPage(window, 'status', { status: 'active', token: 'token-1', expiresAt: Date.now() + 30000 });
+  assert.strictEqual(await window.secureContext.getToken(), 'token-1');
+  assert.strictEqual(window.secureContext.getStatus().token, undefined);
+
+  postToPage(window, 'status', { status: 'active', token: 'token-1', expiresAt: Date.now() - 1 });
+  assert.strictEqual(await window.secureContext.getToken(), null);
+  unsubscribe();
+  postToPage(window, 'status', { status: 'failed' });
+  assert.deepStrictEqual(seen, ['active', 'active']);
+});
+
+test('messages from other windows or origins are ignored', async () => {
+  const { window } = createPage();
+  const event = new Event('message');
+  Object.assign(event, {
+    source: window,
+    origin: 'https://evil.example',
+    data: { channel: 'secure-context', version: 1, direction: 'to-page', type: 'status', payload: { status: 'active', token: 'forged' } }
+  });
+  window.dispatchEvent(event);
+  assert.strictEqual(window.secureContext.getStatus(), null);
+  assert.strictEqual(await window.secureContext.getToken(), null);
+});
+
+test('requested verifications resolve with the status that follows', async () => {
+  const { window } = createPage({
+    onExtensionMessage({ type, payload }, page) {
+      if (type === 'request_verification') {
+        postToPage(page, 'status', { status: 'active', token: 'token-2' });
+        postToPage(page, 'verification_result', { requestId: payload.requestId });
+      }
+    }
+  });
+  const status = await window.secureContext.requestVerification();
+  assert.strictEqual(status.status, 'active');
+});
+
+test('an XMLHttpRequest whose body can\'t be read is sent without a proof', async () => {
+  const signed = [];
+  const { window, sent, XMLHttpRequest } = createPage({ onExtensionMessage: ({ type }) => signed.push(type) });
+  postToPage(window, 'config', { apiPattern: 'api.walmart.com' });
+  postToPage(window, 'status', { status: 'active', token: 'token-1' });
+
+  const body = new ReadableStream({
+    start(controller) {
+      controller.error(new Error('stream failed'));
+    }
+  });
+  const xhr = new XMLHttpRequest();
+  xhr.open('POST', 'https://api.walmart.com/cart');
+  xhr.send(body);
+  await new Promise(setImmediate);
+
+  assert.deepStrictEqual(signed, []);
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].proof, null);
+  assert.strictEqual(sent[0].body, body);
+});
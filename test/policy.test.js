@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtensionScripts } = require('./helpers/extension-scripts');
+
+const { getSitePolicy, applyScoringPolicy } = loadExtensionScripts(['policy.js']);
+
+const inStore = getSitePolicy({ policy: 'in-store' });
+
+// Evaluations with every weighted signal present at `score`, with `overrides` on top
+function evaluations(score, overrides = {}) {
+  const all = {};
+  Object.keys(inStore.weights).forEach(name => {
+    all[name] = { score, reason: 'test' };
+  });
+  return { ...all, ...overrides };
+}
+
+test('sites get their preset with an optional minScore override', () => {
+  assert.strictEqual(getSitePolicy({ policy: 'online' }).stepUp, null);
+  assert.strictEqual(getSitePolicy({ policy: 'unknown' }), inStore);
+  const strict = getSitePolicy({ policy: 'in-store', minScore: 0.9 });
+  assert.strictEqual(strict.minScore, 0.9);
+  assert.strictEqual(strict.weights, inStore.weights);
+});
+
+test('missing optional signals are left out of the weighted score', () => {
+  const assessment = applyScoringPolicy(inStore, evaluations(0.8, { motion: null, beacon: null, network: null }));
+  assert.strictEqual(assessment.passed, true);
+  assert.ok(Math.abs(assessment.score - 0.8) < 1e-9);
+  assert.strictEqual(assessment.breakdown.motion.score, null);
+});
+
+test('a missing required signal or a hard-fail rule fails regardless of the score', () => {
+  const withoutTemporal = applyScoringPolicy(inStore, evaluations(1, { temporal: null }));
+  assert.strictEqual(withoutTemporal.passed, false);
+  assert.deepStrictEqual([...withoutTemporal.failures], ['Required evaluator "temporal" produced no score']);
+
+  const travelled = applyScoringPolicy(inStore, evaluations(1, { travel: { score: 0, reason: 'test' } }));
+  assert.strictEqual(travelled.passed, false);
+  assert.ok(travelled.failures.includes('Impossible travel between samples'));
+  assert.strictEqual(travelled.stepUpEligible, false);
+});
+
+test('only a score just short of the minimum can be stepped up', () => {
+  assert.strictEqual(applyScoringPolicy(inStore, evaluations(0.5)).stepUpEligible, true);
+  assert.strictEqual(applyScoringPolicy(inStore, evaluations(0.3)).stepUpEligible, false);
+  assert.strictEqual(applyScoringPolicy(getSitePolicy({ policy: 'online' }), evaluations(0.5)).stepUpEligible, false);
+});
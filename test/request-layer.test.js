@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtensionScripts } = require('./helpers/extension-scripts');
+
+const ENDPOINT = 'https://backend.example/api';
+const POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 1,
+  maxDelayMs: 20,
+  requestTimeoutMs: 1000,
+  breakerFailureThreshold: 3,
+  breakerCooldownMs: 50
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// The request layer with a fetch that answers each call with the next of `responses` (a status and
+// body, or an Error to throw)
+function loadRequestLayer(responses) {
+  const calls = [];
+  const fetch = async url => {
+    calls.push(url);
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    if (next instanceof Error) {
+      throw next;
+    }
+    return new Response(JSON.stringify(next.body || {}), { status: next.status, headers: next.headers || {} });
+  };
+  const context = loadExtensionScripts(['request-layer.js'], { fetch, AbortSignal, REQUEST_POLICY: POLICY });
+  return { context, calls };
+}
+
+test('transient failures are retried until the backend answers', async () => {
+  const { context, calls } = loadRequestLayer([{ status: 503 }, new Error('offline'), { status: 200, body: { token: 't' } }]);
+  const payload = await context.postToBackend(ENDPOINT, '/issue-token', {});
+  assert.strictEqual(payload.token, 't');
+  assert.strictEqual(calls.length, 3);
+});
+
+test('a final answer from the backend is not retried', async () => {
+  const { context, calls } = loadRequestLayer([{ status: 403, body: { error: 'insufficient_score', message: 'Score too low' } }]);
+  await assert.rejects(context.postToBackend(ENDPOINT, '/issue-token', {}), error => {
+    assert.strictEqual(error.code, 'insufficient_score');
+    assert.strictEqual(error.retryable, false);
+    return true;
+  });
+  assert.strictEqual(calls.length, 1);
+});
+
+test('retries stop early when Retry-After is longer than the longest backoff', async () => {
+  const { context, calls } = loadRequestLayer([{ status: 429, headers: { 'Retry-After': '60' } }]);
+  await assert.rejects(context.postToBackend(ENDPOINT, '/issue-token', {}), error => {
+    assert.strictEqual(error.retryAfterMs, 60000);
+    return true;
+  });
+  assert.strictEqual(calls.length, 1);
+});
+
+test('the circuit opens after repeated failures and lets one trial through after the cooldown', async () => {
+  const { context, calls } = loadRequestLayer([{ status: 503 }, { status: 503 }, { status: 503 }, { status: 503 }, { status: 200, body: {} }]);
+  await assert.rejects(context.postToBackend(ENDPOINT, '/challenge', {}));
+  assert.strictEqual(calls.length, 3);
+
+  await assert.rejects(context.postToBackend(ENDPOINT, '/challenge', {}), error => {
+    assert.strictEqual(error.code, 'circuit_open');
+    assert.strictEqual(error.retryable, true);
+    return true;
+  });
+  assert.strictEqual(calls.length, 3);
+
+  // The half-open trial fails and reopens the circuit at once
+  await sleep(POLICY.breakerCooldownMs + 5);
+  await assert.rejects(context.postToBackend(ENDPOINT, '/challenge', {}, { ...POLICY, maxAttempts: 1 }));
+  assert.strictEqual(calls.length, 4);
+  await assert.rejects(context.postToBackend(ENDPOINT, '/challenge', {}), error => error.code === 'circuit_open');
+
+  await sleep(POLICY.breakerCooldownMs + 5);
+  await context.postToBackend(ENDPOINT, '/challenge', {});
+  assert.strictEqual(context.getCircuitBreaker(ENDPOINT).state, 'closed');
+});
+
+test('Retry-After is read as seconds or an HTTP date', () => {
+  const { context } = loadRequestLayer([{ status: 200 }]);
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  assert.strictEqual(context.parseRetryAfter('3', now), 3000);
+  assert.strictEqual(context.parseRetryAfter('Mon, 19 Oct 2026 12:00:10 GMT', now), 10000);
+  assert.strictEqual(context.parseRetryAfter('soon', now), null);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { webcrypto } = require('crypto');
+
+const { createRequestProofVerifier, sha256Base64Url } = require('../server/request-proof');
+const { keyFingerprint } = require('../server/signatures');
+
+const SIGN_PARAMS = { name: 'ECDSA', hash: { name: 'SHA-256' } };
+const TOKEN = 'context-token';
+const BODY_DIGEST = sha256Base64Url('{"item":1}');
+const API_URL = 'https://api.walmart.com/cart';
+
+function encodePart(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// A device key signing proofs as walmart/request-proof.js does, with the token claims it was issued
+async function createProofSigner() {
+  const keyPair = await webcrypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign', 'verify']);
+  const publicKey = Buffer.from(await webcrypto.subtle.exportKey('raw', keyPair.publicKey)).toString('hex');
+  return {
+    claims: { cnf: { jkt: keyFingerprint(publicKey) } },
+    async sign(claims = {}) {
+      const header = encodePart({ typ: 'secure-context-pop+jwt', alg: 'ES256', pk: publicKey });
+      const payload = encodePart({
+        htm: 'POST',
+        htu: API_URL,
+        bdh: BODY_DIGEST,
+        ath: sha256Base64Url(TOKEN),
+        iat: Math.floor(Date.now() / 1000),
+        jti: webcrypto.randomUUID(),
+        ...claims
+      });
+      const signature = await webcrypto.subtle.sign(SIGN_PARAMS, keyPair.privateKey, Buffer.from(`${header}.${payload}`));
+      return `${header}.${payload}.${Buffer.from(signature).toString('base64url')}`;
+    }
+  };
+}
+
+function request(claims, overrides = {}) {
+  return { method: 'post', url: `${API_URL}?page=2`, bodyDigest: BODY_DIGEST, token: TOKEN, claims, ...overrides };
+}
+
+test('a proof for the request is accepted once', async () => {
+  const verifier = createRequestProofVerifier({ maxAgeSeconds: 60 });
+  const signer = await createProofSigner();
+  const proof = await signer.sign();
+  assert.deepStrictEqual(await verifier.verify(proof, request(signer.claims)), { valid: true, reason: null });
+  assert.strictEqual((await verifier.verify(proof, request(signer.claims))).reason, 'proof_reused');
+});
+
+test('a proof for another request, body or key is rejected', async () => {
+  const verifier = createRequestProofVerifier({ maxAgeSeconds: 60 });
+  const signer = await createProofSigner();
+  const other = await createProofSigner();
+  const verify = async (overrides, claims = {}) => (await verifier.verify(await signer.sign(claims), request(signer.claims, overrides))).reason;
+
+  assert.strictEqual(await verify({ url: 'https://api.walmart.com/checkout' }), 'request_mismatch');
+  assert.strictEqual(await verify({ method: 'DELETE' }), 'request_mismatch');
+  assert.strictEqual(await verify({ bodyDigest: sha256Base64Url('{}') }), 'body_mismatch');
+  assert.strictEqual(await verify({ token: 'other-token' }), 'token_mismatch');
+  assert.strictEqual(await verify({}, { iat: Math.floor(Date.now() / 1000) - 120 }), 'proof_expired');
+  assert.strictEqual(await verify({ claims: other.claims }), 'key_mismatch');
+});
+
+test('a request URL that doesn\'t parse is a mismatch, not an error', async () => {
+  const verifier = createRequestProofVerifier({ maxAgeSeconds: 60 });
+  const signer = await createProofSigner();
+  for (const url of ['/cart', 'not a url', '']) {
+    const result = await verifier.verify(await signer.sign(), request(signer.claims, { url }));
+    assert.deepStrictEqual(result, { valid: false, reason: 'request_mismatch' });
+  }
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtensionScripts, toPlain } = require('./helpers/extension-scripts');
+
+// SENSOR_TIMEOUTS_MS.pos
+const POS_TIMEOUT_MS = 2000;
+
+const trace = {
+  name: 'walk-in',
+  samples: [{ t: 0, location: { latitude: 36.37, longitude: -94.21, accuracy: 10, timestamp: 0 } }]
+};
+
+// The sensor providers over an in-memory chrome.storage.local, in an unpacked install unless
+// `manifest` has an update_url, with a live collector that reports every round as 'live'
+function loadSensorProviders(manifest = {}) {
+  const stored = {};
+  const chrome = {
+    runtime: { getManifest: () => manifest },
+    storage: {
+      local: {
+        get: async keys => {
+          const wanted = Array.isArray(keys) ? keys : [keys];
+          return Object.fromEntries(wanted.filter(key => key in stored).map(key => [key, stored[key]]));
+        },
+        set: async items => Object.assign(stored, items),
+        remove: async key => {
+          delete stored[key];
+        }
+      }
+    }
+  };
+  const context = loadExtensionScripts(['sensor-providers.js'], { chrome });
+  context.setLiveSensorCollector(async () => ({ timestamp: Date.now(), signals: {}, live: true }));
+  return context;
+}
+
+test('replayed rounds are marked as replayed', async () => {
+  const context = loadSensorProviders();
+  await context.startSensorReplay(trace);
+
+  const replayed = await context.collectSensorReadings();
+  assert.strictEqual(replayed.replayed, true);
+  assert.strictEqual(replayed.signals.location.status, 'ok');
+  // The trace has ended; back to live sensors
+  const live = await context.collectSensorReadings();
+  assert.strictEqual(live.live, true);
+  assert.strictEqual(live.replayed, undefined);
+});
+
+test('installs from the store can\'t replay traces', async () => {
+  const context = loadSensorProviders({ update_url: 'https://clients2.google.com/service/update2/crx' });
+  await assert.rejects(context.startSensorReplay(trace), /development builds/);
+  await assert.rejects(context.startSensorRecording('session'), /development builds/);
+});
+
+test('a replay left in storage is ignored outside development builds', async () => {
+  const context = loadSensorProviders({ update_url: 'https://clients2.google.com/service/update2/crx' });
+  await context.chrome.storage.local.set({ sensorMode: { mode: 'replay', trace, startedAt: Date.now(), position: 0 } });
+
+  const readings = await context.collectSensorReadings();
+  assert.strictEqual(readings.live, true);
+});
+
+test('a denied, failing or slow sensor leaves the rest of the round', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const context = loadSensorProviders();
+  const provider = (collect, permission = 'granted') => ({
+    isAvailable: async () => true,
+    getPermissionState: async () => permission,
+    collect
+  });
+  const round = context.collectFromProviders({
+    location: provider(async () => ({ lat: 36.37, lng: -94.21, accuracy: 10 })),
+    wifi: provider(async () => ({ networks: [] }), 'denied'),
+    motion: provider(async () => {
+      throw new Error('sensor error');
+    }),
+    pos: provider(() => new Promise(() => {}))
+  }, 1000);
+  // Let the other providers answer before the timeouts run out
+  await new Promise(setImmediate);
+  t.mock.timers.tick(POS_TIMEOUT_MS);
+
+  const { timestamp, signals } = await round;
+  assert.strictEqual(timestamp, 1000);
+  assert.strictEqual(signals.location.status, 'ok');
+  assert.strictEqual(signals.location.reading.lat, 36.37);
+  assert.strictEqual(signals.wifi.status, 'denied');
+  assert.strictEqual(signals.wifi.reading, null);
+  assert.strictEqual(signals.motion.status, 'error');
+  assert.strictEqual(signals.motion.error, 'sensor error');
+  assert.strictEqual(signals.pos.status, 'timeout');
+});
+
+test('sensor states for status displays leave out the readings', () => {
+  const context = loadSensorProviders();
+  const states = context.describeSensorStates({
+    timestamp: 0,
+    signals: {
+      location: { status: 'ok', permission: 'granted', reading: { lat: 36.37, lng: -94.21 } },
+      wifi: { status: 'denied', permission: 'denied', reading: null }
+    }
+  });
+  assert.deepStrictEqual(toPlain(states), {
+    location: { status: 'ok', permission: 'granted' },
+    wifi: { status: 'denied', permission: 'denied' }
+  });
+});
@@ -0,0 +1,444 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const { webcrypto } = crypto;
+
+const { createApp, CONFIG } = require('../server/server');
+const { createStepUpCodes } = require('../server/step-up');
+const { keyFingerprint } = require('../server/signatures');
+const { buildSignedContextPayload, buildSignedStepUpPayload, buildSignedDevicePayload } = require('../walmart/canonical');
+const { getGeofenceBounds, createGeofenceProof } = require('../walmart/zkp');
+const { stores } = require('../walmart/stores.json');
+
+const ORIGIN = 'https://www.walmart.com';
+const STORE_URL = `${ORIGIN}/store/100`;
+const CONTEXT_HASH = 'context-hash';
+const STEP_UP_SECRET = 'test-step-up-secret';
+const SIGN_PARAMS = { name: 'ECDSA', hash: { name: 'SHA-256' } };
+// Well-formed hex, but not a point on P-256
+const OFF_CURVE_KEY = `04${'1'.repeat(128)}`;
+const EXTENSION_ID = 'abcdefghijklmnopabcdefghijklmnop';
+
+// Start the reference backend on a free port; the test stops it when done
+async function startServer(t, overrides = {}) {
+  const server = http.createServer(createApp({ ...CONFIG, dataFile: null, stepUpSecret: STEP_UP_SECRET, ...overrides }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const baseUrl = `http://127.0.0.1:${server.address().port}${CONFIG.basePath}`;
+  return async function post(path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+}
+
+// A device key as the extension's key store makes it: P-256, hex raw public key, P1363 signatures
+async function createDeviceKey() {
+  const keyPair = await webcrypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign', 'verify']);
+  const publicKey = Buffer.from(await webcrypto.subtle.exportKey('raw', keyPair.publicKey)).toString('hex');
+  return {
+    publicKey,
+    async sign(data) {
+      return Buffer.from(await webcrypto.subtle.sign(SIGN_PARAMS, keyPair.privateKey, Buffer.from(data, 'utf8'))).toString('hex');
+    }
+  };
+}
+
+// The statement the outgoing key signs in rotateDeviceKey()
+async function createKeyRotation(previous, next) {
+  const rotatedAt = Date.now();
+  return {
+    previousPublicKey: previous.publicKey,
+    publicKey: next.publicKey,
+    rotatedAt,
+    signature: await previous.sign(`${previous.publicKey}:${next.publicKey}:${rotatedAt}`)
+  };
+}
+
+// A platform authenticator credential: its assertions sign SHA-256(data) as the challenge, as
+// getCredentialAssertion() asks for, from the extension's origin
+function createCredential() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const sha256 = data => crypto.createHash('sha256').update(data).digest();
+  return {
+    id: 'credential-1',
+    publicKey: `04${Buffer.from(jwk.x, 'base64url').toString('hex')}${Buffer.from(jwk.y, 'base64url').toString('hex')}`,
+    async sign(data) {
+      const clientDataJSON = Buffer.from(JSON.stringify({
+        type: 'webauthn.get',
+        challenge: sha256(Buffer.from(data, 'utf8')).toString('base64url'),
+        origin: `chrome-extension://${EXTENSION_ID}`
+      }));
+      // rpIdHash, flags (user present), signCount
+      const authenticatorData = Buffer.concat([sha256(EXTENSION_ID), Buffer.from([0x01, 0, 0, 0, 1])]);
+      const signature = crypto.sign('sha256', Buffer.concat([authenticatorData, sha256(clientDataJSON)]), privateKey);
+      return {
+        authenticatorData: authenticatorData.toString('base64url'),
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        signature: signature.toString('base64url')
+      };
+    }
+  };
+}
+
+// Link a credential to an enrolled device like registerDeviceCredential() does
+async function registerCredential(post, deviceKey, credential) {
+  const timestamp = Date.now();
+  const params = { credentialId: credential.id, credentialPublicKey: credential.publicKey };
+  const signedPayload = buildSignedDevicePayload({ action: 'register-credential', publicKey: deviceKey.publicKey, timestamp, params });
+  return post('/register-credential', {
+    ...params,
+    publicKey: deviceKey.publicKey,
+    timestamp,
+    signature: await deviceKey.sign(signedPayload),
+    assertion: await credential.sign(signedPayload)
+  });
+}
+
+// Send a signed device management request like sendDeviceRequest() does
+async function deviceRequest(post, deviceKey, action, path, params = {}) {
+  const timestamp = Date.now();
+  const signedPayload = buildSignedDevicePayload({ action, publicKey: deviceKey.publicKey, timestamp, params });
+  return post(path, { ...params, publicKey: deviceKey.publicKey, timestamp, signature: await deviceKey.sign(signedPayload) });
+}
+
+// A geofence proof from the middle of the box around a store, or null without a store
+async function proveStore(deviceKey, storeId) {
+  const store = stores.find(candidate => candidate.storeId === storeId);
+  if (!store) {
+    return null;
+  }
+  const bounds = getGeofenceBounds(store);
+  return createGeofenceProof({
+    point: { lat: Math.round((bounds.latMin + bounds.latMax) / 2), lng: Math.round((bounds.lngMin + bounds.lngMax) / 2) },
+    bounds,
+    storeId,
+    publicKey: deviceKey.publicKey,
+    contextHash: CONTEXT_HASH
+  });
+}
+
+// Request a token like requestTokenWithChallenge() does, proving presence at `storeId` if given;
+// `signer` is the device key unless a credential signs instead
+async function requestToken(post, deviceKey, { consistencyScore = 0.9, keyRotation = null, storeId = null, signer = deviceKey } = {}) {
+  const { body: { nonce } } = await post('/challenge', { origin: ORIGIN });
+  const geofence = await proveStore(deviceKey, storeId);
+  const signature = await signer.sign(buildSignedContextPayload({
+    contextHash: CONTEXT_HASH,
+    nonce,
+    origin: ORIGIN,
+    url: STORE_URL,
+    geofenceTranscript: geofence ? geofence.transcript : null
+  }));
+  return post('/issue-token', {
+    contextHash: CONTEXT_HASH,
+    nonce,
+    origin: ORIGIN,
+    url: STORE_URL,
+    signature,
+    consistencyScore,
+    publicKey: deviceKey.publicKey,
+    keyRotation,
+    geofenceProof: geofence ? geofence.proof : null
+  });
+}
+
+// Exchange a store code like requestStepUpToken() does, proving presence at `proofStoreId` if given
+async function requestStepUp(post, deviceKey, { code, storeId = 'walmart-100', proofStoreId = storeId, consistencyScore = 0.5 }) {
+  const { body: { nonce } } = await post('/challenge', { origin: ORIGIN });
+  const geofence = await proveStore(deviceKey, proofStoreId);
+  const signature = await deviceKey.sign(buildSignedStepUpPayload({
+    contextHash: CONTEXT_HASH,
+    nonce,
+    origin: ORIGIN,
+    url: STORE_URL,
+    storeId,
+    code,
+    geofenceTranscript: geofence ? geofence.transcript : null
+  }));
+  return post('/step-up', {
+    contextHash: CONTEXT_HASH,
+    nonce,
+    origin: ORIGIN,
+    url: STORE_URL,
+    signature,
+    consistencyScore,
+    publicKey: deviceKey.publicKey,
+    storeId,
+    code,
+    geofenceProof: geofence ? geofence.proof : null
+  });
+}
+
+function currentStoreCode(storeId = 'walmart-100') {
+  return createStepUpCodes({ secret: STEP_UP_SECRET }).current(storeId).code;
+}
+
+// A code that isn't the store's current or previous one
+function wrongStoreCode(storeId = 'walmart-100') {
+  const codes = createStepUpCodes({ secret: STEP_UP_SECRET });
+  const recent = [codes.current(storeId).code, codes.current(storeId, Date.now() - 30000).code];
+  return ['000000', '111111', '222222'].find(code => !recent.includes(code));
+}
+
+// An enrolled device, as step-up requires
+async function enrollDevice(post) {
+  const deviceKey = await createDeviceKey();
+  assert.strictEqual((await requestToken(post, deviceKey, { storeId: 'walmart-100' })).status, 200);
+  return deviceKey;
+}
+
+test('tokens need a geofence proof by default', async t => {
+  const post = await startServer(t);
+  const deviceKey = await createDeviceKey();
+
+  const response = await requestToken(post, deviceKey);
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.body.error, 'geofence_proof_required');
+});
+
+test('a geofence proof for a store of the site lets the claimed score stand', async t => {
+  const post = await startServer(t);
+  const deviceKey = await createDeviceKey();
+
+  const response = await requestToken(post, deviceKey, { consistencyScore: 0.95, storeId: 'walmart-100' });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.consistencyScore, 0.95);
+  const verified = await post('/verify-token', { token: response.body.token });
+  assert.strictEqual(verified.body.store, 'walmart-100');
+});
+
+test('a geofence proof for another site\'s store is refused', async t => {
+  const post = await startServer(t);
+  const deviceKey = await createDeviceKey();
+
+  const response = await requestToken(post, deviceKey, { storeId: 'target-1375' });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.body.error, 'store_site_mismatch');
+});
+
+test('without a geofence proof the claimed score is capped', async t => {
+  const post = await startServer(t, { requireGeofenceProof: false, unprovenMaxScore: 0.75 });
+  const deviceKey = await createDeviceKey();
+
+  const response = await requestToken(post, deviceKey, { consistencyScore: 1 });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.consistencyScore, 0.75);
+  const verified = await post('/verify-token', { token: response.body.token });
+  assert.strictEqual(verified.body.consistencyScore, 0.75);
+});
+
+test('an unproven score above the cap still misses a higher minimum', async t => {
+  const post = await startServer(t, { requireGeofenceProof: false, unprovenMaxScore: 0.75, minScore: 0.8 });
+  const deviceKey = await createDeviceKey();
+
+  const response = await requestToken(post, deviceKey, { consistencyScore: 1 });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.body.error, 'insufficient_score');
+});
+
+test('consistency scores outside 0..1 are malformed', async t => {
+  const post = await startServer(t);
+  const deviceKey = await createDeviceKey();
+
+  const response = await requestToken(post, deviceKey, { consistencyScore: 5, storeId: 'walmart-100' });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.error, 'invalid_request');
+});
+
+test('a token request can\'t be replayed or moved to another URL', async t => {
+  const post = await startServer(t, { requireGeofenceProof: false });
+  const deviceKey = await createDeviceKey();
+  const { body: { nonce } } = await post('/challenge', { origin: ORIGIN });
+  const body = {
+    contextHash: CONTEXT_HASH,
+    nonce,
+    origin: ORIGIN,
+    url: STORE_URL,
+    signature: await deviceKey.sign(buildSignedContextPayload({ contextHash: CONTEXT_HASH, nonce, origin: ORIGIN, url: STORE_URL })),
+    consistencyScore: 0.7,
+    publicKey: deviceKey.publicKey
+  };
+  assert.strictEqual((await post('/issue-token', body)).status, 200);
+
+  const replayed = await post('/issue-token', body);
+  assert.strictEqual(replayed.status, 401);
+  assert.strictEqual(replayed.body.error, 'nonce_reused');
+
+  const { body: { nonce: fresh } } = await post('/challenge', { origin: ORIGIN });
+  const signature = await deviceKey.sign(buildSignedContextPayload({ contextHash: CONTEXT_HASH, nonce: fresh, origin: ORIGIN, url: STORE_URL }));
+  const moved = await post('/issue-token', { ...body, nonce: fresh, signature, url: `${ORIGIN}/store/2280` });
+  assert.strictEqual(moved.status, 401);
+  assert.strictEqual(moved.body.error, 'invalid_signature');
+});
+
+test('a key rotation on a rejected token request can be retried', async t => {
+  const post = await startServer(t, { requireGeofenceProof: false });
+  const previous = await createDeviceKey();
+  const next = await createDeviceKey();
+  assert.strictEqual((await requestToken(post, previous)).status, 200);
+
+  const keyRotation = await createKeyRotation(previous, next);
+  const rejected = await requestToken(post, next, { keyRotation, consistencyScore: 0.1 });
+  assert.strictEqual(rejected.status, 403);
+  assert.strictEqual(rejected.body.error, 'insufficient_score');
+
+  const retried = await requestToken(post, next, { keyRotation });
+  assert.strictEqual(retried.status, 200);
+  assert.strictEqual(typeof retried.body.token, 'string');
+
+  // Once applied, sending the same statement again is harmless
+  assert.strictEqual((await requestToken(post, next, { keyRotation })).status, 200);
+});
+
+test('a device with a credential may sign token requests with either key', async t => {
+  const post = await startServer(t);
+  const deviceKey = await enrollDevice(post);
+  const credential = createCredential();
+  assert.strictEqual((await registerCredential(post, deviceKey, credential)).status, 200);
+
+  const asserted = await requestToken(post, deviceKey, { storeId: 'walmart-100', signer: credential });
+  assert.strictEqual(asserted.status, 200);
+  // When the ceremony fails the extension falls back to the device key
+  const fallback = await requestToken(post, deviceKey, { storeId: 'walmart-100' });
+  assert.strictEqual(fallback.status, 200);
+
+  const otherCredential = createCredential();
+  const forged = await requestToken(post, deviceKey, { storeId: 'walmart-100', signer: otherCredential });
+  assert.strictEqual(forged.status, 401);
+});
+
+test('a store code with a geofence proof for that store steps up', async t => {
+  const post = await startServer(t);
+  const deviceKey = await enrollDevice(post);
+
+  const response = await requestStepUp(post, deviceKey, { code: currentStoreCode() });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.stepUp, true);
+  assert.strictEqual(response.body.store, 'walmart-100');
+});
+
+test('step-up needs a geofence proof for the same store by default', async t => {
+  const post = await startServer(t);
+  const deviceKey = await enrollDevice(post);
+
+  const unproven = await requestStepUp(post, deviceKey, { code: currentStoreCode(), proofStoreId: null });
+  assert.strictEqual(unproven.body.error, 'geofence_proof_required');
+  const elsewhere = await requestStepUp(post, deviceKey, { code: currentStoreCode(), proofStoreId: 'walmart-2280' });
+  assert.strictEqual(elsewhere.body.error, 'geofence_mismatch');
+});
+
+test('the step-up floor applies to the capped score without a geofence proof', async t => {
+  const post = await startServer(t, { requireGeofenceProof: false, unprovenMaxScore: 0.3, stepUpMinScore: 0.4 });
+  const deviceKey = await enrollDevice(post);
+
+  const response = await requestStepUp(post, deviceKey, { code: currentStoreCode(), proofStoreId: null, consistencyScore: 0.6 });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.body.error, 'insufficient_score');
+});
+
+test('a device is locked out of step-up after too many wrong codes', async t => {
+  const post = await startServer(t, { stepUpMaxFailures: 2 });
+  const deviceKey = await enrollDevice(post);
+  const otherDevice = await enrollDevice(post);
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const wrong = await requestStepUp(post, deviceKey, { code: wrongStoreCode() });
+    assert.strictEqual(wrong.body.error, 'invalid_step_up_code');
+  }
+  const locked = await requestStepUp(post, deviceKey, { code: currentStoreCode() });
+  assert.strictEqual(locked.status, 403);
+  assert.strictEqual(locked.body.error, 'step_up_locked');
+
+  // The limit is per device
+  assert.strictEqual((await requestStepUp(post, otherDevice, { code: currentStoreCode() })).status, 200);
+});
+
+test('malformed token checks are rejected as invalid requests', async t => {
+  const post = await startServer(t);
+
+  for (const body of [null, {}, { token: 42 }]) {
+    const response = await post('/verify-token', body);
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error, 'invalid_request');
+  }
+});
+
+test('request bodies that are not objects are rejected on every route', async t => {
+  const post = await startServer(t);
+
+  for (const path of ['/issue-token', '/step-up', '/verify-request', '/challenge']) {
+    for (const body of [null, [], 'token']) {
+      const response = await post(path, body);
+      assert.strictEqual(response.status, 400, `${path} ${JSON.stringify(body)}`);
+      assert.strictEqual(response.body.error, 'invalid_request');
+    }
+  }
+});
+
+test('public keys off the curve are rejected as malformed', async t => {
+  const post = await startServer(t, { requireGeofenceProof: false });
+  const deviceKey = await createDeviceKey();
+  const offCurve = { publicKey: OFF_CURVE_KEY, sign: deviceKey.sign };
+
+  const listed = await post('/list-devices', { publicKey: OFF_CURVE_KEY, timestamp: Date.now(), signature: 'ab'.repeat(64) });
+  assert.strictEqual(listed.status, 400);
+  assert.strictEqual(listed.body.error, 'invalid_public_key');
+  const issued = await requestToken(post, offCurve);
+  assert.strictEqual(issued.status, 400);
+  assert.strictEqual(issued.body.error, 'invalid_public_key');
+});
+
+test('a credential key off the curve is rejected as an invalid request', async t => {
+  const post = await startServer(t);
+  const deviceKey = await enrollDevice(post);
+  const credential = { ...createCredential(), publicKey: OFF_CURVE_KEY };
+
+  const response = await registerCredential(post, deviceKey, credential);
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.error, 'invalid_request');
+});
+
+test('devices list, rename and revoke the devices of their own account', async t => {
+  const post = await startServer(t);
+  const deviceKey = await enrollDevice(post);
+  const fingerprint = keyFingerprint(deviceKey.publicKey);
+
+  const renamed = await deviceRequest(post, deviceKey, 'rename', '/rename-device', { fingerprint, label: ' Kitchen laptop ' });
+  assert.strictEqual(renamed.status, 200);
+  const listed = await deviceRequest(post, deviceKey, 'list', '/list-devices');
+  assert.deepStrictEqual(listed.body.devices.map(({ label, status, current }) => ({ label, status, current })), [
+    { label: 'Kitchen laptop', status: 'enrolled', current: true }
+  ]);
+
+  // Another account's device is unknown to this one
+  const stranger = await enrollDevice(post);
+  const foreign = await deviceRequest(post, stranger, 'revoke', '/revoke-device', { fingerprint });
+  assert.strictEqual(foreign.status, 404);
+  assert.strictEqual(foreign.body.error, 'unknown_device');
+
+  const revoked = await deviceRequest(post, deviceKey, 'revoke', '/revoke-device', { fingerprint: null });
+  assert.deepStrictEqual(revoked.body, { revoked: true, current: true });
+  const refused = await requestToken(post, deviceKey, { storeId: 'walmart-100' });
+  assert.strictEqual(refused.status, 403);
+  assert.strictEqual(refused.body.error, 'device_revoked');
+});
+
+test('device management requests must be freshly signed by the device', async t => {
+  const post = await startServer(t);
+  const deviceKey = await enrollDevice(post);
+  const other = await createDeviceKey();
+
+  const stale = await post('/list-devices', { publicKey: deviceKey.publicKey, timestamp: Date.now() - 3600 * 1000, signature: 'ab'.repeat(64) });
+  assert.strictEqual(stale.body.error, 'stale_request');
+  const forged = await deviceRequest(post, { publicKey: deviceKey.publicKey, sign: other.sign }, 'list', '/list-devices');
+  assert.strictEqual(forged.status, 401);
+  assert.strictEqual(forged.body.error, 'invalid_signature');
+  const unenrolled = await deviceRequest(post, other, 'list', '/list-devices');
+  assert.strictEqual(unenrolled.body.error, 'device_not_enrolled');
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { isPublicKeyHex, verifyDeviceSignature, verifyWebAuthnAssertion } = require('../server/signatures');
+
+const OFF_CURVE_KEY = `04${'1'.repeat(128)}`;
+
+test('well-formed keys off the curve are not public keys', () => {
+  assert.strictEqual(isPublicKeyHex(OFF_CURVE_KEY), false);
+});
+
+test('signatures under a key off the curve don\'t verify', async () => {
+  assert.strictEqual(await verifyDeviceSignature(OFF_CURVE_KEY, 'data', 'ab'.repeat(64)), false);
+  const assertion = { authenticatorData: 'AA', clientDataJSON: 'AA', signature: 'AA' };
+  assert.strictEqual(verifyWebAuthnAssertion(OFF_CURVE_KEY, 'data', assertion), false);
+});
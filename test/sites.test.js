@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtensionScripts } = require('./helpers/extension-scripts');
+
+const noopEvent = { addListener() {} };
+const chrome = {
+  storage: { onChanged: noopEvent },
+  tabs: { onRemoved: noopEvent }
+};
+const { isApiUrl, getApiUrlFilter, isValidSiteEntry } = loadExtensionScripts(['sites.js', 'header-rules.js'], { chrome });
+
+const site = { apiPattern: 'api.walmart.com' };
+const pathSite = { apiPattern: 'api.walmart.com/v1/' };
+
+test('API URLs match the pattern host and its subdomains', () => {
+  assert.strictEqual(isApiUrl(site, 'https://api.walmart.com/cart'), true);
+  assert.strictEqual(isApiUrl(site, 'https://eu.api.walmart.com/cart'), true);
+  assert.strictEqual(isApiUrl(pathSite, 'https://api.walmart.com/v1/cart'), true);
+  assert.strictEqual(isApiUrl(pathSite, 'https://api.walmart.com/v2/cart'), false);
+});
+
+test('lookalike hosts are not API URLs', () => {
+  assert.strictEqual(isApiUrl(site, 'https://api.walmart.com.example/cart'), false);
+  assert.strictEqual(isApiUrl(site, 'https://api.walmart.company/cart'), false);
+  assert.strictEqual(isApiUrl(site, 'https://evilapi.walmart.com/cart'), false);
+  assert.strictEqual(isApiUrl(pathSite, 'https://api.walmart.com.example/v1/cart'), false);
+  assert.strictEqual(isApiUrl(site, 'https://example.com/api.walmart.com/cart'), false);
+});
+
+test('header rule filters end the host at a separator or the path', () => {
+  assert.strictEqual(getApiUrlFilter(site), '||api.walmart.com^');
+  assert.strictEqual(getApiUrlFilter(pathSite), '||api.walmart.com/v1/');
+});
+
+test('API patterns must be a host with an optional path', () => {
+  const entry = { apiPattern: 'api.example.com', storePattern: '/store/', endpoint: 'https://api.example.com', policy: 'online' };
+  assert.strictEqual(isValidSiteEntry('example.com', entry), true);
+  assert.strictEqual(isValidSiteEntry('example.com', { ...entry, apiPattern: 'api.example.com/v1/' }), true);
+  assert.strictEqual(isValidSiteEntry('example.com', { ...entry, apiPattern: '*.example.com' }), false);
+  assert.strictEqual(isValidSiteEntry('example.com', { ...entry, apiPattern: 'api.example.com^|' }), false);
+});
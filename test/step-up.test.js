@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createStepUpAttemptLimiter } = require('../server/step-up');
+
+const DEVICE = '04'.padEnd(130, 'a');
+
+test('a step-up lockout ends with the window of the first wrong code', () => {
+  const limiter = createStepUpAttemptLimiter({ maxFailures: 2, windowSeconds: 60 });
+  limiter.recordFailure(DEVICE, 0);
+  limiter.recordFailure(DEVICE, 30000);
+
+  assert.strictEqual(limiter.isLocked(DEVICE, 59999), true);
+  assert.strictEqual(limiter.isLocked(DEVICE, 60000), false);
+});
+
+test('a correct step-up code clears the wrong ones', () => {
+  const limiter = createStepUpAttemptLimiter({ maxFailures: 2, windowSeconds: 60 });
+  limiter.recordFailure(DEVICE, 0);
+  limiter.reset(DEVICE);
+  limiter.recordFailure(DEVICE, 1000);
+
+  assert.strictEqual(limiter.isLocked(DEVICE, 2000), false);
+});
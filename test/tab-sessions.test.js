@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtensionScripts } = require('./helpers/extension-scripts');
+
+const GUARDED_CALL_WAIT_MS = 100;
+const STORE_URL = 'https://www.walmart.com/store/100';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// The tab session manager; `globals` supplies verifySiteContext and may replace the header rule stubs
+function loadTabSessions(globals) {
+  const listeners = {};
+  const event = name => ({ addListener: listener => { listeners[name] = listener; } });
+  const chrome = {
+    storage: { sync: { get: async () => ({}) }, managed: { get: async () => ({}) }, onChanged: event('storage') },
+    permissions: { contains: async () => true, onAdded: event('permissionAdded'), onRemoved: event('permissionRemoved') },
+    alarms: { create() {}, clear() {}, onAlarm: event('alarm') },
+    idle: { setDetectionInterval() {}, queryState: async () => 'active', onStateChanged: event('idle') },
+    tabs: { query: async () => [], sendMessage: async () => {}, onRemoved: event('tabRemoved') },
+    webNavigation: { onCommitted: event('committed'), onHistoryStateUpdated: event('history'), onReferenceFragmentUpdated: event('fragment') }
+  };
+  const context = loadExtensionScripts(['messages.js', 'sites.js', 'token-lifecycle.js', 'tab-sessions.js'], {
+    chrome,
+    console: { ...console, error() {} },
+    SCHEDULER_POLICY: { pauseWhenHidden: true, pauseWhenIdle: true, idleDetectionSeconds: 60, diagnosticsLimit: 100, guardedCallWaitMs: GUARDED_CALL_WAIT_MS },
+    setTabHeaderRule: async () => {},
+    removeTabHeaderRule: async () => {},
+    publishTabStatus() {},
+    ...globals
+  });
+  return { context, listeners };
+}
+
+// The tab session manager with one tab on a store page. `verifySiteContext` answers each
+// verification in turn: the first with `firstToken`, later ones only when the test resolves them.
+async function startSession(firstToken) {
+  const pending = [];
+  let verifications = 0;
+  const { context, listeners } = loadTabSessions({
+    verifySiteContext: async () => {
+      verifications += 1;
+      return verifications === 1 ? { token: firstToken } : new Promise(resolve => pending.push(resolve));
+    }
+  });
+  await context.describeTabSession({ id: 1, url: STORE_URL });
+  await sleep(10);
+  return {
+    context,
+    pending,
+    verifications: () => verifications,
+    // Leaving the session clears its refresh timer
+    stop: () => listeners.tabRemoved(1)
+  };
+}
+
+test('a guarded call with a valid token due for refresh is signed without waiting', async t => {
+  const session = await startSession({ token: 'token-1', expiresAt: Date.now() + 3000 });
+  t.after(session.stop);
+
+  const startedAt = Date.now();
+  await session.context.ensureTabSessionToken(1);
+
+  assert.ok(Date.now() - startedAt < GUARDED_CALL_WAIT_MS);
+  assert.strictEqual(session.verifications(), 2);
+  assert.strictEqual(session.context.getTabSessionStatus(1).schedule.state, 'verifying');
+  session.pending.forEach(resolve => resolve({ token: { token: 'token-2', expiresAt: Date.now() + 30000 } }));
+});
+
+test('a guarded call without a valid token waits at most guardedCallWaitMs', async t => {
+  const session = await startSession({ token: 'token-1', expiresAt: Date.now() + 20 });
+  t.after(session.stop);
+  await sleep(30);
+
+  const startedAt = Date.now();
+  await session.context.ensureTabSessionToken(1);
+  const waited = Date.now() - startedAt;
+
+  assert.ok(waited >= GUARDED_CALL_WAIT_MS - 5 && waited < GUARDED_CALL_WAIT_MS + 200, `waited ${waited} ms`);
+  assert.strictEqual(session.verifications(), 2);
+  session.pending.forEach(resolve => resolve({ token: { token: 'token-2', expiresAt: Date.now() + 30000 } }));
+});
+
+test('a guarded call without a valid token goes ahead once verification finishes', async t => {
+  const session = await startSession({ token: 'token-1', expiresAt: Date.now() + 20 });
+  t.after(session.stop);
+  await sleep(30);
+
+  const call = session.context.ensureTabSessionToken(1);
+  session.pending.forEach(resolve => resolve({ token: { token: 'token-2', expiresAt: Date.now() + 30000 } }));
+  await call;
+
+  assert.strictEqual(session.context.getTabSessionStatus(1).status.token.token, 'token-2');
+});
+
+test('store tabs of one site share a verification, and the session ends with its last tab', async t => {
+  const headerRules = new Map();
+  let verifications = 0;
+  const { context, listeners } = loadTabSessions({
+    setTabHeaderRule: async (tabId, site, token) => {
+      headerRules.set(tabId, token.token);
+    },
+    removeTabHeaderRule: async tabId => {
+      headerRules.delete(tabId);
+    },
+    verifySiteContext: async () => {
+      verifications += 1;
+      return { token: { token: `token-${verifications}`, expiresAt: Date.now() + 30000 } };
+    }
+  });
+  t.after(() => [1, 2].forEach(tabId => listeners.tabRemoved(tabId)));
+
+  await context.describeTabSession({ id: 1, url: STORE_URL });
+  await context.describeTabSession({ id: 2, url: 'https://www.walmart.com/store/2280' });
+  await sleep(10);
+  assert.strictEqual(verifications, 1);
+  assert.deepStrictEqual([...headerRules], [[1, 'token-1'], [2, 'token-1']]);
+
+  // A tab leaving the store drops its rule; the session goes on for the other
+  await context.describeTabSession({ id: 1, url: 'https://www.walmart.com/cart' });
+  assert.deepStrictEqual([...headerRules], [[2, 'token-1']]);
+  assert.strictEqual(context.getTabSessionStatus(2).status.token.token, 'token-1');
+  assert.strictEqual(context.getTabSessionStatus(1).inStore, false);
+
+  // The session ends with its last tab; the next store tab verifies afresh
+  listeners.tabRemoved(2);
+  await sleep(0);
+  assert.strictEqual(headerRules.size, 0);
+  assert.strictEqual(context.getTabSessionStatus(2).inStore, false);
+  await context.describeTabSession({ id: 1, url: STORE_URL });
+  await sleep(10);
+  assert.strictEqual(verifications, 2);
+  assert.deepStrictEqual([...headerRules], [[1, 'token-2']]);
+});
+
+test('re-verifying a tab waits for a running verification and then scores afresh', async t => {
+  const calls = [];
+  const answers = [];
+  const assessment = { passed: true, score: 0.9, minScore: 0.7, breakdown: {}, anomalies: [] };
+  const sensors = { location: { status: 'ok', permission: 'granted' }, wifi: { status: 'unavailable', permission: null } };
+  const { context, listeners } = loadTabSessions({
+    verifySiteContext: (url, options = {}) => {
+      calls.push(options.reuseToken !== false);
+      return new Promise(resolve => answers.push(resolve));
+    }
+  });
+  t.after(() => listeners.tabRemoved(1));
+
+  await context.describeTabSession({ id: 1, url: STORE_URL });
+  const reverified = context.verifyTabSessionNow(1, 'popup re-verify', { reuseToken: false });
+  await sleep(0);
+  // The session's first verification may reuse the cached token, so it isn't the re-verification
+  assert.deepStrictEqual(calls, [true]);
+  answers[0]({ token: { token: 'cached', expiresAt: Date.now() + 30000 }, assessment, sensors });
+  await sleep(0);
+  assert.deepStrictEqual(calls, [true, false]);
+  answers[1]({ token: { token: 'fresh', expiresAt: Date.now() + 30000 }, assessment, sensors });
+
+  const status = await reverified;
+  assert.strictEqual(status.token.token, 'fresh');
+  // The popup shows the sub-scores and sensor states behind the status
+  assert.strictEqual(status.assessment.score, 0.9);
+  assert.strictEqual(status.sensors.wifi.status, 'unavailable');
+  assert.strictEqual(context.getTabSessionStatus(1).status, status);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtensionScripts } = require('./helpers/extension-scripts');
+
+const {
+  getTokenExpiry,
+  isTokenExpired,
+  isTokenDueForRefresh,
+  computeRefreshDelay
+} = loadExtensionScripts(['token-lifecycle.js']);
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+// An unsigned JWT with the given claims; only the payload is read
+function jwt(claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}.signature`;
+}
+
+test('a token\'s expiry comes from expiresAt, else from its exp claim', () => {
+  assert.strictEqual(getTokenExpiry({ expiresAt: NOW, token: jwt({ exp: 1 }) }), NOW);
+  assert.strictEqual(getTokenExpiry({ token: jwt({ exp: NOW / 1000 }) }), NOW);
+  assert.strictEqual(getTokenExpiry({ token: 'not-a-jwt' }), null);
+  assert.strictEqual(getTokenExpiry(null), null);
+});
+
+test('tokens without a known expiry are expired and due for refresh', () => {
+  const token = { token: 'opaque' };
+  assert.strictEqual(isTokenExpired(token, NOW), true);
+  assert.strictEqual(isTokenDueForRefresh(token, NOW), true);
+  assert.strictEqual(computeRefreshDelay(token, NOW), 25000);
+});
+
+test('a token is refreshed shortly before it expires', () => {
+  const token = { expiresAt: NOW + 30000 };
+  assert.strictEqual(isTokenExpired(token, NOW), false);
+  assert.strictEqual(isTokenDueForRefresh(token, NOW), false);
+  assert.strictEqual(isTokenDueForRefresh(token, NOW + 25000), true);
+
+  // 5 s ahead of the expiry, less up to 2 s of jitter
+  const delay = computeRefreshDelay(token, NOW);
+  assert.ok(delay > 23000 && delay <= 25000, `delay ${delay}`);
+});
+
+test('a token about to expire is refreshed after a short pause, not at once', () => {
+  assert.strictEqual(computeRefreshDelay({ expiresAt: NOW + 2000 }, NOW), 1000);
+});
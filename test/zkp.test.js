@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { getGeofenceBounds, createGeofenceProof, verifyGeofenceProof } = require('../walmart/zkp');
+
+const PUBLIC_KEY = '04'.padEnd(130, 'a');
+const CONTEXT_HASH = 'context-hash';
+const store = { storeId: 'walmart-100', center: { lat: 36.3615, lng: -94.215 }, radius: 150 };
+const bounds = getGeofenceBounds(store);
+const center = { lat: Math.round((bounds.latMin + bounds.latMax) / 2), lng: Math.round((bounds.lngMin + bounds.lngMax) / 2) };
+
+function prove(point = center) {
+  return createGeofenceProof({ point, bounds, storeId: store.storeId, publicKey: PUBLIC_KEY, contextHash: CONTEXT_HASH });
+}
+
+test('a proof for a point inside the box verifies for its key and context', async () => {
+  const { proof, transcript } = await prove();
+  const result = await verifyGeofenceProof(proof, { publicKey: PUBLIC_KEY, contextHash: CONTEXT_HASH });
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.transcript, transcript);
+});
+
+test('a proof can\'t be moved to another device or context', async () => {
+  const { proof } = await prove();
+  const otherKey = await verifyGeofenceProof(proof, { publicKey: '04'.padEnd(130, 'b'), contextHash: CONTEXT_HASH });
+  assert.strictEqual(otherKey.valid, false);
+  const otherContext = await verifyGeofenceProof(proof, { publicKey: PUBLIC_KEY, contextHash: 'other' });
+  assert.strictEqual(otherContext.valid, false);
+});
+
+test('a proof doesn\'t verify against other bounds', async () => {
+  const { proof } = await prove();
+  const shifted = { ...proof, bounds: { ...proof.bounds, latMin: proof.bounds.latMin + 1000, latMax: proof.bounds.latMax + 1000 } };
+  const result = await verifyGeofenceProof(shifted, { publicKey: PUBLIC_KEY, contextHash: CONTEXT_HASH });
+  assert.strictEqual(result.valid, false);
+});
+
+test('points outside the box can\'t be proven and malformed proofs are refused', async () => {
+  await assert.rejects(prove({ lat: bounds.latMax + 1, lng: center.lng }), /outside the store geofence/);
+  assert.strictEqual((await verifyGeofenceProof(null, { publicKey: PUBLIC_KEY, contextHash: CONTEXT_HASH })).reason, 'unsupported_proof');
+  const { proof } = await prove();
+  const garbled = { ...proof, commitments: { ...proof.commitments, lat: 'zz' } };
+  assert.strictEqual((await verifyGeofenceProof(garbled, { publicKey: PUBLIC_KEY, contextHash: CONTEXT_HASH })).reason, 'malformed_proof');
+});
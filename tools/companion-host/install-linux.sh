@@ -0,0 +1,33 @@
+#!/bin/sh
+# Register the stub companion host with Chrome (or Chromium) for the current user.
+#
+#   tools/companion-host/install-linux.sh <extension-id> [chromium]
+#
+# The extension id is shown on chrome://extensions once the unpacked extension is loaded.
+set -e
+
+if [ -z "$1" ]; then
+  echo "Usage: $0 <extension-id> [chromium]" >&2
+  exit 2
+fi
+
+HOST_NAME=com.secure_context.companion
+HOST_PATH="$(cd "$(dirname "$0")" && pwd)/stub-host.js"
+if [ "$2" = "chromium" ]; then
+  TARGET_DIR="$HOME/.config/chromium/NativeMessagingHosts"
+else
+  TARGET_DIR="$HOME/.config/google-chrome/NativeMessagingHosts"
+fi
+
+mkdir -p "$TARGET_DIR"
+chmod +x "$HOST_PATH"
+cat > "$TARGET_DIR/$HOST_NAME.json" <<MANIFEST
+{
+  "name": "$HOST_NAME",
+  "description": "Secure context companion (stub host replaying fixtures)",
+  "path": "$HOST_PATH",
+  "type": "stdio",
+  "allowed_origins": ["chrome-extension://$1/"]
+}
+MANIFEST
+echo "Registered $HOST_NAME in $TARGET_DIR"
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// Stub native companion host for testing on Linux. Speaks the extension's companion protocol (see
+// walmart/native-companion.js) over Chrome's native messaging framing and answers scans by
+// replaying a fixture, cycling through its scans with fresh timestamps.
+//
+//   COMPANION_FIXTURE=tools/companion-host/fixtures/outside-store.json google-chrome
+//
+// The fixture defaults to fixtures/walmart-100.json. Register the host with install-linux.sh.
+// Fixtures look like { name, description, capabilities, scans: [{ wifi, ble }] }, where capabilities
+// and the scan readings are in the shape the protocol returns them.
+
+const fs = require('fs');
+const path = require('path');
+
+const PROTOCOL_VERSION = 1;
+const HOST_INFO = { name: 'companion-stub-host', version: '1.0.0' };
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'walmart-100.json');
+
+function loadFixture() {
+  const fixturePath = process.env.COMPANION_FIXTURE || DEFAULT_FIXTURE;
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  if (!Array.isArray(fixture.scans) || fixture.scans.length === 0) {
+    throw new Error(`Fixture ${fixturePath} has no scans`);
+  }
+  return fixture;
+}
+
+// Native messaging frames: a 32-bit length in native (little-endian) byte order, then UTF-8 JSON
+function writeMessage(message) {
+  const body = Buffer.from(JSON.stringify(message), 'utf8');
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(body.length, 0);
+  process.stdout.write(Buffer.concat([header, body]));
+}
+
+function createMessageReader(onMessage) {
+  let buffered = Buffer.alloc(0);
+  return chunk => {
+    buffered = Buffer.concat([buffered, chunk]);
+    while (buffered.length >= 4) {
+      const length = buffered.readUInt32LE(0);
+      if (buffered.length < 4 + length) {
+        break;
+      }
+      const body = buffered.subarray(4, 4 + length).toString('utf8');
+      buffered = buffered.subarray(4 + length);
+      onMessage(JSON.parse(body));
+    }
+  };
+}
+
+function createHost(fixture) {
+  let position = 0;
+  const capabilities = fixture.capabilities || {
+    wifi: { available: true, permission: 'granted' },
+    ble: { available: true, permission: 'granted' }
+  };
+
+  function scan(signals) {
+    const sample = fixture.scans[position % fixture.scans.length];
+    position++;
+    const now = Date.now();
+    const result = {};
+    if (signals.includes('wifi') && capabilities.wifi.available && sample.wifi) {
+      result.wifi = { ...sample.wifi, timestamp: now };
+    }
+    if (signals.includes('ble') && capabilities.ble.available && sample.ble) {
+      result.ble = { ...sample.ble, timestamp: now };
+    }
+    return result;
+  }
+
+  return function handleMessage(message) {
+    const { id, type } = message;
+    if (type === 'hello') {
+      if (message.protocol !== PROTOCOL_VERSION) {
+        return { id, type: 'error', code: 'unsupported_protocol', message: `Host speaks protocol ${PROTOCOL_VERSION}` };
+      }
+      return { id, type: 'hello', protocol: PROTOCOL_VERSION, host: HOST_INFO, capabilities };
+    }
+    if (type === 'scan') {
+      return { id, type: 'scan', ...scan(Array.isArray(message.signals) ? message.signals : ['wifi', 'ble']) };
+    }
+    return { id, type: 'error', code: 'unknown_type', message: `Unknown request type: ${type}` };
+  };
+}
+
+function main() {
+  const fixture = loadFixture();
+  const handleMessage = createHost(fixture);
+  // stdout carries the protocol; diagnostics go to stderr, which Chrome logs
+  console.error(`Companion stub host replaying "${fixture.name}"`);
+  process.stdin.on('data', createMessageReader(message => writeMessage(handleMessage(message))));
+  process.stdin.on('end', () => process.exit(0));
+}
+
+main();
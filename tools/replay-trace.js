@@ -0,0 +1,111 @@
+// Replay a sensor trace through the extension's scoring pipeline without a browser.
+//
+//   node tools/replay-trace.js walmart/traces/walk-into-store.json [site-domain] [--json]
+//
+// The extension's scripts are plain browser scripts, so they are evaluated in a shared VM
+// context. Only the pure scoring modules are loaded; `chrome` is reduced to the one call
+// sites.js makes at load time.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'walmart');
+const PIPELINE_SCRIPTS = [
+  'geofence.js',
+  'sites.js',
+  'policy.js',
+  'context-history.js',
+  'context-scoring.js',
+  'sensor-providers.js'
+];
+
+// Fixed start time so replays are deterministic
+const REPLAY_BASE_TIME = Date.UTC(2026, 0, 1);
+
+function loadPipeline() {
+  const context = vm.createContext({
+    console,
+    URL,
+    // Sensor providers are raced against per-signal timeouts
+    setTimeout,
+    clearTimeout,
+    chrome: { storage: { onChanged: { addListener() {} } } }
+  });
+  PIPELINE_SCRIPTS.forEach(file => {
+    const source = fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  });
+  return context;
+}
+
+async function replayTrace(trace, domain) {
+  const pipeline = loadPipeline();
+  const sites = vm.runInContext('DEFAULT_SITES', pipeline);
+  const historyLimit = vm.runInContext('CONTEXT_HISTORY_LIMIT', pipeline);
+  const site = { ...sites[domain], domain };
+  if (!sites[domain]) {
+    throw new Error(`Unknown site: ${domain}`);
+  }
+
+  const registry = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'stores.json'), 'utf8'));
+  const stores = registry.stores.filter(store => store.site === domain);
+
+  const history = [];
+  const results = [];
+  for (const sample of trace.samples) {
+    const providers = {};
+    ['location', 'wifi', 'motion', 'pos'].forEach(signal => {
+      providers[signal] = pipeline.createReplayProvider(signal, sample, REPLAY_BASE_TIME);
+    });
+    const readings = await pipeline.collectFromProviders(providers, REPLAY_BASE_TIME + sample.t);
+    const contextData = pipeline.buildContextSnapshot(readings, stores);
+    const assessment = pipeline.assessContext(contextData, site, history, stores);
+    if (contextData.location) {
+      history.push(pipeline.toHistorySnapshot(contextData));
+      history.splice(0, Math.max(0, history.length - historyLimit));
+    }
+    results.push({ t: sample.t, store: contextData.store_match, assessment });
+  }
+  return results;
+}
+
+// STEP marks a failing sample the shopper could complete with a store code (step-up)
+function formatResult({ t, store, assessment }) {
+  const result = assessment.passed ? 'PASS' : (assessment.stepUpEligible && store ? 'STEP' : 'FAIL');
+  const storeText = store ? `${store.store_id}${store.distance ? ` +${store.distance}m` : ''}` : '-';
+  const anomalies = assessment.anomalies.map(anomaly => anomaly.type).join(',') || '-';
+  return [
+    `${(t / 1000).toFixed(0)}s`.padStart(6),
+    assessment.score.toFixed(3).padStart(6),
+    result.padEnd(5),
+    storeText.padEnd(22),
+    anomalies.padEnd(36),
+    assessment.failures.join('; ')
+  ].join(' ');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const [tracePath, domain = 'walmart.com'] = args.filter(arg => arg !== '--json');
+  if (!tracePath) {
+    console.error('Usage: node tools/replay-trace.js <trace.json> [site-domain] [--json]');
+    process.exit(2);
+  }
+
+  const trace = JSON.parse(fs.readFileSync(tracePath, 'utf8'));
+  const results = await replayTrace(trace, domain);
+  if (json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+  console.log(`${trace.name} on ${domain}: ${trace.description || ''}`);
+  console.log('     t  score result store                  anomalies                            failures');
+  results.forEach(result => console.log(formatResult(result)));
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,28 @@
+// Print a store's current step-up code and the text of its in-store QR code, as its registers
+// would show them. Uses the same STEP_UP_SECRET as the reference backend.
+//
+//   STEP_UP_SECRET=... node tools/step-up-code.js walmart-100 [--json]
+
+const { createStepUpCodes } = require('../server/step-up');
+
+function main() {
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  const [storeId] = args.filter(arg => !arg.startsWith('--'));
+  if (!storeId || !process.env.STEP_UP_SECRET) {
+    console.error('Usage: STEP_UP_SECRET=<secret> node tools/step-up-code.js <store-id> [--json]');
+    process.exit(2);
+  }
+
+  const codes = createStepUpCodes({ secret: process.env.STEP_UP_SECRET });
+  const { code, rotatesAt } = codes.current(storeId);
+  const qrText = codes.qrText(storeId);
+  if (asJson) {
+    console.log(JSON.stringify({ storeId, code, rotatesAt, qrText }, null, 2));
+  } else {
+    console.log(`${storeId}: ${code} (rotates in ${Math.ceil((rotatesAt - Date.now()) / 1000)}s)`);
+    console.log(`QR code text: ${qrText}`);
+  }
+}
+
+main();
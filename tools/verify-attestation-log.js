@@ -0,0 +1,74 @@
+// Verify an attestation log exported from the popup (JSON) for edited, reordered or deleted entries
+// and for signing keys nothing vouches for.
+//
+//   node tools/verify-attestation-log.js attestation-log.json [--key <public key hex>]... [--json]
+//
+// --key names a device key the log may start from, taken from somewhere other than the log itself
+// (the popup's device id or the backend's device records). Without one the signatures only show that
+// the log is consistent with the key it starts from, which the tool prints for comparison.
+// Runs the extension's own verifyAttestationLog in a VM context, as replay-trace.js does.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'walmart');
+const LOG_SCRIPTS = ['canonical.js', 'attestation-log.js'];
+
+function loadVerifier() {
+  const context = vm.createContext({ console, crypto: globalThis.crypto, TextEncoder });
+  LOG_SCRIPTS.forEach(file => {
+    const source = fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  });
+  return context;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  const trustedKeys = [];
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--key') {
+      trustedKeys.push((args[++i] || '').toLowerCase());
+    } else if (!args[i].startsWith('--')) {
+      positional.push(args[i]);
+    }
+  }
+  const [logPath] = positional;
+  if (!logPath) {
+    console.error('Usage: node tools/verify-attestation-log.js <exported-log.json> [--key <public key hex>]... [--json]');
+    process.exit(2);
+  }
+
+  const exported = JSON.parse(fs.readFileSync(logPath, 'utf8'));
+  const result = await loadVerifier().verifyAttestationLog(exported.entries || [], exported.base || null, {
+    trustedKeys: trustedKeys.length > 0 ? trustedKeys : null
+  });
+  const last = exported.entries && exported.entries.length > 0 ? exported.entries[exported.entries.length - 1] : null;
+
+  if (asJson) {
+    console.log(JSON.stringify({
+      ...result,
+      keysTrusted: trustedKeys.length > 0,
+      lastSeq: last ? last.seq : null,
+      lastHash: last ? last.hash : null
+    }, null, 2));
+  } else {
+    console.log(`${result.checked} entries checked: ${result.valid ? 'log is intact' : 'PROBLEMS FOUND'}`);
+    result.problems.forEach(({ seq, problem }) => console.log(`  entry ${seq}: ${problem}`));
+    if (trustedKeys.length === 0 && result.startKey) {
+      console.log(`No --key given; the log starts from key ${result.startKey}, check it is this device's`);
+    }
+    if (last) {
+      console.log(`Last entry ${last.seq}, hash ${last.hash}`);
+    }
+  }
+  process.exit(result.valid ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(2);
+});
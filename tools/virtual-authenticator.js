@@ -0,0 +1,159 @@
+// Give the extension's offscreen document Chrome's virtual WebAuthn authenticator, so the WebAuthn
+// signing mode (walmart/device-credential.js) can be tried without hardware. Start Chrome with
+// --remote-debugging-port=9222 and the unpacked extension loaded, then:
+//
+//   node tools/virtual-authenticator.js [--port 9222] [--extension <id>] [--state credentials.json]
+//
+// Virtual authenticators belong to one document, and the offscreen document is closed when idle. The
+// tool keeps running, attaches a fresh authenticator to every new offscreen document before it runs
+// and adds back the credentials registered so far (saved to --state, if given, across runs).
+// Needs the global WebSocket: Node 22, or Node 20 with --experimental-websocket.
+
+const fs = require('fs');
+
+const OFFSCREEN_PATH = '/offscreen.html';
+const CREDENTIAL_POLL_MS = 5000;
+// A platform authenticator with user verification that approves every request
+const AUTHENTICATOR_OPTIONS = {
+  protocol: 'ctap2',
+  transport: 'internal',
+  hasResidentKey: true,
+  hasUserVerification: true,
+  isUserVerified: true,
+  automaticPresenceSimulation: true
+};
+
+function parseArgs(args) {
+  const option = name => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : null;
+  };
+  return {
+    port: Number(option('port') || 9222),
+    extensionId: option('extension'),
+    statePath: option('state')
+  };
+}
+
+// Minimal Chrome DevTools Protocol client over the browser's WebSocket endpoint
+function connectDevTools(url) {
+  const socket = new WebSocket(url);
+  const pending = new Map();
+  const eventHandlers = new Map();
+  let nextId = 1;
+
+  socket.addEventListener('message', event => {
+    const message = JSON.parse(event.data);
+    if (message.id && pending.has(message.id)) {
+      const { resolve, reject } = pending.get(message.id);
+      pending.delete(message.id);
+      if (message.error) {
+        reject(new Error(`${message.error.message} (${message.error.code})`));
+      } else {
+        resolve(message.result);
+      }
+    } else if (message.method && eventHandlers.has(message.method)) {
+      eventHandlers.get(message.method)(message.params, message.sessionId);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    socket.addEventListener('error', () => reject(new Error(`Could not connect to ${url}`)));
+    socket.addEventListener('close', () => {
+      console.log('Browser connection closed');
+      process.exit(0);
+    });
+    socket.addEventListener('open', () => resolve({
+      send(method, params = {}, sessionId = undefined) {
+        const id = nextId++;
+        socket.send(JSON.stringify({ id, method, params, sessionId }));
+        return new Promise((resolveCall, rejectCall) => pending.set(id, { resolve: resolveCall, reject: rejectCall }));
+      },
+      on(method, handler) {
+        eventHandlers.set(method, handler);
+      }
+    }));
+  });
+}
+
+async function main() {
+  const { port, extensionId, statePath } = parseArgs(process.argv.slice(2));
+  if (typeof WebSocket === 'undefined') {
+    console.error('This tool needs the global WebSocket: use Node 22, or Node 20 with --experimental-websocket');
+    process.exit(2);
+  }
+
+  // Credentials by id, with their private keys, so new documents get the same authenticator state
+  const credentials = new Map();
+  if (statePath && fs.existsSync(statePath)) {
+    JSON.parse(fs.readFileSync(statePath, 'utf8')).forEach(credential => credentials.set(credential.credentialId, credential));
+  }
+  function saveCredential(credential) {
+    credentials.set(credential.credentialId, credential);
+    if (statePath) {
+      fs.writeFileSync(statePath, JSON.stringify([...credentials.values()], null, 2));
+    }
+  }
+
+  const version = await fetch(`http://127.0.0.1:${port}/json/version`).then(response => response.json());
+  const devTools = await connectDevTools(version.webSocketDebuggerUrl);
+
+  function isOffscreenDocument(targetInfo) {
+    const prefix = extensionId ? `chrome-extension://${extensionId}/` : 'chrome-extension://';
+    return targetInfo.url.startsWith(prefix) && new URL(targetInfo.url).pathname === OFFSCREEN_PATH;
+  }
+
+  async function setUpAuthenticator(sessionId, targetInfo) {
+    await devTools.send('WebAuthn.enable', { enableUI: false }, sessionId);
+    const { authenticatorId } = await devTools.send('WebAuthn.addVirtualAuthenticator',
+      { options: AUTHENTICATOR_OPTIONS }, sessionId);
+    for (const credential of credentials.values()) {
+      await devTools.send('WebAuthn.addCredential', { authenticatorId, credential }, sessionId);
+    }
+    console.log(`Authenticator attached to ${targetInfo.url} with ${credentials.size} credential(s)`);
+
+    // Pick up registrations and sign counts while the document is open
+    const poll = setInterval(() => {
+      devTools.send('WebAuthn.getCredentials', { authenticatorId }, sessionId)
+        .then(result => result.credentials.forEach(saveCredential))
+        .catch(() => clearInterval(poll));
+    }, CREDENTIAL_POLL_MS);
+  }
+
+  devTools.on('WebAuthn.credentialAdded', ({ credential }) => {
+    console.log(`Credential registered: ${credential.credentialId}`);
+    saveCredential(credential);
+  });
+  devTools.on('WebAuthn.credentialAsserted', ({ credential }) => saveCredential(credential));
+
+  // New targets wait for us; offscreen documents get an authenticator before their scripts run.
+  // Other targets, and second sessions to a document that already has one, are let go.
+  const authenticatedTargets = new Set();
+  devTools.on('Target.attachedToTarget', ({ sessionId, targetInfo, waitingForDebugger }) => {
+    const wanted = isOffscreenDocument(targetInfo) && !authenticatedTargets.has(targetInfo.targetId);
+    if (wanted) {
+      authenticatedTargets.add(targetInfo.targetId);
+    }
+    const setup = wanted ? setUpAuthenticator(sessionId, targetInfo) : Promise.resolve();
+    setup
+      .catch(error => console.error(`Failed to attach an authenticator to ${targetInfo.url}: ${error.message}`))
+      .then(() => waitingForDebugger && devTools.send('Runtime.runIfWaitingForDebugger', {}, sessionId))
+      .then(() => wanted || devTools.send('Target.detachFromTarget', { sessionId }))
+      .catch(() => {});
+  });
+  devTools.on('Target.targetDestroyed', ({ targetId }) => authenticatedTargets.delete(targetId));
+  await devTools.send('Target.setDiscoverTargets', { discover: true });
+  await devTools.send('Target.setAutoAttach', { autoAttach: true, waitForDebuggerOnStart: true, flatten: true });
+
+  // An offscreen document may already be open
+  const { targetInfos } = await devTools.send('Target.getTargets');
+  for (const targetInfo of targetInfos.filter(isOffscreenDocument)) {
+    await devTools.send('Target.attachToTarget', { targetId: targetInfo.targetId, flatten: true });
+  }
+  console.log('Waiting for offscreen documents (Ctrl+C to stop)');
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
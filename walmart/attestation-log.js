@@ -0,0 +1,210 @@
+// Tamper-evident local log of context verifications.
+//
+// Entries are appended by the background worker. Each one records the time, site, outcome, score
+// breakdown and matched store (never raw coordinates), chains the previous entry's hash and is
+// signed by the device key:
+//   { seq, timestamp, site, outcome, score, minScore, breakdown, failures, anomalies, store, reason,
+//     publicKey, keyRotation, prevHash, hash, signature }
+// hash is the SHA-256 of the canonical encoding (canonical.js) of every other field except the
+// signature, and the signature is the device key's ECDSA signature over that hash. The first entry
+// signed by a new key carries, as keyRotation, the statement by which the old key vouched for it
+// (key-store.js rotateDeviceKey()).
+//
+// The log's base { seq, hash, publicKey } pins the key the chain starts from; it is written with the
+// first entry. When the log grows past ATTESTATION_LOG_LIMIT the oldest entries are dropped and the
+// last dropped entry's seq, hash and key become the base the remaining chain must start from.
+//
+// Loaded by the background worker and popup; tools/verify-attestation-log.js checks exported logs.
+
+const ATTESTATION_LOG_KEY = 'attestationLog';
+const ATTESTATION_LOG_BASE_KEY = 'attestationLogBase';
+const ATTESTATION_LOG_LIMIT = 1000;
+const ATTESTATION_GENESIS_HASH = '0'.repeat(64);
+const ATTESTATION_OUTCOMES = ['verified', 'stepped_up', 'degraded', 'step_up_required', 'rejected', 'failed'];
+
+// Serialize appends so concurrent verifications can't fork the chain
+let attestationAppendQueue = Promise.resolve();
+
+async function attestationSha256Hex(text) {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hashAttestationEntry(entry) {
+  const { hash, signature, ...content } = entry;
+  return attestationSha256Hex(canonicalize(content));
+}
+
+// Load the stored log: { entries, base }
+async function loadAttestationLog() {
+  const {
+    [ATTESTATION_LOG_KEY]: entries = [],
+    [ATTESTATION_LOG_BASE_KEY]: base = null
+  } = await chrome.storage.local.get([ATTESTATION_LOG_KEY, ATTESTATION_LOG_BASE_KEY]);
+  return { entries, base };
+}
+
+// Keep only what the log may hold: scores, reasons and the store match, no location fix
+function toAttestationRecord({ site, outcome, assessment = null, store = null, reason = null, timestamp = Date.now() }) {
+  return {
+    timestamp,
+    site,
+    outcome,
+    score: assessment ? assessment.score : null,
+    minScore: assessment ? assessment.minScore : null,
+    breakdown: assessment ? assessment.breakdown : {},
+    failures: assessment ? assessment.failures : [],
+    anomalies: assessment ? (assessment.anomalies || []).map(anomaly => anomaly.type) : [],
+    store: store ? { store_id: store.store_id, name: store.name, distance: store.distance } : null,
+    reason
+  };
+}
+
+// Append a record signed by `signer` ({ publicKey, rotation, sign(text) -> hex signature }), where
+// rotation is the statement that introduced signer.publicKey, if it was rotated in
+function appendAttestation(record, signer) {
+  attestationAppendQueue = attestationAppendQueue.catch(() => {}).then(async () => {
+    const log = await loadAttestationLog();
+    const { entries } = log;
+    const update = { [ATTESTATION_LOG_KEY]: entries };
+    let { base } = log;
+    if (!base && entries.length === 0) {
+      base = { seq: -1, hash: ATTESTATION_GENESIS_HASH, publicKey: signer.publicKey };
+      update[ATTESTATION_LOG_BASE_KEY] = base;
+    }
+    const previous = entries.length > 0 ? entries[entries.length - 1] : base;
+    const previousKey = previous ? previous.publicKey : null;
+    const entry = {
+      seq: previous ? previous.seq + 1 : 0,
+      ...toAttestationRecord(record),
+      publicKey: signer.publicKey,
+      keyRotation: previousKey && previousKey !== signer.publicKey ? signer.rotation || null : null,
+      prevHash: previous ? previous.hash : ATTESTATION_GENESIS_HASH
+    };
+    entry.hash = await hashAttestationEntry(entry);
+    entry.signature = await signer.sign(entry.hash);
+
+    entries.push(entry);
+    const dropped = entries.splice(0, Math.max(0, entries.length - ATTESTATION_LOG_LIMIT));
+    if (dropped.length > 0) {
+      const last = dropped[dropped.length - 1];
+      update[ATTESTATION_LOG_BASE_KEY] = { seq: last.seq, hash: last.hash, publicKey: last.publicKey };
+    }
+    await chrome.storage.local.set(update);
+    return entry;
+  });
+  return attestationAppendQueue;
+}
+
+function attestationHexToBytes(hex) {
+  return new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+}
+
+async function verifyAttestationSignature(publicKeyHex, signatureHex, text) {
+  try {
+    const publicKey = await globalThis.crypto.subtle.importKey(
+      'raw',
+      attestationHexToBytes(publicKeyHex),
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      false,
+      ['verify']
+    );
+    return await globalThis.crypto.subtle.verify(
+      { name: 'ECDSA', hash: { name: 'SHA-256' } },
+      publicKey,
+      attestationHexToBytes(signatureHex),
+      new TextEncoder().encode(text)
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+// Whether `rotation` is a statement by `previousKey` handing over to `publicKey`
+function isValidAttestationKeyRotation(rotation, previousKey, publicKey) {
+  if (!rotation || rotation.previousPublicKey !== previousKey || rotation.publicKey !== publicKey
+      || typeof rotation.signature !== 'string') {
+    return Promise.resolve(false);
+  }
+  return verifyAttestationSignature(previousKey, rotation.signature, `${previousKey}:${publicKey}:${rotation.rotatedAt}`);
+}
+
+// Check a log for edited, reordered or deleted entries and for signing keys nothing vouches for.
+// The chain starts from the base's key (or the first entry's, for logs written without one) and may
+// only move to another key with a rotation statement signed by the key before it. With
+// `trustedKeys` (the device's keys, from a source other than the log) the key the chain starts from,
+// and any key it moves to without a valid statement, must be one of them; without it anyone can
+// re-sign the whole log under their own key, so the result reports the key the chain starts from.
+// Returns { valid, checked, startKey, problems } where each problem is { seq, problem }. Entries
+// dropped from the end can't be detected from the log alone; compare the last seq and hash with an
+// earlier export for that.
+async function verifyAttestationLog(entries, base = null, { trustedKeys = null } = {}) {
+  const problems = [];
+  let expectedSeq = base ? base.seq + 1 : 0;
+  let expectedPrevHash = base ? base.hash : ATTESTATION_GENESIS_HASH;
+  let signingKey = base && base.publicKey ? base.publicKey : null;
+  const startKey = signingKey || (entries.length > 0 ? entries[0].publicKey : null);
+
+  if (trustedKeys && startKey && !trustedKeys.includes(startKey)) {
+    problems.push({ seq: expectedSeq, problem: 'starts from a key that is not a trusted device key' });
+  }
+  for (const entry of entries) {
+    if (entry.seq !== expectedSeq) {
+      problems.push({ seq: entry.seq, problem: `expected entry ${expectedSeq}; entries are missing or reordered` });
+    }
+    if (entry.prevHash !== expectedPrevHash) {
+      problems.push({ seq: entry.seq, problem: 'does not chain to the previous entry' });
+    }
+    if (await hashAttestationEntry(entry) !== entry.hash) {
+      problems.push({ seq: entry.seq, problem: 'contents were edited' });
+    } else if (!await verifyAttestationSignature(entry.publicKey, entry.signature, entry.hash)) {
+      problems.push({ seq: entry.seq, problem: 'signature is invalid' });
+    }
+    if (signingKey && entry.publicKey !== signingKey
+        && !await isValidAttestationKeyRotation(entry.keyRotation, signingKey, entry.publicKey)) {
+      problems.push({
+        seq: entry.seq,
+        problem: trustedKeys && !trustedKeys.includes(entry.publicKey)
+          ? 'is signed by a key that is not a trusted device key'
+          : 'changes signing key without a rotation statement'
+      });
+    }
+    signingKey = entry.publicKey;
+    expectedSeq = entry.seq + 1;
+    expectedPrevHash = entry.hash;
+  }
+  return { valid: problems.length === 0, checked: entries.length, startKey, problems };
+}
+
+// JSON export: everything needed to verify the log elsewhere
+function attestationLogToJson({ entries, base }) {
+  return JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), base, entries }, null, 2);
+}
+
+// Flat CSV export for spreadsheets; the hash columns tie each row to the JSON export
+function attestationLogToCsv({ entries }) {
+  const columns = ['seq', 'time', 'site', 'outcome', 'score', 'minScore', 'store', 'distance',
+    'failures', 'anomalies', 'reason', 'subScores', 'hash', 'prevHash', 'signature'];
+  const quote = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = entries.map(entry => [
+    entry.seq,
+    new Date(entry.timestamp).toISOString(),
+    entry.site,
+    entry.outcome,
+    entry.score,
+    entry.minScore,
+    entry.store ? entry.store.store_id : '',
+    entry.store ? entry.store.distance : '',
+    entry.failures.join('; '),
+    entry.anomalies.join('; '),
+    entry.reason,
+    Object.entries(entry.breakdown).map(([name, { score }]) => `${name}=${score}`).join('; '),
+    entry.hash,
+    entry.prevHash,
+    entry.signature
+  ].map(quote).join(','));
+  return [columns.join(','), ...rows].join('\n');
+}
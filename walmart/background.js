@@ -1,213 +1,377 @@
 // Background service worker for context attestation and token management
 
-// API endpoints for different shopping sites
-const API_ENDPOINTS = {
-  'walmart.com': 'https://api.walmart.com/secure-context',
-  'amazon.com': 'https://api.amazon.com/secure-context',
-  'target.com': 'https://api.target.com/secure-context',
-  'bestbuy.com': 'https://api.bestbuy.com/secure-context',
-  'ebay.com': 'https://api.ebay.com/secure-context',
-  'costco.com': 'https://api.costco.com/secure-context'
-};
-
-// Helper function to get API endpoint for current site
-function getApiEndpoint(url) {
-  const domain = new URL(url).hostname.replace('www.', '');
-  const site = Object.keys(API_ENDPOINTS).find(site => domain.includes(site));
-  return site ? API_ENDPOINTS[site] : null;
-}
-let deviceKeyPair = null;
-
-// Initialize device key pair on installation
+importScripts(
+  'config.js',
+  'messages.js',
+  'message-router.js',
+  'canonical.js',
+  'attestation-log.js',
+  'sites.js',
+  'key-store.js',
+  'request-layer.js',
+  'token-lifecycle.js',
+  'geofence.js',
+  'store-registry.js',
+  'policy.js',
+  'context-history.js',
+  'context-scoring.js',
+  'sensor-providers.js',
+  'offscreen-manager.js',
+  'native-companion.js',
+  'header-rules.js',
+  'device-management.js',
+  'device-credential.js',
+  'enrollment.js',
+  'step-up.js',
+  'tab-sessions.js',
+  'request-proof.js',
+  'zkp.js'
+);
+
+// Helper function to get API endpoint for a site registry entry
+function getApiEndpoint(site) {
+  return resolveApiEndpoint(site.endpoint);
+}
+
+// Last verification result ({ site, token, store, assessment }) for each site domain
+const tokenCache = new Map();
+
+// Content scripts injected into every enabled site, registered at runtime from the site registry.
+// The page bridge runs in the page's main world and exposes window.secureContext.
+const SITE_CONTENT_SCRIPT_PREFIX = 'site-';
+const SITE_CONTENT_SCRIPTS = ['sites.js', 'token-lifecycle.js', 'messages.js', 'content.js'];
+const SITE_PAGE_BRIDGE_SCRIPT = 'page-bridge.js';
+
+// Create the device key and schedule its rotation on installation; an update keeps both
 chrome.runtime.onInstalled.addListener(async () => {
-  deviceKeyPair = await generateDeviceKeyPair();
-  await chrome.storage.local.set({ publicKey: deviceKeyPair.publicKey });
+  await getDeviceKey();
+  await scheduleKeyRotation();
+  scheduleStoreRegistryRefresh();
+  await syncSiteContentScripts();
 });
 
-// Generate device-bound key pair using Web Crypto API
-async function generateDeviceKeyPair() {
-  const keyPair = await window.crypto.subtle.generateKey(
-    {
-      name: 'ECDSA',
-      namedCurve: 'P-256'
-    },
-    true,
-    ['sign', 'verify']
-  );
-  return keyPair;
-}
+// Header rules are session-scoped; drop any left behind by a suspended worker
+pruneExpiredHeaderRules().catch(error => {
+  console.error('Failed to prune header rules:', error);
+});
 
 // Collect sensor data and generate context snapshot
-async function collectContextData() {
+async function collectContextData(site) {
   return new Promise((resolve, reject) => {
     Promise.all([
-      getGeolocationData(),
-      getWiFiData(),
-      getMotionSignature(),
-      getPOSTerminalBeacon()
+      // Signals that are denied or fail come back missing for the policy to judge
+      collectSensorReadings(),
+      getStoresForSite(site)
     ])
-    .then(async ([location, wifiData, motionData, posData]) => {
-      const contextData = {
-        location,
-        wifi_fingerprint: wifiData,
-        motion_signature: motionData,
-        pos_terminal: posData,
-        timestamp: Date.now()
-      };
+    .then(async ([readings, stores]) => {
+      const contextData = buildContextSnapshot(readings, stores);
       
       const contextHash = await generateContextHash(contextData);
-      const consistencyScore = await computeConsistencyScore(contextData);
+      const { publicKey: deviceId } = await getDeviceKey();
+      const history = await loadContextHistory(deviceId);
+      const assessment = assessContext(contextData, site, history, stores);
+      await recordContextSnapshot(deviceId, contextData);
       
       resolve({
         contextData,
         contextHash,
-        consistencyScore
+        assessment,
+        stores,
+        sensors: describeSensorStates(readings),
+        replayed: readings.replayed === true
       });
     })
     .catch(reject);
   });
 }
 
-// Get geolocation data
-async function getGeolocationData() {
-  return new Promise((resolve, reject) => {
-    navigator.geolocation.getCurrentPosition(
-      (position) => {
-        resolve({
-          lat: position.coords.latitude,
-          lng: position.coords.longitude,
-          accuracy: position.coords.accuracy
-        });
-      },
-      reject,
-      { enableHighAccuracy: true, maximumAge: 0 }
-    );
-  });
+// Generate hash of context data
+async function generateContextHash(contextData) {
+  const contextString = canonicalize(contextData);
+  const encoder = new TextEncoder();
+  const data = encoder.encode(contextString);
+  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+  const hashArray = Array.from(new Uint8Array(hashBuffer));
+  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
-// Get Wi-Fi fingerprint data
-async function getWiFiData() {
-  // Note: This is a mock implementation since Web APIs don't provide direct Wi-Fi access
-  // In a real mobile app, we would use native APIs to get actual Wi-Fi data
-  return {
-    nearby_networks: [],
-    connection_strength: 0,
-    timestamp: Date.now()
-  };
+// Prove the location fix lies inside the matched store's geofence without revealing it (see zkp.js).
+// Returns null when there is no matched store or the fix is outside the store's bounding box.
+async function buildGeofenceProof(contextData, stores, contextHash, publicKey) {
+  const { location, store_match: storeMatch } = contextData;
+  const store = storeMatch ? stores.find(candidate => candidate.storeId === storeMatch.store_id) : null;
+  if (!location || !store) {
+    return null;
+  }
+  const bounds = getGeofenceBounds(store);
+  const point = toMicrodegrees(location);
+  if (!isPointInBounds(point, bounds)) {
+    return null;
+  }
+  return createGeofenceProof({ point, bounds, storeId: store.storeId, publicKey, contextHash });
 }
 
-// Record motion signature
-async function getMotionSignature() {
-  return new Promise((resolve) => {
-    // Note: This is a mock implementation since we're in a browser extension
-    // In a real mobile app, we would use device motion and orientation sensors
-    resolve({
-      acceleration: { x: 0, y: 0, z: 0 },
-      rotation: { alpha: 0, beta: 0, gamma: 0 },
-      timestamp: Date.now()
-    });
-  });
-}
+// Nonce failures from /issue-token that a fresh challenge can fix
+const NONCE_ERROR_CODES = ['unknown_nonce', 'nonce_expired', 'nonce_reused'];
 
-// Get POS terminal beacon data
-async function getPOSTerminalBeacon() {
-  // Note: This is a mock implementation
-  // In a real implementation, we would use Web Bluetooth or native APIs
-  return {
-    terminal_id: null,
-    signal_strength: 0,
-    timestamp: Date.now()
-  };
+// Request ZKP token from backend, retrying once with a new challenge if the nonce was rejected
+async function requestZKPToken(site, siteUrl, context) {
+  try {
+    return await requestTokenWithChallenge(site, siteUrl, context);
+  } catch (error) {
+    if (!NONCE_ERROR_CODES.includes(error.code)) {
+      throw error;
+    }
+    return requestTokenWithChallenge(site, siteUrl, context);
+  }
 }
 
-// Compute AI consistency score for sensor fusion data
-async function computeConsistencyScore(contextData) {
-  // Implement on-device AI to evaluate data consistency
-  const scores = {
-    location_consistency: evaluateLocationConsistency(contextData.location),
-    temporal_consistency: evaluateTemporalConsistency(contextData),
-    motion_consistency: evaluateMotionConsistency(contextData.motion_signature),
-    network_consistency: evaluateNetworkConsistency(contextData.wifi_fingerprint)
-  };
+// Fetch a server nonce and sign the context hash bound to it, the site origin and the tab URL
+async function requestTokenWithChallenge(site, siteUrl, { contextData, contextHash, assessment, stores }) {
+  const deviceKey = await getDeviceKey();
+  const apiEndpoint = getApiEndpoint(site);
+  const origin = new URL(siteUrl).origin;
 
-  // Weighted average of individual scores
-  return Object.values(scores).reduce((a, b) => a + b, 0) / Object.keys(scores).length;
+  const { nonce } = await postToBackend(apiEndpoint, '/challenge', { origin });
+  const geofence = await buildGeofenceProof(contextData, stores, contextHash, deviceKey.publicKey);
+  const signedPayload = buildSignedContextPayload({
+    contextHash,
+    nonce,
+    origin,
+    url: siteUrl,
+    geofenceTranscript: geofence ? geofence.transcript : null
+  });
+  const signature = await signTokenRequest(deviceKey, signedPayload);
+  
+  const token = await postToBackend(apiEndpoint, '/issue-token', {
+    contextHash,
+    nonce,
+    origin,
+    url: siteUrl,
+    signature,
+    consistencyScore: assessment.score,
+    publicKey: deviceKey.publicKey,
+    keyRotation: deviceKey.rotation,
+    geofenceProof: geofence ? geofence.proof : null
+  });
+  if (deviceKey.rotation) {
+    await acknowledgeKeyRotation();
+  }
+  return token;
 }
 
-// Individual consistency evaluators
-function evaluateLocationConsistency(location) {
-  return location.accuracy <= 20 ? 1.0 : 0.5; // Higher score for more accurate locations
+// Check a token with the backend's /verify-token endpoint (single attempt; throws BackendRequestError)
+async function verifyTokenWithBackend(apiEndpoint, token) {
+  const { valid } = await postToBackend(apiEndpoint, '/verify-token', { token: token.token },
+    { ...REQUEST_POLICY, maxAttempts: 1 });
+  return valid === true;
 }
 
-function evaluateTemporalConsistency(contextData) {
-  const timestamps = [
-    contextData.timestamp,
-    contextData.location.timestamp,
-    contextData.wifi_fingerprint.timestamp,
-    contextData.motion_signature.timestamp
-  ];
-  
-  const maxDiff = Math.max(...timestamps) - Math.min(...timestamps);
-  return maxDiff < 5000 ? 1.0 : 0.5; // Higher score for closely aligned timestamps
+// Return the cached token for a site if it is not due for refresh and the backend still accepts it
+async function getReusableToken(site) {
+  const cached = tokenCache.get(site.domain);
+  if (!cached || isTokenDueForRefresh(cached.token)) {
+    return null;
+  }
+  try {
+    if (await verifyTokenWithBackend(getApiEndpoint(site), cached.token)) {
+      return cached;
+    }
+  } catch (error) {
+    // An unexpired token stays good while the backend can't be asked about it
+    if (error.retryable) {
+      return cached;
+    }
+  }
+  tokenCache.delete(site.domain);
+  return null;
 }
 
-function evaluateMotionConsistency(motionData) {
-  // In a real implementation, we would analyze motion patterns
-  return 1.0;
+// While the backend is unreachable, keep serving the site's last valid token for up to
+// REQUEST_POLICY.offlineGraceMs past its expiry, marked as degraded
+function getOfflineGraceResult(site, error, now = Date.now()) {
+  const cached = tokenCache.get(site.domain);
+  const expiry = cached ? getTokenExpiry(cached.token) : null;
+  if (!error.retryable || expiry === null || expiry + REQUEST_POLICY.offlineGraceMs <= now) {
+    return null;
+  }
+  return {
+    ...cached,
+    degraded: {
+      reason: error.message,
+      graceUntil: expiry + REQUEST_POLICY.offlineGraceMs,
+      retryAfterMs: error.retryAfterMs
+    }
+  };
 }
 
-function evaluateNetworkConsistency(wifiData) {
-  // In a real implementation, we would analyze Wi-Fi fingerprint stability
-  return 1.0;
+// Raised when a context snapshot fails the site's scoring policy
+class ContextPolicyError extends Error {
+  constructor(assessment, store, sensors = null) {
+    super(assessment.failures[0]);
+    this.code = 'policy_failed';
+    this.assessment = assessment;
+    this.store = store;
+    this.sensors = sensors;
+  }
 }
 
-// Generate hash of context data
-async function generateContextHash(contextData) {
-  const contextString = JSON.stringify(contextData);
-  const encoder = new TextEncoder();
-  const data = encoder.encode(contextString);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+// Raised instead of requesting a token for readings replayed from a sensor trace; the assessment is
+// still reported so traces can be used to exercise the scoring
+class SensorReplayError extends Error {
+  constructor(assessment, store, sensors = null) {
+    super('Sensor replay is on; no token is requested for replayed readings');
+    this.code = 'sensor_replay';
+    this.assessment = assessment;
+    this.store = store;
+    this.sensors = sensors;
+  }
 }
 
-// Request ZKP token from backend
-async function requestZKPToken(contextHash, consistencyScore, siteUrl) {
-  if (!deviceKeyPair) {
-    throw new Error('Device key pair not initialized');
+// Raised instead when the shopper can make up for the low score with a store code (step-up.js)
+class StepUpRequiredError extends ContextPolicyError {
+  constructor(assessment, store, sensors = null) {
+    super(assessment, store, sensors);
+    this.code = 'step_up_required';
   }
+}
 
-  const apiEndpoint = getApiEndpoint(siteUrl);
-  if (!apiEndpoint) {
+// Verify context for a site, reusing a still-valid cached token when possible (unless reuseToken
+// is false, for a fresh score on request)
+async function verifySiteContext(siteUrl, { reuseToken = true } = {}) {
+  const site = findSiteForUrl(await loadSiteRegistry(), siteUrl);
+  if (!site) {
     throw new Error('Unsupported shopping site');
   }
 
-  const signature = await signData(contextHash, deviceKeyPair.privateKey);
-  
-  const response = await fetch(`${apiEndpoint}/issue-token`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      contextHash,
-      signature,
-      consistencyScore,
-      publicKey: await exportPublicKey(deviceKeyPair.publicKey)
-    })
-  });
+  // A revoked device stays revoked until it is re-enrolled from the popup
+  const deviceState = await getDeviceState();
+  if (deviceState && deviceState.status === 'revoked') {
+    throw new DeviceRevokedError();
+  }
+
+  const cached = reuseToken ? await getReusableToken(site) : null;
+  if (cached) {
+    return cached;
+  }
+
+  let context;
+  try {
+    context = await collectContextData(site);
+  } catch (error) {
+    logAttestation({ site: site.domain, outcome: 'failed', reason: error.message });
+    throw error;
+  }
+  const { contextData, assessment, sensors } = context;
+  const store = contextData.store_match;
+  // Replayed readings are made up; neither a token nor a step-up may come of them
+  if (context.replayed) {
+    throw new SensorReplayError(assessment, store, sensors);
+  }
+  if (!assessment.passed) {
+    // Step-up tokens are only issued to devices the backend has already enrolled
+    const stepUp = assessment.stepUpEligible && store !== null && await isDeviceEnrolled();
+    const error = stepUp
+      ? requireStepUp(site, siteUrl, context, store)
+      : new ContextPolicyError(assessment, store, sensors);
+    logAttestation({
+      site: site.domain,
+      outcome: stepUp ? 'step_up_required' : 'rejected',
+      assessment,
+      store,
+      reason: error.message
+    });
+    throw error;
+  }
+
+  let token;
+  try {
+    token = await requestZKPToken(site, siteUrl, context);
+  } catch (error) {
+    if (error.code === 'device_revoked') {
+      tokenCache.clear();
+      await markDeviceRevoked();
+    }
+    const grace = getOfflineGraceResult(site, error);
+    logAttestation({ site: site.domain, outcome: grace ? 'degraded' : 'failed', assessment, store, reason: error.message });
+    if (grace) {
+      return { ...grace, store, assessment, sensors };
+    }
+    throw error;
+  }
+  const result = { site, token, store, assessment, sensors };
+  tokenCache.set(site.domain, result);
+  await markDeviceEnrolled();
+  logAttestation({ site: site.domain, outcome: 'verified', assessment, store });
+  return result;
+}
 
-  if (!response.ok) {
-    throw new Error('Failed to obtain ZKP token');
+// Append a verification to the signed attestation log without holding up the verification
+function logAttestation(record) {
+  getDeviceKey()
+    .then(deviceKey => appendAttestation(record, {
+      publicKey: deviceKey.publicKey,
+      rotation: deviceKey.rotatedFrom || null,
+      sign: data => signData(data, deviceKey.keyPair.privateKey)
+    }))
+    .catch(error => {
+      console.error('Failed to record attestation:', error);
+    });
+}
+
+// Register the content script for every enabled site the user has granted access to
+async function syncSiteContentScripts() {
+  const registry = await loadSiteRegistry();
+  const registered = await chrome.scripting.getRegisteredContentScripts();
+  const staleIds = registered
+    .map(script => script.id)
+    .filter(id => id.startsWith(SITE_CONTENT_SCRIPT_PREFIX));
+  if (staleIds.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: staleIds });
   }
 
-  return response.json();
+  const scripts = [];
+  for (const site of Object.values(registry)) {
+    const origins = [`https://*.${site.domain}/*`];
+    if (site.enabled && await chrome.permissions.contains({ origins })) {
+      scripts.push({
+        id: `${SITE_CONTENT_SCRIPT_PREFIX}${site.domain}`,
+        matches: origins,
+        js: SITE_CONTENT_SCRIPTS,
+        runAt: 'document_idle'
+      }, {
+        id: `${SITE_CONTENT_SCRIPT_PREFIX}${site.domain}-bridge`,
+        matches: origins,
+        js: [SITE_PAGE_BRIDGE_SCRIPT],
+        runAt: 'document_start',
+        world: 'MAIN'
+      });
+    }
+  }
+  if (scripts.length > 0) {
+    await chrome.scripting.registerContentScripts(scripts);
+  }
 }
 
+// Keep content script registrations in step with the registry and granted permissions
+function resyncSiteContentScripts() {
+  syncSiteContentScripts().catch(error => {
+    console.error('Failed to register site content scripts:', error);
+  });
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'managed' || (areaName === 'sync' && changes.userSites)) {
+    resyncSiteContentScripts();
+  }
+});
+chrome.permissions.onAdded.addListener(resyncSiteContentScripts);
+chrome.permissions.onRemoved.addListener(resyncSiteContentScripts);
+
 // Sign data with device private key
 async function signData(data, privateKey) {
   const encoder = new TextEncoder();
-  const signature = await window.crypto.subtle.sign(
+  const signature = await crypto.subtle.sign(
     {
       name: 'ECDSA',
       hash: { name: 'SHA-256' },
@@ -220,35 +384,76 @@ async function signData(data, privateKey) {
     .join('');
 }
 
-// Export public key for sending to server
-async function exportPublicKey(publicKey) {
-  const exported = await window.crypto.subtle.exportKey('raw', publicKey);
-  return Array.from(new Uint8Array(exported))
-    .map(b => b.toString(16).padStart(2, '0'))
-    .join('');
+// Content scripts verify through their tab's site session, whose outcome reaches every tab on the
+// site as CONTEXT_STATUS; extension pages have no tab of their own and name the tab to verify
+registerMessageHandler('VERIFY_CONTEXT', async (payload, { kind, tab }) => {
+  if (kind === 'content') {
+    await describeTabSession(tab);
+    const status = await verifyTabSessionNow(tab.id, 'requested by the page');
+    return { status: status ? status.status : 'inactive' };
+  }
+  return verifyTabContext(payload.tabId);
+});
+
+// The popup's "Re-verify now": a fresh context for the named tab's site session instead of its cached
+// token. The outcome also reaches the site's tabs and the status ports subscribed to them.
+async function verifyTabContext(tabId) {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  if (!tab) {
+    throw new MessageError(MESSAGE_ERROR_CODES.tabNotFound, `No tab with id ${tabId}`);
+  }
+  await describeTabSession(tab);
+  const status = await verifyTabSessionNow(tabId, 'requested from the popup', { reuseToken: false });
+  if (!status) {
+    return { status: 'inactive', assessment: null, anomalies: [] };
+  }
+  const { assessment = null } = status;
+  return { status: status.status, assessment, anomalies: assessment ? assessment.anomalies : [] };
 }
 
-// Handle context verification requests from content script
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.type === 'VERIFY_CONTEXT') {
-    const siteUrl = sender.tab.url;
-    collectContextData()
-      .then(async ({ contextHash, consistencyScore }) => {
-        try {
-          const token = await requestZKPToken(contextHash, consistencyScore, siteUrl);
-          sendResponse({ success: true, token });
-        } catch (error) {
-          if (error.message === 'Unsupported shopping site') {
-            console.warn(`Context verification skipped: ${error.message}`);
-            sendResponse({ success: true, token: { token: null, consistencyScore: 0 } });
-          } else {
-            throw error;
-          }
-        }
-      })
-      .catch(error => {
-        sendResponse({ success: false, error: error.message });
-      });
-    return true; // Indicate async response
+// A store code for the tab's site, typed into the page or popup or scanned from an in-store QR code
+// with the popup; the site's sessions re-run to pick up the step-up token
+registerMessageHandler('STEP_UP', async ({ tabId, code = null, qrText = null }, { kind, tab }) => {
+  const target = kind === 'content' ? tab : await chrome.tabs.get(tabId).catch(() => null);
+  if (!target) {
+    throw new MessageError(MESSAGE_ERROR_CODES.tabNotFound, `No tab with id ${tabId}`);
+  }
+  const site = findSiteForUrl(await loadSiteRegistry(), target.url || '');
+  if (!site) {
+    throw new StepUpError('no_step_up_pending', 'This site is not waiting for a store code');
   }
-});
\ No newline at end of file
+  const secondFactor = qrText !== null ? parseStepUpQrText(qrText) : { code: code || '' };
+  const { token, store, assessment } = await completeStepUp(site.domain, secondFactor);
+  await verifySiteSessionNow(site.domain);
+  return { token, store, assessment };
+});
+
+// Signing a proof means the page is about to make a guarded API call; a paused or stale session
+// verifies first
+registerMessageHandler('SIGN_REQUEST', async (payload, { tab }) => {
+  await ensureTabSessionToken(tab.id);
+  return { proof: await signTabRequest(tab, payload) };
+});
+
+registerMessageHandler('CONTEXT_READY', (payload, { tab }) => describeTabSession(tab));
+registerMessageHandler('TAB_VISIBILITY', ({ visible }, { tab }) => {
+  setTabVisibility(tab.id, visible);
+  return {};
+});
+registerMessageHandler('SCHEDULER_DIAGNOSTICS', () => getSchedulerDiagnostics());
+
+// Device management from the popup
+registerMessageHandler('LIST_DEVICES', async () => ({ devices: await listAccountDevices() }));
+registerMessageHandler('RENAME_DEVICE', ({ fingerprint, label }) => renameAccountDevice(fingerprint, label));
+registerMessageHandler('REVOKE_DEVICE', ({ fingerprint = null }) => revokeAccountDevice(fingerprint));
+registerMessageHandler('REENROLL_DEVICE', async () => {
+  await reenrollDevice();
+  tokenCache.clear();
+  return {};
+});
+registerMessageHandler('START_ENROLLMENT', async () => ({ enrollment: await startEnrollment() }));
+registerMessageHandler('DECIDE_ENROLLMENT', async ({ approve }) => ({ enrollment: await decideEnrollment(approve) }));
+registerMessageHandler('CLEAR_ENROLLMENT', async () => {
+  await clearEnrollment();
+  return {};
+});
@@ -0,0 +1,68 @@
+// Canonical JSON encoding for hashed and signed payloads, shared by the extension and the
+// reference backend. Object keys are sorted and no whitespace is emitted, so signer and verifier
+// produce the same bytes whatever order the properties were built in.
+//
+// Loaded by the background worker with importScripts and by the reference backend with require().
+
+const SIGNED_PAYLOAD_VERSION = 1;
+
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new TypeError('Cannot canonicalize a non-finite number');
+  }
+  return JSON.stringify(value);
+}
+
+// The payload the device key signs for /issue-token: the context hash bound to a server nonce,
+// the site origin and tab URL, and the geofence proof transcript when there is one
+function buildSignedContextPayload({ contextHash, nonce, origin, url, geofenceTranscript = null }) {
+  return canonicalize({
+    v: SIGNED_PAYLOAD_VERSION,
+    type: 'issue-token',
+    contextHash,
+    nonce,
+    origin,
+    url,
+    geofenceTranscript
+  });
+}
+
+// The payload the device key signs for /step-up: a context that scored too low, bound to a server
+// nonce like an /issue-token context, plus the store code the shopper read at the register or scanned
+// and the transcript of the geofence proof, if any
+function buildSignedStepUpPayload({ contextHash, nonce, origin, url, storeId, code, geofenceTranscript = null }) {
+  return canonicalize({
+    v: SIGNED_PAYLOAD_VERSION,
+    type: 'step-up',
+    contextHash,
+    nonce,
+    origin,
+    url,
+    storeId,
+    code,
+    geofenceTranscript
+  });
+}
+
+// The payload the device key signs for device management requests (/list-devices, /rename-device,
+// /revoke-device): the action and its parameters with the time of signing
+function buildSignedDevicePayload({ action, publicKey, timestamp, params = {} }) {
+  return canonicalize({
+    v: SIGNED_PAYLOAD_VERSION,
+    type: `device-${action}`,
+    publicKey,
+    timestamp,
+    params
+  });
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { canonicalize, buildSignedContextPayload, buildSignedStepUpPayload, buildSignedDevicePayload };
+}
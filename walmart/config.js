@@ -0,0 +1,48 @@
+// Backend configuration shared by the background service worker and the popup
+
+const BACKEND_CONFIG = {
+  // Switch to true to send every site's traffic to the local reference backend (see server/)
+  useLocalBackend: false,
+  localBackendUrl: 'http://localhost:8787/secure-context',
+  // Optional URL serving newer versions of stores.json
+  storeRegistryUrl: null
+};
+
+// How token requests are signed (see device-credential.js): 'webauthn' registers a platform
+// authenticator credential once the device is enrolled and signs with it, falling back to the
+// WebCrypto device key where there is no authenticator; 'webcrypto' always uses the WebCrypto key
+const SIGNING_CONFIG = {
+  mode: 'webauthn'
+};
+
+// Retry, circuit breaker and offline grace settings for backend requests (see request-layer.js)
+const REQUEST_POLICY = {
+  maxAttempts: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  requestTimeoutMs: 10000,
+  // Consecutive transient failures that open an endpoint's circuit, and how long it stays open
+  breakerFailureThreshold: 5,
+  breakerCooldownMs: 30000,
+  // How long past its expiry the last valid token stays usable while the backend is unreachable
+  offlineGraceMs: 60000
+};
+
+// When site sessions verify (see tab-sessions.js). Refreshes are skipped while every tab of a site is
+// hidden or the device is idle or locked, and resume with an immediate check.
+const SCHEDULER_POLICY = {
+  pauseWhenHidden: true,
+  pauseWhenIdle: true,
+  // Seconds without input before chrome.idle reports the device as idle
+  idleDetectionSeconds: 60,
+  // Longest a guarded API call without a valid token waits for verification before it is signed
+  // anyway; kept below the page bridge's PROOF_TIMEOUT_MS so the proof still reaches the page
+  guardedCallWaitMs: 1500,
+  // Scheduler decisions kept for SCHEDULER_DIAGNOSTICS
+  diagnosticsLimit: 100
+};
+
+// Resolve the API endpoint to use for a site's production endpoint
+function resolveApiEndpoint(productionEndpoint) {
+  return BACKEND_CONFIG.useLocalBackend ? BACKEND_CONFIG.localBackendUrl : productionEndpoint;
+}
@@ -1,176 +1,158 @@
 // Content script for integrating with shopping websites and handling context verification
 
-// Define supported shopping domains and their API patterns
-const SUPPORTED_SITES = {
-  'walmart.com': {
-    apiPattern: 'api.walmart.com',
-    storePattern: '/store/'
-  },
-  'amazon.com': {
-    apiPattern: 'api.amazon.com',
-    storePattern: '/dp/'
-  },
-  'target.com': {
-    apiPattern: 'api.target.com',
-    storePattern: '/p/'
-  },
-  'bestbuy.com': {
-    apiPattern: 'api.bestbuy.com',
-    storePattern: '/products/'
-  },
-  'ebay.com': {
-    apiPattern: 'api.ebay.com',
-    storePattern: '/itm/'
-  },
-  'costco.com': {
-    apiPattern: 'api.costco.com',
-    storePattern: '/product/'
-  }
-};
+// Site registry entry for the current page, resolved on load (see sites.js)
+let currentSite = null;
 
-// Helper function to get current site configuration
-function getCurrentSite() {
-  const currentDomain = window.location.hostname.replace('www.', '');
-  return Object.entries(SUPPORTED_SITES).find(([domain]) => currentDomain.includes(domain));
-}
+// postMessage channel shared with page-bridge.js
+const BRIDGE_CHANNEL = 'secure-context';
+const BRIDGE_VERSION = 1;
 
-// Initialize context verification
+// Token from the latest CONTEXT_STATUS while this tab is on a store page
 let activeToken = null;
-let verificationInterval = null;
-let consistencyThreshold = 0.7; // Minimum required consistency score
+let verificationActive = false;
 
-// Start periodic context verification
+// Start context verification. The background's tab session manager (tab-sessions.js) decides when
+// this tab is on a store page and runs the verification loop it shares with the site's other tabs;
+// this script relays the outcome to the page SDK.
 function startContextVerification() {
-  // Clear any existing interval
-  if (verificationInterval) {
-    clearInterval(verificationInterval);
-  }
-
-  // Verify context immediately
-  verifyContext();
-
-  // Set up periodic verification (every 25 seconds since tokens expire in 30)
-  verificationInterval = setInterval(verifyContext, 25000);
+  verificationActive = true;
 }
 
-// Stop context verification
+// Stop context verification; the background has already dropped this tab's header rule
 function stopContextVerification() {
-  if (verificationInterval) {
-    clearInterval(verificationInterval);
-    verificationInterval = null;
-  }
+  verificationActive = false;
   activeToken = null;
   notifyPageContextStatus('inactive');
 }
 
-// Verify context and obtain new token
-async function verifyContext() {
-  try {
-    const response = await chrome.runtime.sendMessage({
-      type: 'VERIFY_CONTEXT'
-    });
-
-    if (response.success && response.token.consistencyScore >= consistencyThreshold) {
-      activeToken = response.token;
-      // Inject token into page for API requests
-      injectTokenToPage(activeToken);
-      notifyPageContextStatus('active', response.token.consistencyScore);
-    } else {
-      console.error('Context verification failed:', 
-        response.success ? 'Insufficient consistency score' : response.error);
-      handleVerificationFailure(response.token?.consistencyScore);
-    }
-  } catch (error) {
-    console.error('Error during context verification:', error);
-    handleVerificationFailure();
-  }
+// Tell the background whether the page is visible; a site whose tabs are all hidden stops refreshing
+// until one is shown again
+function reportVisibility() {
+  sendExtensionMessage('TAB_VISIBILITY', { visible: document.visibilityState === 'visible' }).catch(error => {
+    console.warn(`Failed to report visibility (${error.code}):`, error.message);
+  });
 }
 
-// Inject token into page for API requests
-function injectTokenToPage(token) {
-  const script = document.createElement('script');
-  script.textContent = `
-    window.secureContextToken = ${JSON.stringify(token)};
-    // Dispatch event to notify page of new token
-    window.dispatchEvent(new CustomEvent('secureContextTokenUpdated', {
-      detail: { 
-        token: window.secureContextToken,
-        consistencyScore: ${token.consistencyScore}
-      }
-    }));
-  `;
-  document.head.appendChild(script);
-  script.remove();
+// Have the background verify the site now; the outcome arrives as CONTEXT_STATUS
+function verifyContext() {
+  return sendExtensionMessage('VERIFY_CONTEXT').catch(error => {
+    console.error(`Error during context verification (${error.code}):`, error.message);
+  });
 }
 
-// Notify page of context status changes
-function notifyPageContextStatus(status, consistencyScore = 0) {
-  const script = document.createElement('script');
-  script.textContent = `
-    window.dispatchEvent(new CustomEvent('secureContextStatusChanged', {
-      detail: { 
-        status: '${status}',
-        consistencyScore: ${consistencyScore}
-      }
-    }));
-  `;
-  document.head.appendChild(script);
-  script.remove();
+// Relay a verification outcome of the site's session to the page SDK
+function handleContextStatus({ status, token = null, consistencyScore, reason, graceUntil, store = null }) {
+  if (!verificationActive) {
+    return;
+  }
+  activeToken = token;
+  notifyPageContextStatus(status, { token, consistencyScore, reason, graceUntil, store });
 }
 
-// Handle verification failure
-function handleVerificationFailure(consistencyScore = 0) {
-  activeToken = null;
-  
-  // Notify page that context verification failed
-  const script = document.createElement('script');
-  script.textContent = `
-    window.secureContextToken = null;
-    window.dispatchEvent(new CustomEvent('secureContextVerificationFailed', {
-      detail: { 
-        reason: ${consistencyScore ? '"Insufficient consistency score"' : '"Verification error"'},
-        consistencyScore: ${consistencyScore}
-      }
-    }));
-  `;
-  document.head.appendChild(script);
-  script.remove();
+// Post a message to the page bridge (page-bridge.js) in the page's main world
+function postToPage(type, payload) {
+  window.postMessage({
+    channel: BRIDGE_CHANNEL,
+    version: BRIDGE_VERSION,
+    direction: 'to-page',
+    type,
+    payload
+  }, window.location.origin);
+}
+
+// Notify page of context status changes (event schema version 1, see README)
+function notifyPageContextStatus(status, {
+  token = null, consistencyScore, reason = null, graceUntil = null, store = null
+} = {}) {
+  postToPage('status', {
+    status,
+    consistencyScore: token ? token.consistencyScore : consistencyScore || 0,
+    reason,
+    expiresAt: token ? getTokenExpiry(token) : null,
+    graceUntil,
+    // Set with step_up_required: the store whose register code completes verification
+    store: store ? { id: store.store_id, name: store.name } : null,
+    stepUp: Boolean(token && token.stepUp),
+    timestamp: Date.now(),
+    token: token ? token.token : null
+  });
 }
 
-// Listen for navigation events to start/stop verification
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.type === 'NAVIGATION_CHANGE') {
-    if (request.inStore) {
+// Handle requests from the page SDK; only same-window, same-origin bridge messages are accepted
+window.addEventListener('message', async event => {
+  const data = event.data;
+  if (event.source !== window || event.origin !== window.location.origin || !data ||
+      data.channel !== BRIDGE_CHANNEL || data.version !== BRIDGE_VERSION || data.direction !== 'to-extension') {
+    return;
+  }
+
+  if (data.type === 'request_verification' && Number.isInteger(data.payload?.requestId)) {
+    if (verificationActive) {
+      await verifyContext();
+    }
+    postToPage('verification_result', { requestId: data.payload.requestId });
+  } else if (data.type === 'sign_request' && Number.isInteger(data.payload?.requestId)) {
+    // The background signs with the device key; without an active token there is nothing to bind to
+    const { requestId, method, url, bodyDigest } = data.payload;
+    const response = activeToken
+      ? await sendExtensionMessage('SIGN_REQUEST', { method, url, bodyDigest }).catch(() => null)
+      : null;
+    postToPage('request_proof', { requestId, proof: response ? response.proof : null });
+  } else if (data.type === 'submit_step_up' && Number.isInteger(data.payload?.requestId)) {
+    // The new status follows as CONTEXT_STATUS once the site's sessions pick up the step-up token
+    const { requestId, code } = data.payload;
+    let result = { code: null, error: null };
+    try {
+      await sendExtensionMessage('STEP_UP', { code: String(code) });
+    } catch (error) {
+      result = { code: error.code, error: error.message };
+    }
+    postToPage('step_up_result', { requestId, ...result });
+  }
+});
+
+// Start/stop messages and verification outcomes from the background's tab session manager
+chrome.runtime.onMessage.addListener((message, sender) => {
+  let payload;
+  try {
+    payload = validateMessage(message, getMessageSenderKind(sender));
+  } catch (error) {
+    console.warn(`Ignoring message (${error.code}): ${error.message}`);
+    return;
+  }
+  if (message.type === 'NAVIGATION_CHANGE') {
+    if (payload.inStore) {
       startContextVerification();
     } else {
       stopContextVerification();
     }
+  } else if (message.type === 'CONTEXT_STATUS') {
+    handleContextStatus(payload);
   }
 });
 
-// Intercept and modify API requests to include context token
-const originalFetch = window.fetch;
-window.fetch = async function(...args) {
-  const currentSite = getCurrentSite();
-  if (currentSite && args[0].includes(currentSite[1].apiPattern)) {
-    const request = args[1] || {};
-    request.headers = request.headers || {};
-    
-    if (activeToken) {
-      request.headers['X-Secure-Context-Token'] = activeToken.token;
-      request.headers['X-Context-Consistency-Score'] = activeToken.consistencyScore.toString();
-      // Add site-specific header
-      request.headers['X-Shopping-Site'] = currentSite[0];
+// Token headers on API requests are added by the background's declarativeNetRequest rules (header-rules.js)
+
+// Resolve the site, then pick up this tab's session state; messages sent before the script loaded
+// were missed
+loadSiteRegistry().then(async registry => {
+  currentSite = findSiteForUrl(registry, window.location.href);
+  if (!currentSite) {
+    return;
+  }
+  // Tell the page bridge which requests need a proof-of-possession header
+  postToPage('config', { apiPattern: currentSite.apiPattern });
+  reportVisibility();
+  document.addEventListener('visibilitychange', reportVisibility);
+
+  const response = await sendExtensionMessage('CONTEXT_READY').catch(error => {
+    console.error(`Failed to get the tab's session (${error.code}):`, error.message);
+    return null;
+  });
+  if (response && response.inStore) {
+    startContextVerification();
+    if (response.status) {
+      handleContextStatus(response.status);
     }
-    
-    args[1] = request;
   }
-  
-  return originalFetch.apply(this, args);
-};
-
-// Initialize context verification if we're on a supported store page
-const currentSite = getCurrentSite();
-if (currentSite && window.location.href.includes(currentSite[1].storePattern)) {
-  startContextVerification();
-}
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,126 @@
+// Rolling history of recent context snapshots and the cross-sample evaluators built on it
+
+const CONTEXT_HISTORY_KEY = 'contextHistory';
+const CONTEXT_HISTORY_LIMIT = 20;
+const CONTEXT_HISTORY_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Faster than any ground travel between two fixes (~250 km/h)
+const MAX_PLAUSIBLE_SPEED_MPS = 70;
+
+// Real GPS fixes jitter in the last decimals; identical coordinates at this precision are a spoofing tell
+const REPLAY_COORDINATE_DECIMALS = 7;
+const REPLAY_MATCH_THRESHOLD = 2;
+
+// Serialize writes so concurrent verifications of different sites don't drop each other's samples
+let contextHistoryWriteQueue = Promise.resolve();
+
+// Load the history for a device, dropping samples that are too old
+async function loadContextHistory(deviceId) {
+  const { [CONTEXT_HISTORY_KEY]: histories = {} } = await chrome.storage.local.get(CONTEXT_HISTORY_KEY);
+  const cutoff = Date.now() - CONTEXT_HISTORY_MAX_AGE_MS;
+  return (histories[deviceId] || []).filter(snapshot => snapshot.collectedAt >= cutoff);
+}
+
+// Append a snapshot to a device's history, keeping only the most recent samples
+function recordContextSnapshot(deviceId, contextData) {
+  if (!contextData.location) {
+    return Promise.resolve();
+  }
+  contextHistoryWriteQueue = contextHistoryWriteQueue.catch(() => {}).then(async () => {
+    const { [CONTEXT_HISTORY_KEY]: histories = {} } = await chrome.storage.local.get(CONTEXT_HISTORY_KEY);
+    const cutoff = Date.now() - CONTEXT_HISTORY_MAX_AGE_MS;
+    const history = (histories[deviceId] || []).filter(snapshot => snapshot.collectedAt >= cutoff);
+    history.push(toHistorySnapshot(contextData));
+    histories[deviceId] = history.slice(-CONTEXT_HISTORY_LIMIT);
+    await chrome.storage.local.set({ [CONTEXT_HISTORY_KEY]: histories });
+  });
+  return contextHistoryWriteQueue;
+}
+
+// Reduce a context snapshot to the fields the history evaluators need
+function toHistorySnapshot(contextData) {
+  return {
+    lat: contextData.location.lat,
+    lng: contextData.location.lng,
+    accuracy: contextData.location.accuracy,
+    fixTime: contextData.location.timestamp,
+    collectedAt: contextData.timestamp
+  };
+}
+
+// Flag travel between the previous fix and this one that no shopper could manage.
+// Both accuracy radii are subtracted so imprecise fixes never look like travel.
+function evaluateTravelPlausibility(contextData, history) {
+  const previous = history[history.length - 1];
+  if (!contextData.location || !previous) {
+    return null;
+  }
+
+  const current = toHistorySnapshot(contextData);
+  const elapsedSeconds = (current.collectedAt - previous.collectedAt) / 1000;
+  const distance = Math.max(0, haversineDistance(previous, current) - previous.accuracy - current.accuracy);
+  if (distance === 0) {
+    return { score: 1.0, reason: 'No movement beyond fix accuracy since last sample' };
+  }
+
+  const speed = elapsedSeconds > 0 ? distance / elapsedSeconds : Infinity;
+  if (speed > MAX_PLAUSIBLE_SPEED_MPS) {
+    return {
+      score: 0,
+      reason: `Moved ${Math.round(distance)} m in ${elapsedSeconds.toFixed(1)} s`,
+      anomaly: { type: 'impossible_travel', distance: Math.round(distance), elapsedSeconds, speed }
+    };
+  }
+  return { score: 1.0, reason: `Implied speed ${speed.toFixed(1)} m/s` };
+}
+
+// Flag coordinates repeated exactly across samples
+function evaluateCoordinateReplay(contextData, history) {
+  if (!contextData.location || history.length === 0) {
+    return null;
+  }
+
+  const round = value => value.toFixed(REPLAY_COORDINATE_DECIMALS);
+  const { lat, lng } = contextData.location;
+  const matches = history.filter(snapshot =>
+    round(snapshot.lat) === round(lat) && round(snapshot.lng) === round(lng)).length;
+
+  if (matches >= REPLAY_MATCH_THRESHOLD) {
+    return {
+      score: 0,
+      reason: `Identical coordinates in ${matches} earlier samples`,
+      anomaly: { type: 'repeated_coordinates', matches }
+    };
+  }
+  if (matches > 0) {
+    return { score: 0.5, reason: 'Identical coordinates in 1 earlier sample' };
+  }
+  return { score: 1.0, reason: 'Coordinates vary between samples' };
+}
+
+// Flag clocks that run backwards between samples
+function evaluateClockConsistency(contextData, history) {
+  const previous = history[history.length - 1];
+  if (!previous) {
+    return null;
+  }
+
+  const current = contextData.location ? toHistorySnapshot(contextData) : { collectedAt: contextData.timestamp };
+  const regressions = [];
+  if (current.collectedAt < previous.collectedAt) {
+    regressions.push(`collection time went back ${previous.collectedAt - current.collectedAt} ms`);
+  }
+  if (typeof current.fixTime === 'number' && typeof previous.fixTime === 'number' &&
+      current.fixTime < previous.fixTime) {
+    regressions.push(`fix time went back ${previous.fixTime - current.fixTime} ms`);
+  }
+
+  if (regressions.length > 0) {
+    return {
+      score: 0,
+      reason: regressions.join('; '),
+      anomaly: { type: 'clock_regression', detail: regressions }
+    };
+  }
+  return { score: 1.0, reason: 'Timestamps advance monotonically' };
+}
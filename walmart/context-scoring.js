@@ -0,0 +1,140 @@
+// Context snapshot construction and scoring. Free of extension APIs so the same pipeline
+// runs in the background worker and in the headless trace replay tool (tools/replay-trace.js).
+
+// Once the accuracy circle reaches this far outside the nearest store, location scores 0
+const GEOFENCE_FALLOFF_M = 200;
+// An expected access point or beacon seen this many dB off its surveyed strength counts for nothing
+const FINGERPRINT_RSSI_TOLERANCE_DB = 30;
+// Where each radio evaluator finds the emitters in a reading and what identifies them
+const RADIO_FINGERPRINTS = {
+  network: { listKey: 'networks', idKey: 'bssid', label: 'access points' },
+  beacon: { listKey: 'beacons', idKey: 'id', label: 'beacons' }
+};
+
+// Build a context snapshot from one round of sensor readings
+function buildContextSnapshot(readings, stores) {
+  const reading = signal => readings.signals[signal] ? readings.signals[signal].reading : null;
+  const location = reading('location');
+  const nearest = location ? findNearestStore(location, stores) : null;
+  return {
+    location,
+    wifi_fingerprint: reading('wifi'),
+    motion_signature: reading('motion'),
+    pos_terminal: reading('pos'),
+    // Null when the site has no registered stores
+    store_match: nearest ? {
+      store_id: nearest.store.storeId,
+      name: nearest.store.name,
+      distance: Math.round(nearest.distance)
+    } : null,
+    timestamp: readings.timestamp
+  };
+}
+
+// Score the context snapshot against the site's policy, using recent snapshots for cross-sample checks
+// and the matched store's surveyed radio fingerprint
+function assessContext(contextData, site, history, stores = []) {
+  const storeMatch = contextData.store_match;
+  const matchedStore = storeMatch ? stores.find(store => store.storeId === storeMatch.store_id) : null;
+  const fingerprint = matchedStore && matchedStore.fingerprint ? matchedStore.fingerprint : {};
+  const evaluations = {
+    location: evaluateLocationConsistency(contextData.location, storeMatch),
+    temporal: evaluateTemporalConsistency(contextData),
+    motion: evaluateMotionConsistency(contextData.motion_signature),
+    network: evaluateNetworkConsistency(contextData.wifi_fingerprint, fingerprint.wifi, storeMatch),
+    beacon: evaluateBeaconConsistency(contextData.pos_terminal, fingerprint.beacons, storeMatch),
+    travel: evaluateTravelPlausibility(contextData, history),
+    replay: evaluateCoordinateReplay(contextData, history),
+    clock: evaluateClockConsistency(contextData, history)
+  };
+  const anomalies = Object.values(evaluations)
+    .filter(result => result && result.anomaly)
+    .map(result => result.anomaly);
+  return { ...applyScoringPolicy(getSitePolicy(site), evaluations), anomalies };
+}
+
+// Individual consistency evaluators; each returns { score, reason } or null if its signal is missing
+function evaluateLocationConsistency(location, storeMatch) {
+  if (!location) {
+    return null;
+  }
+
+  const accuracy = Math.round(location.accuracy);
+  const accuracyScore = location.accuracy <= 20 ? 1.0 : 0.5; // Higher score for more accurate locations
+
+  // Sites without registered stores are scored on accuracy alone
+  if (!storeMatch) {
+    return { score: accuracyScore, reason: `No stores registered for site; fix accurate to ${accuracy} m` };
+  }
+  if (storeMatch.distance === 0) {
+    return { score: accuracyScore, reason: `Within ${storeMatch.store_id}; fix accurate to ${accuracy} m` };
+  }
+
+  // Accuracy circle not wholly inside any store: decay towards 0 with how far it reaches out
+  return {
+    score: Math.max(0, 0.5 * (1 - storeMatch.distance / GEOFENCE_FALLOFF_M)),
+    reason: `Fix accurate to ${accuracy} m reaches ${storeMatch.distance} m outside nearest store ${storeMatch.store_id}`
+  };
+}
+
+function evaluateTemporalConsistency(contextData) {
+  const timestamps = [
+    contextData.timestamp,
+    contextData.location && contextData.location.timestamp,
+    contextData.wifi_fingerprint && contextData.wifi_fingerprint.timestamp,
+    contextData.motion_signature && contextData.motion_signature.timestamp
+  ].filter(timestamp => typeof timestamp === 'number');
+  
+  const maxDiff = Math.max(...timestamps) - Math.min(...timestamps);
+  return maxDiff < 5000
+    ? { score: 1.0, reason: `Signals captured within ${maxDiff} ms` } // Higher score for closely aligned timestamps
+    : { score: 0.5, reason: `Signals captured ${maxDiff} ms apart` };
+}
+
+function evaluateMotionConsistency(motionData) {
+  if (!motionData) {
+    return null;
+  }
+  // In a real implementation, we would analyze motion patterns
+  return { score: 1.0, reason: 'Motion pattern analysis not available' };
+}
+
+// Share of a store's expected emitters that were observed, each counted by how close its signal
+// strength is to the surveyed one. `observed` and `expected` are [{ <key>, rssi }].
+function matchRadioFingerprint(observed, expected, key) {
+  const observedRssi = new Map(observed.map(emitter => [String(emitter[key]).toLowerCase(), emitter.rssi]));
+  let matched = 0;
+  let similarity = 0;
+  expected.forEach(emitter => {
+    const rssi = observedRssi.get(String(emitter[key]).toLowerCase());
+    if (typeof rssi === 'number') {
+      matched++;
+      similarity += Math.max(0, 1 - Math.abs(rssi - emitter.rssi) / FINGERPRINT_RSSI_TOLERANCE_DB);
+    }
+  });
+  return { matched, score: similarity / expected.length };
+}
+
+// Score a scan against a store's fingerprint. Null when there is no scan, the reading predates
+// native scans (no emitter list) or the store has no fingerprint.
+function evaluateRadioFingerprint(evaluator, scan, expected, storeMatch) {
+  const { listKey, idKey, label } = RADIO_FINGERPRINTS[evaluator];
+  if (!scan || !Array.isArray(scan[listKey]) || !Array.isArray(expected) || expected.length === 0) {
+    return null;
+  }
+  const { matched, score } = matchRadioFingerprint(scan[listKey], expected, idKey);
+  const result = { score, reason: `${matched} of ${expected.length} ${label} of ${storeMatch.store_id} seen` };
+  // Inside the store by location, yet a non-empty scan shows none of its emitters
+  if (storeMatch.distance === 0 && matched === 0 && scan[listKey].length > 0) {
+    result.anomaly = { type: 'fingerprint_mismatch', evaluator, storeId: storeMatch.store_id };
+  }
+  return result;
+}
+
+function evaluateNetworkConsistency(wifiData, expectedNetworks, storeMatch) {
+  return evaluateRadioFingerprint('network', wifiData, expectedNetworks, storeMatch);
+}
+
+function evaluateBeaconConsistency(beaconData, expectedBeacons, storeMatch) {
+  return evaluateRadioFingerprint('beacon', beaconData, expectedBeacons, storeMatch);
+}
@@ -0,0 +1,84 @@
+// WebAuthn signing mode for token requests. With SIGNING_CONFIG.mode 'webauthn', an enrolled device
+// registers a platform authenticator credential and links it to its device key at the backend's
+// /register-credential; from then on /issue-token and /step-up requests are signed as WebAuthn
+// assertions whose challenge is the SHA-256 of the canonical signed payload. The WebCrypto key remains
+// the device's identity and still signs request proofs, device management requests and the
+// attestation log.
+//
+// Service workers have no navigator.credentials, so the ceremonies run in the offscreen document
+// (webauthn.js). No offscreen reason covers WebAuthn and the document never has focus, so the browser
+// may refuse a ceremony there. Where there is no platform authenticator the device keeps signing with
+// the WebCrypto key and tries to register again a day later; when an assertion fails the token request
+// is signed with the WebCrypto key instead, which the backend also accepts, and assertions are skipped
+// for an hour.
+
+const WEBAUTHN_CEREMONY_TIMEOUT_MS = 60000;
+// Assertions sign background token requests, so a stuck one must not hold up a verification for long
+const WEBAUTHN_ASSERTION_TIMEOUT_MS = 5000;
+const WEBAUTHN_ASSERTION_RETRY_MS = 60 * 60 * 1000;
+const DEVICE_CREDENTIAL_RETRY_MS = 24 * 60 * 60 * 1000;
+
+let credentialRegistration = null;
+
+// Register and link a credential unless the device has one, the mode is off or a recent attempt
+// found no authenticator; concurrent callers share one registration
+function ensureDeviceCredential() {
+  if (!credentialRegistration) {
+    credentialRegistration = registerDeviceCredential().finally(() => {
+      credentialRegistration = null;
+    });
+  }
+  return credentialRegistration;
+}
+
+async function registerDeviceCredential() {
+  const deviceKey = await getDeviceKey();
+  const lastAttempt = deviceKey.credentialAttemptedAt || 0;
+  if (SIGNING_CONFIG.mode !== 'webauthn' || deviceKey.credential || lastAttempt + DEVICE_CREDENTIAL_RETRY_MS > Date.now()) {
+    return deviceKey.credential;
+  }
+
+  let credential;
+  try {
+    ({ credential } = await sendOffscreenRequest('WEBAUTHN_CREATE', {
+      userName: `Secure Context device ${deviceKey.publicKey.slice(2, 18)}`
+    }, WEBAUTHN_CEREMONY_TIMEOUT_MS));
+  } catch (error) {
+    console.warn(`No WebAuthn credential, signing with the WebCrypto key (${error.code}): ${error.message}`);
+    await updateDeviceKey({ credentialAttemptedAt: Date.now() });
+    return null;
+  }
+
+  // The credential signs the registration too, proving the backend is linking a key it controls
+  await sendDeviceRequest('register-credential', {
+    credentialId: credential.id,
+    credentialPublicKey: credential.publicKey
+  }, { credentialId: credential.id });
+  const updated = await updateDeviceKey({ credential: { ...credential, registeredAt: Date.now() } });
+  return updated.credential;
+}
+
+// Have the credential sign a payload: an assertion with SHA-256(payload) as its challenge
+async function getCredentialAssertion(credentialId, signedPayload) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(signedPayload));
+  const { assertion } = await sendOffscreenRequest('WEBAUTHN_GET', {
+    credentialId,
+    challenge: base64UrlEncode(new Uint8Array(digest))
+  }, WEBAUTHN_ASSERTION_TIMEOUT_MS);
+  return assertion;
+}
+
+// Sign a token request payload with the device's credential if it has one and its assertions haven't
+// failed within the last hour, else (or if the assertion fails now) with its WebCrypto key
+async function signTokenRequest(deviceKey, signedPayload) {
+  const lastFailure = deviceKey.credentialAssertionFailedAt || 0;
+  if (deviceKey.credential && lastFailure + WEBAUTHN_ASSERTION_RETRY_MS <= Date.now()) {
+    try {
+      return await getCredentialAssertion(deviceKey.credential.id, signedPayload);
+    } catch (error) {
+      console.warn(`WebAuthn assertion failed, signing with the WebCrypto key (${error.code}): ${error.message}`);
+      await updateDeviceKey({ credentialAssertionFailedAt: Date.now() });
+    }
+  }
+  return signData(signedPayload, deviceKey.keyPair.privateKey);
+}
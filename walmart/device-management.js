@@ -0,0 +1,124 @@
+// Management of the devices enrolled on this device's account (list, rename, revoke) and of this
+// device's own enrollment state. Requests (including the invitation requests made by
+// enrollment.js) are signed by the device key over a canonical payload
+// (buildSignedDevicePayload in canonical.js) and go to the Walmart backend, which owns devices.
+//
+// The device state lives in storage so the popup can follow it:
+//   { status: 'revoked' | 'reenrolling', since }
+// No state means the device is enrolled (or will be on its first token request). Which key the
+// backend has actually enrolled is kept apart as { publicKey, since }, for step-up (isDeviceEnrolled).
+
+const DEVICE_STATE_KEY = 'deviceState';
+const DEVICE_ENROLLMENT_KEY = 'deviceEnrollment';
+const DEVICE_MANAGEMENT_SITE = 'walmart.com';
+const DEVICE_MANAGEMENT_PATHS = {
+  list: '/list-devices',
+  rename: '/rename-device',
+  revoke: '/revoke-device',
+  invite: '/generate-enrollment',
+  claim: '/claim-enrollment',
+  approve: '/approve-enrollment',
+  'register-credential': '/register-credential'
+};
+
+// Raised instead of contacting the backend while this device is revoked
+class DeviceRevokedError extends Error {
+  constructor() {
+    super('This device has been revoked; re-enroll it from the extension popup');
+    this.code = 'device_revoked';
+  }
+}
+
+async function getDeviceState() {
+  const { [DEVICE_STATE_KEY]: state = null } = await chrome.storage.local.get(DEVICE_STATE_KEY);
+  return state;
+}
+
+function setDeviceState(status) {
+  return chrome.storage.local.set({ [DEVICE_STATE_KEY]: { status, since: Date.now() } });
+}
+
+// Record that the backend has revoked this device and stop attaching its tokens
+async function markDeviceRevoked() {
+  await setDeviceState('revoked');
+  await removeAllHeaderRules();
+}
+
+// A token was issued for the current key (or an invitation approved it), so any re-enrollment is
+// complete; an enrolled device links a WebAuthn credential if it has none yet
+async function markDeviceEnrolled() {
+  if (await getDeviceState()) {
+    await chrome.storage.local.remove(DEVICE_STATE_KEY);
+  }
+  if (!await isDeviceEnrolled()) {
+    const { publicKey } = await getDeviceKey();
+    await chrome.storage.local.set({ [DEVICE_ENROLLMENT_KEY]: { publicKey, since: Date.now() } });
+  }
+  ensureDeviceCredential().catch(error => {
+    console.error('Failed to register a WebAuthn credential:', error);
+  });
+}
+
+// Whether the backend has enrolled the current device key. A rotated or replaced key isn't enrolled
+// until a token is issued for it.
+async function isDeviceEnrolled() {
+  const { [DEVICE_ENROLLMENT_KEY]: enrollment = null } = await chrome.storage.local.get(DEVICE_ENROLLMENT_KEY);
+  return Boolean(enrollment) && enrollment.publicKey === (await getDeviceKey()).publicKey;
+}
+
+// Replace the revoked key with a fresh one; the next token request enrolls it
+async function reenrollDevice() {
+  const state = await getDeviceState();
+  if (!state || state.status !== 'revoked') {
+    throw new Error('This device is not revoked');
+  }
+  await replaceDeviceKey();
+  await setDeviceState('reenrolling');
+}
+
+function getDeviceManagementEndpoint() {
+  return resolveApiEndpoint(DEFAULT_SITES[DEVICE_MANAGEMENT_SITE].endpoint);
+}
+
+// Send a signed device management request; with a credentialId the WebAuthn credential also signs it
+async function sendDeviceRequest(action, params = {}, { credentialId = null } = {}) {
+  const deviceKey = await getDeviceKey();
+  const timestamp = Date.now();
+  const signedPayload = buildSignedDevicePayload({ action, publicKey: deviceKey.publicKey, timestamp, params });
+  const signature = await signData(signedPayload, deviceKey.keyPair.privateKey);
+  const assertion = credentialId ? await getCredentialAssertion(credentialId, signedPayload) : undefined;
+  try {
+    return await postToBackend(getDeviceManagementEndpoint(), DEVICE_MANAGEMENT_PATHS[action], {
+      ...params,
+      publicKey: deviceKey.publicKey,
+      timestamp,
+      signature,
+      assertion
+    });
+  } catch (error) {
+    if (error.code === 'device_revoked') {
+      await markDeviceRevoked();
+    }
+    throw error;
+  }
+}
+
+// The account's devices: [{ fingerprint, label, status, enrolledAt, lastSeen, revokedAt, current }]
+async function listAccountDevices() {
+  const { devices } = await sendDeviceRequest('list');
+  return devices;
+}
+
+function renameAccountDevice(fingerprint, label) {
+  return sendDeviceRequest('rename', { fingerprint, label });
+}
+
+// Revoke a device of the account (this device when no fingerprint is given); revoking this device
+// moves it into the revoked state
+async function revokeAccountDevice(fingerprint = null) {
+  const result = await sendDeviceRequest('revoke', { fingerprint });
+  if (result.current) {
+    await markDeviceRevoked();
+  }
+  return result;
+}
@@ -0,0 +1,193 @@
+// Enrollment of a new device by invitation. An enrolled device (the owner) creates an invitation
+// and the popup shows its link as a QR code. The new device opens the link, which its worker
+// notices and claims with the new device's key, and the owner then approves or rejects it.
+//
+// Each side keeps its enrollment in storage, so it survives the popup closing, and polls the
+// backend until the enrollment is decided:
+//   { role: 'owner' | 'device', enrollmentToken, enrollmentUrl, status, expiresAt, candidate,
+//     reason, updatedAt }
+// status is one of pending, scanned, awaiting_approval, approved, rejected or expired.
+
+const ENROLLMENT_STATE_KEY = 'enrollment';
+const ENROLLMENT_FINAL_STATES = ['approved', 'rejected', 'expired'];
+const ENROLLMENT_POLL_INTERVAL_MS = 2000;
+// Keeps polling going after the worker was suspended; alarms fire at most every 30 seconds
+const ENROLLMENT_POLL_ALARM = 'enrollment-poll';
+// Finished enrollments stay visible in the popup for a while, then are cleared
+const ENROLLMENT_RESULT_RETENTION_MS = 10 * 60 * 1000;
+
+let enrollmentPollTimer = null;
+
+function isEnrollmentFinal(enrollment) {
+  return ENROLLMENT_FINAL_STATES.includes(enrollment.status);
+}
+
+async function getEnrollmentState(now = Date.now()) {
+  const { [ENROLLMENT_STATE_KEY]: enrollment = null } = await chrome.storage.local.get(ENROLLMENT_STATE_KEY);
+  if (enrollment && isEnrollmentFinal(enrollment) && enrollment.updatedAt + ENROLLMENT_RESULT_RETENTION_MS <= now) {
+    await chrome.storage.local.remove(ENROLLMENT_STATE_KEY);
+    return null;
+  }
+  return enrollment;
+}
+
+// Store a status reported by the backend (or reached locally) and keep polling until it is final
+async function applyEnrollmentStatus(enrollment, { status, expiresAt, candidate = null, reason = null }) {
+  let updated = enrollment;
+  const candidateFingerprint = candidate ? candidate.fingerprint : null;
+  const previousFingerprint = enrollment.candidate ? enrollment.candidate.fingerprint : null;
+  if (status !== enrollment.status || candidateFingerprint !== previousFingerprint || reason !== enrollment.reason) {
+    updated = { ...enrollment, status, expiresAt, candidate, reason, updatedAt: Date.now() };
+    await chrome.storage.local.set({ [ENROLLMENT_STATE_KEY]: updated });
+    if (updated.role === 'device' && status === 'approved') {
+      await markDeviceEnrolled();
+    }
+  }
+  scheduleEnrollmentPoll(updated);
+  return updated;
+}
+
+// Owner: invite a new device, or return the invitation already in progress
+async function startEnrollment() {
+  const current = await getEnrollmentState();
+  if (current && !isEnrollmentFinal(current)) {
+    return current;
+  }
+  const { enrollmentToken, enrollmentUrl, ...status } = await sendDeviceRequest('invite');
+  return applyEnrollmentStatus({ role: 'owner', enrollmentToken, enrollmentUrl, status: null }, status);
+}
+
+// A name for this device that the owner sees when approving it
+function getDeviceLabel() {
+  const platform = navigator.userAgentData ? navigator.userAgentData.platform : '';
+  return platform ? `Chrome on ${platform}` : null;
+}
+
+// New device: claim an invitation whose link was opened in this browser
+async function joinEnrollment(enrollmentToken) {
+  const current = await getEnrollmentState();
+  if (current && current.enrollmentToken === enrollmentToken) {
+    return current;
+  }
+  const enrollment = { role: 'device', enrollmentToken, enrollmentUrl: null, status: null };
+  let status;
+  try {
+    status = await sendDeviceRequest('claim', { enrollmentToken, label: getDeviceLabel() });
+  } catch (error) {
+    status = {
+      status: error.code === 'enrollment_expired' ? 'expired' : 'rejected',
+      expiresAt: Date.now(),
+      reason: error.message
+    };
+  }
+  return applyEnrollmentStatus(enrollment, status);
+}
+
+// Owner: approve or reject the claiming device; rejecting an unclaimed invitation cancels it
+async function decideEnrollment(approve) {
+  const enrollment = await getEnrollmentState();
+  if (!enrollment || enrollment.role !== 'owner') {
+    throw new Error('There is no invitation to decide');
+  }
+  const status = await sendDeviceRequest('approve', { enrollmentToken: enrollment.enrollmentToken, approve });
+  return applyEnrollmentStatus(enrollment, status);
+}
+
+// Dismiss the enrollment, cancelling the owner's invitation if it is still open
+async function clearEnrollment() {
+  const enrollment = await getEnrollmentState();
+  if (enrollment && enrollment.role === 'owner' && !isEnrollmentFinal(enrollment)) {
+    await decideEnrollment(false).catch(error => {
+      console.warn('Failed to cancel enrollment:', error);
+    });
+  }
+  stopEnrollmentPolling();
+  await chrome.storage.local.remove(ENROLLMENT_STATE_KEY);
+}
+
+// Ask the backend for the enrollment's status; expiry is noticed locally without a request
+async function pollEnrollment() {
+  const enrollment = await getEnrollmentState();
+  if (!enrollment || isEnrollmentFinal(enrollment)) {
+    stopEnrollmentPolling();
+    return;
+  }
+  if (enrollment.expiresAt <= Date.now()) {
+    await applyEnrollmentStatus(enrollment, { ...enrollment, status: 'expired' });
+    return;
+  }
+
+  let status;
+  try {
+    status = await postToBackend(getDeviceManagementEndpoint(), '/enrollment-status',
+      { enrollmentToken: enrollment.enrollmentToken }, { ...REQUEST_POLICY, maxAttempts: 1 });
+  } catch (error) {
+    // The backend forgets invitations some time after they end
+    status = error.code === 'unknown_enrollment' ? { ...enrollment, status: 'expired' } : null;
+  }
+
+  // The enrollment may have been dismissed or replaced while the request was in flight
+  const current = await getEnrollmentState();
+  if (!current || current.enrollmentToken !== enrollment.enrollmentToken) {
+    return;
+  }
+  if (status) {
+    await applyEnrollmentStatus(current, status);
+  } else {
+    scheduleEnrollmentPoll(current);
+  }
+}
+
+function scheduleEnrollmentPoll(enrollment) {
+  if (isEnrollmentFinal(enrollment)) {
+    stopEnrollmentPolling();
+    return;
+  }
+  clearTimeout(enrollmentPollTimer);
+  enrollmentPollTimer = setTimeout(() => {
+    pollEnrollment().catch(error => {
+      console.error('Enrollment polling failed:', error);
+    });
+  }, ENROLLMENT_POLL_INTERVAL_MS);
+  chrome.alarms.get(ENROLLMENT_POLL_ALARM).then(alarm => {
+    if (!alarm) {
+      chrome.alarms.create(ENROLLMENT_POLL_ALARM, { periodInMinutes: 0.5 });
+    }
+  });
+}
+
+function stopEnrollmentPolling() {
+  clearTimeout(enrollmentPollTimer);
+  enrollmentPollTimer = null;
+  chrome.alarms.clear(ENROLLMENT_POLL_ALARM);
+}
+
+// The invitation token in an enrollment link from the device management backend
+function getEnrollmentLinkToken(url) {
+  if (!url.startsWith(`${getDeviceManagementEndpoint()}/enroll?`)) {
+    return null;
+  }
+  return new URL(url).searchParams.get('token');
+}
+
+chrome.webNavigation.onBeforeNavigate.addListener(details => {
+  const enrollmentToken = details.frameId === 0 ? getEnrollmentLinkToken(details.url) : null;
+  if (enrollmentToken) {
+    joinEnrollment(enrollmentToken).catch(error => {
+      console.error('Failed to join enrollment:', error);
+    });
+  }
+}, { url: [{ pathSuffix: '/enroll' }] });
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === ENROLLMENT_POLL_ALARM) {
+    pollEnrollment().catch(error => {
+      console.error('Enrollment polling failed:', error);
+    });
+  }
+});
+
+// Resume polling when the worker starts with an enrollment in progress
+pollEnrollment().catch(error => {
+  console.error('Enrollment polling failed:', error);
+});
@@ -0,0 +1,74 @@
+// Geofence math for matching a location fix against store boundaries
+
+const EARTH_RADIUS_M = 6371000;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Great-circle distance between two { lat, lng } points in meters
+function haversineDistance(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+// Project a point to local planar meters around an origin (accurate at store scale)
+function projectToMeters(point, origin) {
+  return {
+    x: toRadians(point.lng - origin.lng) * Math.cos(toRadians(origin.lat)) * EARTH_RADIUS_M,
+    y: toRadians(point.lat - origin.lat) * EARTH_RADIUS_M
+  };
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// Distance in meters from a point to a polygon's boundary, negative if the point is inside
+function signedDistanceToPolygon(point, polygon) {
+  const vertices = polygon.map(vertex => projectToMeters(vertex, point));
+  const origin = { x: 0, y: 0 };
+
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[i];
+    const b = vertices[j];
+    if ((a.y > 0) !== (b.y > 0) && 0 < (b.x - a.x) * (0 - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  const distance = Math.min(...vertices.map((vertex, i) =>
+    distanceToSegment(origin, vertex, vertices[(i + 1) % vertices.length])));
+  return inside ? -distance : distance;
+}
+
+// Distance in meters from a point to a store's geofence boundary, negative if the point is inside
+function signedDistanceToStore(point, store) {
+  if (store.polygon) {
+    return signedDistanceToPolygon(point, store.polygon);
+  }
+  return haversineDistance(point, store.center) - store.radius;
+}
+
+// Find the store whose geofence best contains the fix's accuracy circle.
+// Returns { store, distance } where distance is how far the circle reaches outside the geofence: 0
+// only when the whole circle is inside, so a coarse fix can't place the device in a store.
+function findNearestStore(location, stores) {
+  let nearest = null;
+  stores.forEach(store => {
+    const distance = Math.max(0, signedDistanceToStore(location, store) + location.accuracy);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { store, distance };
+    }
+  });
+  return nearest;
+}
@@ -0,0 +1,108 @@
+// declarativeNetRequest session rules that attach the context token to a tab's site API requests.
+// One rule per tab (rule id = tab id), scoped to that tab and its site's apiPattern, so every
+// request type - fetch, XHR, form posts, beacons - carries the current token.
+
+const HEADER_RULE_RESOURCE_TYPES = [
+  'main_frame',
+  'sub_frame',
+  'stylesheet',
+  'script',
+  'image',
+  'font',
+  'object',
+  'xmlhttprequest',
+  'ping',
+  'csp_report',
+  'media',
+  'websocket',
+  'other'
+];
+
+// The urlFilter for a site's API requests. `||` anchors the host at a domain label and `^` or the
+// path's leading slash ends it, so lookalike hosts (api.walmart.com.example) don't match.
+function getApiUrlFilter(site) {
+  const { host, path } = parseApiPattern(site.apiPattern);
+  return `||${host}${path || '^'}`;
+}
+
+// Expiry timers for installed rules, by tab id
+const headerRuleExpiryTimers = new Map();
+
+// Install or replace the header rule for a tab; usableUntil extends past expiry during offline grace
+async function setTabHeaderRule(tabId, site, token, usableUntil = getTokenExpiry(token)) {
+  if (!token.token || usableUntil === null || usableUntil <= Date.now()) {
+    await removeTabHeaderRule(tabId);
+    return;
+  }
+
+  await chrome.declarativeNetRequest.updateSessionRules({
+    removeRuleIds: [tabId],
+    addRules: [{
+      id: tabId,
+      priority: 1,
+      action: {
+        type: 'modifyHeaders',
+        requestHeaders: [
+          { header: 'X-Secure-Context-Token', operation: 'set', value: token.token },
+          { header: 'X-Context-Consistency-Score', operation: 'set', value: String(token.consistencyScore) },
+          { header: 'X-Shopping-Site', operation: 'set', value: site.domain }
+        ]
+      },
+      condition: {
+        tabIds: [tabId],
+        urlFilter: getApiUrlFilter(site),
+        resourceTypes: HEADER_RULE_RESOURCE_TYPES
+      }
+    }]
+  });
+
+  // Drop the rule once the token is no longer usable
+  clearTimeout(headerRuleExpiryTimers.get(tabId));
+  headerRuleExpiryTimers.set(tabId, setTimeout(() => {
+    removeTabHeaderRule(tabId).catch(() => {});
+  }, usableUntil - Date.now()));
+}
+
+// Remove a tab's header rule
+async function removeTabHeaderRule(tabId) {
+  clearTimeout(headerRuleExpiryTimers.get(tabId));
+  headerRuleExpiryTimers.delete(tabId);
+  await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [tabId] });
+}
+
+// Remove every tab's header rule, e.g. once the device has been revoked
+async function removeAllHeaderRules() {
+  headerRuleExpiryTimers.forEach(timer => clearTimeout(timer));
+  headerRuleExpiryTimers.clear();
+  const rules = await chrome.declarativeNetRequest.getSessionRules();
+  await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: rules.map(rule => rule.id) });
+}
+
+// The token a tab's rule currently attaches, read back from the session rules so it survives
+// worker restarts
+async function getTabHeaderToken(tabId) {
+  const rules = await chrome.declarativeNetRequest.getSessionRules();
+  const rule = rules.find(candidate => candidate.id === tabId);
+  const header = rule && rule.action.requestHeaders.find(h => h.header === 'X-Secure-Context-Token');
+  return header ? header.value : null;
+}
+
+// Session rules outlive a suspended worker but not its timers: drop rules whose token has expired
+// beyond the offline grace window
+async function pruneExpiredHeaderRules() {
+  const graceStart = Date.now() - REQUEST_POLICY.offlineGraceMs;
+  const rules = await chrome.declarativeNetRequest.getSessionRules();
+  const expiredIds = rules
+    .filter(rule => {
+      const header = rule.action.requestHeaders.find(h => h.header === 'X-Secure-Context-Token');
+      return !header || isTokenExpired({ token: header.value }, graceStart);
+    })
+    .map(rule => rule.id);
+  if (expiredIds.length > 0) {
+    await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: expiredIds });
+  }
+}
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  removeTabHeaderRule(tabId).catch(() => {});
+});
@@ -0,0 +1,198 @@
+// Device key store backed by IndexedDB so the signing key survives service worker restarts
+
+const KEY_STORE_DB_NAME = 'secure-context-keys';
+const KEY_STORE_DB_VERSION = 1;
+const KEY_STORE_NAME = 'keys';
+const DEVICE_KEY_ID = 'device';
+const PREVIOUS_DEVICE_KEY_ID = 'device-previous';
+
+// Rotate the device key every 30 days
+const KEY_ROTATION_ALARM = 'device-key-rotation';
+const KEY_ROTATION_PERIOD_MINUTES = 30 * 24 * 60;
+
+let deviceKeyPromise = null;
+
+// Open (and create on first use) the key store database
+function openKeyStore() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(KEY_STORE_DB_NAME, KEY_STORE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(KEY_STORE_NAME)) {
+        db.createObjectStore(KEY_STORE_NAME, { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run a single request against the key store and resolve with its result
+async function keyStoreRequest(mode, operation) {
+  const db = await openKeyStore();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(KEY_STORE_NAME, mode);
+    const request = operation(transaction.objectStore(KEY_STORE_NAME));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+function readKeyRecord(id) {
+  return keyStoreRequest('readonly', store => store.get(id));
+}
+
+function writeKeyRecord(record) {
+  return keyStoreRequest('readwrite', store => store.put(record));
+}
+
+// Generate device-bound key pair using Web Crypto API.
+// The private key is non-extractable; CryptoKey objects are stored as-is in IndexedDB.
+async function generateDeviceKeyPair() {
+  return crypto.subtle.generateKey(
+    {
+      name: 'ECDSA',
+      namedCurve: 'P-256'
+    },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+// Export a public key as a hex-encoded raw EC point
+async function exportPublicKeyHex(publicKey) {
+  const exported = await crypto.subtle.exportKey('raw', publicKey);
+  return Array.from(new Uint8Array(exported))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Create a fresh device key record and persist it
+async function createDeviceKeyRecord() {
+  const keyPair = await generateDeviceKeyPair();
+  const record = {
+    id: DEVICE_KEY_ID,
+    keyPair,
+    publicKey: await exportPublicKeyHex(keyPair.publicKey),
+    createdAt: Date.now(),
+    rotation: null,
+    // The statement this key was rotated in with; kept after acknowledgement for the attestation log
+    rotatedFrom: null,
+    // WebAuthn credential linked to this key, once registered (device-credential.js)
+    credential: null
+  };
+  await writeKeyRecord(record);
+  await chrome.storage.local.set({ publicKey: record.publicKey });
+  return record;
+}
+
+// Load the device key record lazily, generating one if none exists yet
+function getDeviceKey() {
+  if (!deviceKeyPromise) {
+    deviceKeyPromise = readKeyRecord(DEVICE_KEY_ID)
+      .then(record => record || createDeviceKeyRecord())
+      .catch(error => {
+        deviceKeyPromise = null;
+        throw error;
+      });
+  }
+  return deviceKeyPromise;
+}
+
+// Replace the device key. The outgoing key signs the new public key so the
+// backend can carry the enrollment over to the new key. While the backend hasn't
+// acknowledged the last rotation the key is kept: the backend only accepts a statement
+// signed by the key it knows, so replacing the pending one would orphan the enrollment.
+async function rotateDeviceKey() {
+  const current = await getDeviceKey();
+  if (current.rotation) {
+    return current;
+  }
+  const keyPair = await generateDeviceKeyPair();
+  const publicKey = await exportPublicKeyHex(keyPair.publicKey);
+  const rotatedAt = Date.now();
+
+  const statement = new TextEncoder().encode(`${current.publicKey}:${publicKey}:${rotatedAt}`);
+  const signature = await crypto.subtle.sign(
+    { name: 'ECDSA', hash: { name: 'SHA-256' } },
+    current.keyPair.privateKey,
+    statement
+  );
+
+  const rotation = {
+    previousPublicKey: current.publicKey,
+    publicKey,
+    rotatedAt,
+    signature: Array.from(new Uint8Array(signature))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('')
+  };
+  const record = {
+    id: DEVICE_KEY_ID,
+    keyPair,
+    publicKey,
+    createdAt: rotatedAt,
+    // The backend moves the credential link over to the new key along with the enrollment
+    credential: current.credential || null,
+    rotation,
+    rotatedFrom: rotation
+  };
+
+  await writeKeyRecord({ ...current, id: PREVIOUS_DEVICE_KEY_ID });
+  await writeKeyRecord(record);
+  await chrome.storage.local.set({ publicKey });
+  deviceKeyPromise = Promise.resolve(record);
+  return record;
+}
+
+// Start over with a brand new key after the current one was revoked. Unlike a rotation nothing
+// vouches for the new key, so it has to be enrolled again.
+function replaceDeviceKey() {
+  deviceKeyPromise = createDeviceKeyRecord().catch(error => {
+    deviceKeyPromise = null;
+    throw error;
+  });
+  return deviceKeyPromise;
+}
+
+// Save changes to the current device key record
+async function updateDeviceKey(changes) {
+  const updated = { ...await getDeviceKey(), ...changes };
+  await writeKeyRecord(updated);
+  deviceKeyPromise = Promise.resolve(updated);
+  return updated;
+}
+
+// Forget the pending rotation statement once the backend has accepted it
+async function acknowledgeKeyRotation() {
+  const record = await getDeviceKey();
+  if (record.rotation) {
+    await updateDeviceKey({ rotation: null });
+  }
+}
+
+// Schedule periodic key rotation unless it already is, so extension updates don't push the next
+// rotation back by a full period
+async function scheduleKeyRotation() {
+  if (await chrome.alarms.get(KEY_ROTATION_ALARM)) {
+    return;
+  }
+  chrome.alarms.create(KEY_ROTATION_ALARM, {
+    delayInMinutes: KEY_ROTATION_PERIOD_MINUTES,
+    periodInMinutes: KEY_ROTATION_PERIOD_MINUTES
+  });
+}
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === KEY_ROTATION_ALARM) {
+    rotateDeviceKey().catch(error => {
+      console.error('Device key rotation failed:', error);
+    });
+  }
+});
@@ -0,0 +1,81 @@
+// Message router for the background service worker. Handlers are registered per message type
+// (see MESSAGE_SCHEMAS in messages.js) and only see messages that passed validation for their
+// sender. Every request is answered, including ones that fail validation or whose handler throws.
+//
+// Extension pages can also open a STATUS_PORT_NAME port and send SUBSCRIBE_STATUS to follow a
+// tab's session status and schedule; TAB_STATUS is posted on subscribing and on every change.
+
+// Handlers by message type: (payload, { kind, tab }) => result object (or a promise of one)
+const messageHandlers = new Map();
+// Open status ports and the tab each is subscribed to (null until it subscribes)
+const statusSubscriptions = new Map();
+
+function registerMessageHandler(type, handler) {
+  if (!Object.hasOwn(MESSAGE_SCHEMAS, type)) {
+    throw new Error(`No schema for message type ${type}`);
+  }
+  messageHandlers.set(type, handler);
+}
+
+async function routeMessage(message, sender) {
+  const kind = getMessageSenderKind(sender);
+  const payload = validateMessage(message, kind);
+  const handler = messageHandlers.get(message.type);
+  if (!handler) {
+    throw new MessageError(MESSAGE_ERROR_CODES.unknownType, `No handler for ${message.type}`);
+  }
+  return handler(payload, { kind, tab: sender.tab || null });
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  routeMessage(message, sender)
+    .then(result => sendResponse({ success: true, ...result }))
+    .catch(error => {
+      // Errors without a code are unexpected
+      if (!error.code) {
+        console.error(`Failed to handle ${message && message.type}:`, error);
+      }
+      sendResponse({ success: false, error: error.message, code: error.code || MESSAGE_ERROR_CODES.internal });
+    });
+  return true; // Respond asynchronously
+});
+
+function postTabStatus(port, tabId) {
+  port.postMessage(createMessage('TAB_STATUS', { tabId, ...getTabSessionStatus(tabId) }));
+}
+
+// Push a tab's new session status to the ports subscribed to it
+function publishTabStatus(tabId) {
+  statusSubscriptions.forEach((subscribedTabId, port) => {
+    if (subscribedTabId === tabId) {
+      postTabStatus(port, tabId);
+    }
+  });
+}
+
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== STATUS_PORT_NAME) {
+    return;
+  }
+  const kind = getMessageSenderKind(port.sender);
+  if (kind !== 'extension') {
+    port.disconnect();
+    return;
+  }
+  statusSubscriptions.set(port, null);
+  port.onMessage.addListener(message => {
+    try {
+      const { tabId } = validateMessage(message, kind);
+      if (message.type !== 'SUBSCRIBE_STATUS') {
+        throw new MessageError(MESSAGE_ERROR_CODES.unknownType, `${message.type} is not accepted on this port`);
+      }
+      statusSubscriptions.set(port, tabId);
+      postTabStatus(port, tabId);
+    } catch (error) {
+      port.postMessage(createMessage('PORT_ERROR', { code: error.code, error: error.message }));
+    }
+  });
+  port.onDisconnect.addListener(() => {
+    statusSubscriptions.delete(port);
+  });
+});
@@ -0,0 +1,173 @@
+// Message schema shared by the background worker, content scripts and extension pages.
+//
+// Every runtime message is { version, type, payload }. MESSAGE_SCHEMAS lists, for each type, the
+// kinds of sender allowed to send it and the payload fields each of them must provide:
+//   extension   extension pages (popup, options), including ones opened in a tab
+//   content     a content script in a tab's top frame
+//   frame       a content script in a subframe (no message accepts it)
+//   background  the service worker, for messages it sends to tabs and over ports
+// Field types are 'string', 'number', 'integer', 'boolean' or 'object'; a trailing '?' also allows
+// null or a missing field. Fields outside the schema are rejected.
+//
+// Requests always get a response: { success: true, ...result } or
+// { success: false, error: <message>, code: <MESSAGE_ERROR_CODES or handler error code> }.
+
+const MESSAGE_VERSION = 1;
+
+const MESSAGE_SCHEMAS = {
+  // Content scripts verify their tab's session; extension pages name the tab to verify
+  VERIFY_CONTEXT: { content: {}, extension: { tabId: 'integer' } },
+  CONTEXT_READY: { content: {} },
+  // The page was shown or hidden (document.visibilityState); hidden tabs don't keep a session refreshing
+  TAB_VISIBILITY: { content: { visible: 'boolean' } },
+  SIGN_REQUEST: { content: { method: 'string', url: 'string', bodyDigest: 'string' } },
+  // A store code for a site waiting on step-up: typed into the page, or typed or scanned in the popup
+  STEP_UP: { content: { code: 'string' }, extension: { tabId: 'integer', code: 'string?', qrText: 'string?' } },
+
+  LIST_DEVICES: { extension: {} },
+  RENAME_DEVICE: { extension: { fingerprint: 'string', label: 'string' } },
+  REVOKE_DEVICE: { extension: { fingerprint: 'string?' } },
+  REENROLL_DEVICE: { extension: {} },
+  START_ENROLLMENT: { extension: {} },
+  DECIDE_ENROLLMENT: { extension: { approve: 'boolean' } },
+  CLEAR_ENROLLMENT: { extension: {} },
+  // The verification scheduler's state and recent decisions (tab-sessions.js)
+  SCHEDULER_DIAGNOSTICS: { extension: {} },
+
+  // From the worker to the offscreen document (offscreen.js); answered with { readings }
+  COLLECT_SENSORS: { background: {} },
+  // WebAuthn ceremonies in the offscreen document (webauthn.js); answered with { credential } and
+  // { assertion }. challenge is base64url.
+  WEBAUTHN_CREATE: { background: { userName: 'string' } },
+  WEBAUTHN_GET: { background: { credentialId: 'string', challenge: 'string' } },
+
+  // From the tab session manager to content scripts
+  NAVIGATION_CHANGE: { background: { inStore: 'boolean' } },
+  CONTEXT_STATUS: {
+    background: {
+      status: 'string',
+      token: 'object?',
+      consistencyScore: 'number?',
+      reason: 'string?',
+      graceUntil: 'number?',
+      store: 'object?'
+    }
+  },
+
+  // Over the STATUS_PORT_NAME port: extension pages subscribe to a tab's session status
+  SUBSCRIBE_STATUS: { extension: { tabId: 'integer' } },
+  TAB_STATUS: { background: { tabId: 'integer', inStore: 'boolean', status: 'object?', schedule: 'object?' } },
+  PORT_ERROR: { background: { code: 'string', error: 'string' } }
+};
+
+const MESSAGE_ERROR_CODES = {
+  invalidMessage: 'invalid_message',
+  unsupportedVersion: 'unsupported_version',
+  unknownType: 'unknown_type',
+  forbiddenSender: 'forbidden_sender',
+  invalidPayload: 'invalid_payload',
+  tabNotFound: 'tab_not_found',
+  noResponse: 'no_response',
+  internal: 'internal_error'
+};
+
+// Long-lived port extension pages open to follow a tab's status
+const STATUS_PORT_NAME = 'tab-status';
+
+class MessageError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function createMessage(type, payload = {}) {
+  return { version: MESSAGE_VERSION, type, payload };
+}
+
+// Which kind of sender a runtime.MessageSender is, or null for other extensions
+function getMessageSenderKind(sender) {
+  if (!sender || sender.id !== chrome.runtime.id) {
+    return null;
+  }
+  const workerUrl = chrome.runtime.getURL(chrome.runtime.getManifest().background.service_worker);
+  if (sender.url === workerUrl || (!sender.url && !sender.tab)) {
+    return 'background';
+  }
+  if (sender.url && sender.url.startsWith(chrome.runtime.getURL(''))) {
+    return 'extension';
+  }
+  if (sender.tab) {
+    return sender.frameId === 0 ? 'content' : 'frame';
+  }
+  return null;
+}
+
+function matchesFieldType(value, fieldType) {
+  const optional = fieldType.endsWith('?');
+  const baseType = optional ? fieldType.slice(0, -1) : fieldType;
+  if (value === undefined || value === null) {
+    return optional;
+  }
+  switch (baseType) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === baseType;
+  }
+}
+
+// Check a message against its schema for the sender; returns its payload or throws a MessageError
+function validateMessage(message, senderKind) {
+  if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+    throw new MessageError(MESSAGE_ERROR_CODES.invalidMessage, 'Malformed message');
+  }
+  if (message.version !== MESSAGE_VERSION) {
+    throw new MessageError(MESSAGE_ERROR_CODES.unsupportedVersion, `Unsupported message version: ${message.version}`);
+  }
+  const schema = Object.hasOwn(MESSAGE_SCHEMAS, message.type) ? MESSAGE_SCHEMAS[message.type] : null;
+  if (!schema) {
+    throw new MessageError(MESSAGE_ERROR_CODES.unknownType, `Unknown message type: ${message.type}`);
+  }
+  const fields = senderKind && Object.hasOwn(schema, senderKind) ? schema[senderKind] : null;
+  if (!fields) {
+    throw new MessageError(MESSAGE_ERROR_CODES.forbiddenSender, `${message.type} is not accepted from this sender`);
+  }
+
+  const payload = message.payload === undefined ? {} : message.payload;
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new MessageError(MESSAGE_ERROR_CODES.invalidPayload, `Malformed ${message.type} payload`);
+  }
+  for (const name of Object.keys(payload)) {
+    if (!Object.hasOwn(fields, name)) {
+      throw new MessageError(MESSAGE_ERROR_CODES.invalidPayload, `Unexpected field in ${message.type}: ${name}`);
+    }
+  }
+  for (const [name, fieldType] of Object.entries(fields)) {
+    if (!matchesFieldType(payload[name], fieldType)) {
+      throw new MessageError(MESSAGE_ERROR_CODES.invalidPayload, `Invalid ${message.type} field: ${name}`);
+    }
+  }
+  return payload;
+}
+
+// Send a request to the background worker; resolves with its result or throws a MessageError
+async function sendExtensionMessage(type, payload = {}) {
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage(createMessage(type, payload));
+  } catch (error) {
+    throw new MessageError(MESSAGE_ERROR_CODES.noResponse, error.message);
+  }
+  if (!response) {
+    throw new MessageError(MESSAGE_ERROR_CODES.noResponse, `No response to ${type}`);
+  }
+  if (!response.success) {
+    throw new MessageError(response.code || MESSAGE_ERROR_CODES.internal, response.error);
+  }
+  return response;
+}
@@ -0,0 +1,152 @@
+// Native companion host supplying the signals browsers can't read: nearby Wi-Fi access points and
+// BLE beacons (POS terminals and in-store beacons). The worker talks to it over
+// chrome.runtime.connectNative with JSON messages; every request carries an id its response echoes:
+//
+//   -> { id, type: 'hello', protocol: 1 }
+//   <- { id, type: 'hello', protocol: 1, host: { name, version },
+//        capabilities: { wifi: { available, permission }, ble: { available, permission } } }
+//   -> { id, type: 'scan', signals: ['wifi', 'ble'] }
+//   <- { id, type: 'scan',
+//        wifi: { networks: [{ bssid, ssid, rssi, frequency }], timestamp },
+//        ble: { beacons: [{ id, rssi, txPower }], timestamp } }
+//   <- { id, type: 'error', code, message }
+//
+// permission is 'granted', 'prompt' or 'denied' (e.g. the OS withholds Wi-Fi scans). The port is
+// opened on demand and closed when idle; without an installed host both signals are unavailable.
+// tools/companion-host/ has a stub host replaying fixture scans.
+
+const NATIVE_HOST_NAME = 'com.secure_context.companion';
+const NATIVE_PROTOCOL_VERSION = 1;
+const NATIVE_REQUEST_TIMEOUT_MS = 5000;
+const NATIVE_IDLE_DISCONNECT_MS = 60000;
+// One scan serves the Wi-Fi and beacon providers of the same round
+const NATIVE_SCAN_REUSE_MS = 1000;
+
+let nativePort = null;
+let nativeRequestId = 0;
+let nativeIdleTimer = null;
+// Requests awaiting a response by id: { resolve, reject, timer }
+const pendingNativeRequests = new Map();
+let companionHello = null;
+let companionScan = null;
+
+class NativeCompanionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function connectCompanion() {
+  if (nativePort) {
+    return nativePort;
+  }
+  const port = chrome.runtime.connectNative(NATIVE_HOST_NAME);
+  port.onMessage.addListener(message => {
+    const pending = message && pendingNativeRequests.get(message.id);
+    if (!pending) {
+      return;
+    }
+    pendingNativeRequests.delete(message.id);
+    clearTimeout(pending.timer);
+    if (message.type === 'error') {
+      pending.reject(new NativeCompanionError(message.code || 'host_error', message.message || 'Companion host error'));
+    } else {
+      pending.resolve(message);
+    }
+  });
+  port.onDisconnect.addListener(() => {
+    // Also reached when the host isn't installed; lastError says why
+    const reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : 'Companion host disconnected';
+    if (nativePort === port) {
+      nativePort = null;
+      companionHello = null;
+      companionScan = null;
+    }
+    pendingNativeRequests.forEach(pending => {
+      clearTimeout(pending.timer);
+      pending.reject(new NativeCompanionError('host_unavailable', reason));
+    });
+    pendingNativeRequests.clear();
+  });
+  nativePort = port;
+  return port;
+}
+
+function disconnectCompanion() {
+  if (nativePort && pendingNativeRequests.size === 0) {
+    nativePort.disconnect();
+    nativePort = null;
+    companionHello = null;
+    companionScan = null;
+  }
+}
+
+function sendNativeRequest(type, params = {}) {
+  const port = connectCompanion();
+  const id = ++nativeRequestId;
+  clearTimeout(nativeIdleTimer);
+  nativeIdleTimer = setTimeout(disconnectCompanion, NATIVE_IDLE_DISCONNECT_MS);
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingNativeRequests.delete(id);
+      reject(new NativeCompanionError('timeout', `Companion host did not answer ${type}`));
+    }, NATIVE_REQUEST_TIMEOUT_MS);
+    pendingNativeRequests.set(id, { resolve, reject, timer });
+    port.postMessage({ id, type, ...params });
+  });
+}
+
+// The host's hello (capabilities), asked once per connection; null if there is no usable host
+async function getCompanionCapabilities() {
+  if (!companionHello) {
+    companionHello = sendNativeRequest('hello', { protocol: NATIVE_PROTOCOL_VERSION })
+      .then(hello => {
+        if (hello.protocol !== NATIVE_PROTOCOL_VERSION) {
+          throw new NativeCompanionError('unsupported_protocol', `Companion host speaks protocol ${hello.protocol}`);
+        }
+        return hello.capabilities || {};
+      })
+      .catch(error => {
+        console.warn(`Native companion unavailable (${error.code}): ${error.message}`);
+        return null;
+      });
+  }
+  return companionHello;
+}
+
+// Scan both signals, sharing a recent or in-flight scan
+function scanCompanionSignals() {
+  if (!companionScan || companionScan.startedAt + NATIVE_SCAN_REUSE_MS <= Date.now()) {
+    companionScan = {
+      startedAt: Date.now(),
+      result: sendNativeRequest('scan', { signals: ['wifi', 'ble'] })
+    };
+  }
+  return companionScan.result;
+}
+
+// Sensor provider for one of the host's capabilities, read from its part of a scan
+function createCompanionProvider(capability, readScan) {
+  return {
+    isAvailable: async () => {
+      const capabilities = await getCompanionCapabilities();
+      return Boolean(capabilities && capabilities[capability] && capabilities[capability].available);
+    },
+    getPermissionState: async () => {
+      const capabilities = await getCompanionCapabilities();
+      return capabilities[capability].permission || 'granted';
+    },
+    collect: async () => {
+      const reading = readScan(await scanCompanionSignals());
+      if (!reading) {
+        throw new Error(`Companion host returned no ${capability} scan`);
+      }
+      return reading;
+    }
+  };
+}
+
+// Wi-Fi and POS/beacon signals are read in the worker, which can reach native hosts
+registerSensorProvider('wifi', createCompanionProvider('wifi', scan => scan.wifi));
+registerSensorProvider('pos', createCompanionProvider('ble', scan => scan.ble));
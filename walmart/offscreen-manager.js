@@ -0,0 +1,110 @@
+// Offscreen document lifecycle for the background worker. Live sensor rounds are collected and
+// WebAuthn ceremonies run in offscreen.html, which is created on the first request, reused while
+// requests keep coming and closed once it has been idle for OFFSCREEN_IDLE_CLOSE_MS.
+
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+const OFFSCREEN_IDLE_CLOSE_MS = 60000;
+// Longest a round may take: the slowest sensor's timeout plus time to load the document
+const OFFSCREEN_COLLECT_TIMEOUT_MS = Math.max(...Object.values(SENSOR_TIMEOUTS_MS)) + 5000;
+
+let offscreenCreation = null;
+let offscreenIdleTimer = null;
+let offscreenRequests = 0;
+
+async function hasOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)]
+  });
+  return contexts.length > 0;
+}
+
+// Create the offscreen document unless it is already open; concurrent callers share one creation
+async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) {
+    return;
+  }
+  if (!offscreenCreation) {
+    offscreenCreation = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_PATH,
+      // No reason covers WebAuthn, and an unknown one makes creation fail. The credential ceremonies
+      // may be refused in this unfocused document; signTokenRequest() then signs with the device key.
+      reasons: ['GEOLOCATION'],
+      justification: 'Collect location and sensor readings and sign with the device credential for context verification'
+    }).finally(() => {
+      offscreenCreation = null;
+    });
+  }
+  await offscreenCreation;
+}
+
+async function closeOffscreenDocument() {
+  if (offscreenRequests === 0 && await hasOffscreenDocument()) {
+    await chrome.offscreen.closeDocument();
+  }
+}
+
+function scheduleOffscreenClose() {
+  clearTimeout(offscreenIdleTimer);
+  offscreenIdleTimer = setTimeout(() => {
+    closeOffscreenDocument().catch(error => {
+      console.error('Failed to close offscreen document:', error);
+    });
+  }, OFFSCREEN_IDLE_CLOSE_MS);
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Send a request to the offscreen document, opening it first if needed; resolves with the response
+// or throws a MessageError
+async function sendOffscreenRequest(type, payload, timeoutMs) {
+  offscreenRequests++;
+  clearTimeout(offscreenIdleTimer);
+  try {
+    const response = await withTimeout((async () => {
+      await ensureOffscreenDocument();
+      return chrome.runtime.sendMessage(createMessage(type, payload));
+    })(), timeoutMs, `${type} timed out`);
+    if (!response || !response.success) {
+      throw new MessageError(response ? response.code : MESSAGE_ERROR_CODES.noResponse,
+        response ? response.error : 'No response from the offscreen document');
+    }
+    return response;
+  } finally {
+    offscreenRequests--;
+    scheduleOffscreenClose();
+  }
+}
+
+// One round of live readings from the offscreen document. If the document can't be created or
+// doesn't answer, every signal is reported as failed so the round is still scored.
+async function collectOffscreenReadings() {
+  try {
+    const { readings } = await sendOffscreenRequest('COLLECT_SENSORS', {}, OFFSCREEN_COLLECT_TIMEOUT_MS);
+    return readings;
+  } catch (error) {
+    console.error('Failed to collect sensor readings:', error);
+    return createFailedReadings(Date.now(), error.message);
+  }
+}
+
+// A live round: signals with a provider in the worker itself (the native companion's) are collected
+// here, the rest in the offscreen document
+async function collectLiveReadings() {
+  const [readings, workerReadings] = await Promise.all([
+    collectOffscreenReadings(),
+    collectFromProviders(liveSensorProviders, Date.now())
+  ]);
+  Object.keys(liveSensorProviders).forEach(signal => {
+    readings.signals[signal] = workerReadings.signals[signal];
+  });
+  return readings;
+}
+
+setLiveSensorCollector(collectLiveReadings);
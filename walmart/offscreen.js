@@ -0,0 +1,65 @@
+// Offscreen document collecting live sensor readings for the background worker, which has no
+// geolocation (or any other DOM API). The worker creates it on demand and closes it when idle
+// (offscreen-manager.js) and asks for a round with COLLECT_SENSORS.
+
+// Get geolocation data
+async function getGeolocationData() {
+  return new Promise((resolve, reject) => {
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        resolve({
+          lat: position.coords.latitude,
+          lng: position.coords.longitude,
+          accuracy: position.coords.accuracy,
+          timestamp: position.timestamp
+        });
+      },
+      reject,
+      { enableHighAccuracy: true, maximumAge: 0, timeout: SENSOR_TIMEOUTS_MS.location }
+    );
+  });
+}
+
+// Record motion signature
+async function getMotionSignature() {
+  return new Promise((resolve) => {
+    // Note: This is a mock implementation since we're in a browser extension
+    // In a real mobile app, we would use device motion and orientation sensors
+    resolve({
+      acceleration: { x: 0, y: 0, z: 0 },
+      rotation: { alpha: 0, beta: 0, gamma: 0 },
+      timestamp: Date.now()
+    });
+  });
+}
+
+// Live providers; motion is still a mock. Wi-Fi and POS beacons come from the native companion
+// host, which only the worker can reach (native-companion.js)
+registerSensorProvider('location', {
+  isAvailable: async () => 'geolocation' in navigator,
+  getPermissionState: async () => (await navigator.permissions.query({ name: 'geolocation' })).state,
+  collect: getGeolocationData
+});
+
+registerSensorProvider('motion', {
+  isAvailable: async () => true,
+  getPermissionState: async () => 'not-required',
+  collect: getMotionSignature
+});
+
+// Answer the worker's COLLECT_SENSORS; other extension messages are for the worker
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.type !== 'COLLECT_SENSORS') {
+    return false;
+  }
+  try {
+    validateMessage(message, getMessageSenderKind(sender));
+  } catch (error) {
+    sendResponse({ success: false, error: error.message, code: error.code });
+    return false;
+  }
+  collectFromProviders(liveSensorProviders, Date.now())
+    .then(readings => sendResponse({ success: true, readings }))
+    .catch(error => sendResponse({ success: false, error: error.message, code: MESSAGE_ERROR_CODES.internal }));
+  return true; // Respond asynchronously
+});
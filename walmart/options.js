@@ -0,0 +1,278 @@
+// Options page for managing supported sites and sensor recording/replay
+
+// Traces shipped with the extension
+const BUNDLED_SENSOR_TRACES = ['traces/walk-into-store.json', 'traces/spoofed-gps-jump.json'];
+
+document.addEventListener('DOMContentLoaded', async () => {
+  document.getElementById('siteForm').addEventListener('submit', saveSiteFromForm);
+  document.getElementById('cancelEdit').addEventListener('click', resetSiteForm);
+  await renderSites();
+  // Recording and replay are development tools (sensor-providers.js)
+  if (!isDevelopmentBuild()) {
+    document.getElementById('sensorPanel').hidden = true;
+    return;
+  }
+  setupSensorControls();
+  await renderSensorPanel();
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && isDevelopmentBuild() && (changes[SENSOR_MODE_KEY] || changes[SENSOR_TRACES_KEY])) {
+    renderSensorPanel();
+  }
+});
+
+// Read the user's site overrides
+async function getUserSites() {
+  const { userSites = {} } = await chrome.storage.sync.get('userSites');
+  return userSites;
+}
+
+async function setUserSites(userSites) {
+  await chrome.storage.sync.set({ userSites });
+}
+
+// Render the merged registry, showing managed sites as read-only
+async function renderSites() {
+  const registry = await readSiteRegistry();
+  const managed = await chrome.storage.managed.get('allowUserSites').catch(() => ({}));
+  const siteList = document.getElementById('siteList');
+  siteList.textContent = '';
+
+  const sites = Object.values(registry).sort((a, b) => a.domain.localeCompare(b.domain));
+  sites.forEach(site => siteList.appendChild(createSiteRow(site)));
+
+  const notice = document.getElementById('managedNotice');
+  const userSitesBlocked = managed.allowUserSites === false;
+  const hasManagedSites = sites.some(site => site.locked);
+  notice.style.display = userSitesBlocked || hasManagedSites ? 'block' : 'none';
+  notice.textContent = userSitesBlocked
+    ? 'Your organization manages the supported sites. Changes made here are ignored.'
+    : 'Sites marked "managed" are set by your organization and cannot be changed.';
+  document.getElementById('siteForm').style.display = userSitesBlocked ? 'none' : 'block';
+}
+
+// Build a table row for a site
+function createSiteRow(site) {
+  const row = document.createElement('tr');
+
+  const enabledCell = document.createElement('td');
+  const toggle = document.createElement('input');
+  toggle.type = 'checkbox';
+  toggle.checked = site.enabled;
+  toggle.disabled = site.locked;
+  toggle.addEventListener('change', () => setSiteEnabled(site, toggle.checked));
+  enabledCell.appendChild(toggle);
+  row.appendChild(enabledCell);
+
+  const policy = typeof site.minScore === 'number' ? `${site.policy} (min ${site.minScore})` : site.policy;
+  [site.domain, site.storePattern, site.apiPattern, site.endpoint, policy, site.source].forEach(value => {
+    const cell = document.createElement('td');
+    cell.textContent = value;
+    row.appendChild(cell);
+  });
+
+  const actionsCell = document.createElement('td');
+  if (!site.locked) {
+    const editButton = document.createElement('button');
+    editButton.className = 'button button-secondary button-small';
+    editButton.textContent = 'Edit';
+    editButton.addEventListener('click', () => fillSiteForm(site));
+    actionsCell.appendChild(editButton);
+
+    if (site.source === 'user') {
+      const removeButton = document.createElement('button');
+      removeButton.className = 'button button-secondary button-small';
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', () => removeSite(site));
+      actionsCell.appendChild(removeButton);
+    }
+  }
+  row.appendChild(actionsCell);
+
+  return row;
+}
+
+// Enable or disable a site, asking for host access when enabling
+async function setSiteEnabled(site, enabled) {
+  try {
+    // permissions.request must be the first call in the click handler to keep the user gesture
+    if (enabled && !await chrome.permissions.request({ origins: getSiteOrigins(site) })) {
+      throw new Error(`Access to ${site.domain} was not granted`);
+    }
+    const userSites = await getUserSites();
+    userSites[site.domain] = { ...userSites[site.domain], enabled };
+    await setUserSites(userSites);
+    showOptionsStatus(`${site.domain} ${enabled ? 'enabled' : 'disabled'}`);
+  } catch (error) {
+    showOptionsStatus(error.message, true);
+  }
+  await renderSites();
+}
+
+// Remove a user-added site and give back its host access
+async function removeSite(site) {
+  if (!confirm(`Remove ${site.domain}?`)) {
+    return;
+  }
+  const userSites = await getUserSites();
+  delete userSites[site.domain];
+  await setUserSites(userSites);
+  await chrome.permissions.remove({ origins: getSiteOrigins(site) }).catch(() => false);
+  showOptionsStatus(`${site.domain} removed`);
+  await renderSites();
+}
+
+// Read the form into a site entry
+function readSiteForm() {
+  const minScore = document.getElementById('siteMinScore').value;
+  const site = {
+    domain: document.getElementById('siteDomain').value.trim().toLowerCase().replace(/^www\./, ''),
+    enabled: true,
+    apiPattern: document.getElementById('siteApiPattern').value.trim(),
+    storePattern: document.getElementById('siteStorePattern').value.trim(),
+    endpoint: document.getElementById('siteEndpoint').value.trim(),
+    policy: document.getElementById('sitePolicy').value
+  };
+  if (minScore !== '') {
+    site.minScore = Number(minScore);
+  }
+  return site;
+}
+
+function fillSiteForm(site) {
+  document.getElementById('siteFormTitle').textContent = `Edit ${site.domain}`;
+  document.getElementById('siteDomain').value = site.domain;
+  document.getElementById('siteDomain').readOnly = true;
+  document.getElementById('siteStorePattern').value = site.storePattern;
+  document.getElementById('siteApiPattern').value = site.apiPattern;
+  document.getElementById('siteEndpoint').value = site.endpoint;
+  document.getElementById('sitePolicy').value = site.policy;
+  document.getElementById('siteMinScore').value = typeof site.minScore === 'number' ? site.minScore : '';
+}
+
+function resetSiteForm() {
+  document.getElementById('siteFormTitle').textContent = 'Add Site';
+  document.getElementById('siteDomain').readOnly = false;
+}
+
+// Save the form as a user site, requesting host access for new domains
+async function saveSiteFromForm(event) {
+  event.preventDefault();
+  const { domain, ...site } = readSiteForm();
+
+  try {
+    if (!isValidSiteEntry(domain, site)) {
+      throw new Error('Check the domain, patterns and endpoint (https only)');
+    }
+    // permissions.request must be the first call in the submit handler to keep the user gesture
+    if (!await chrome.permissions.request({ origins: getSiteOrigins({ domain, ...site }) })) {
+      throw new Error(`Access to ${domain} was not granted`);
+    }
+    const userSites = await getUserSites();
+    userSites[domain] = site;
+    await setUserSites(userSites);
+
+    document.getElementById('siteForm').reset();
+    resetSiteForm();
+    showOptionsStatus(`${domain} saved`);
+  } catch (error) {
+    showOptionsStatus(error.message, true);
+  }
+  await renderSites();
+}
+
+// Show a status line under the form
+function showOptionsStatus(message, isError = false) {
+  const status = document.getElementById('optionsStatus');
+  status.textContent = message;
+  status.className = `options-status ${isError ? 'options-status-error' : ''}`;
+}
+
+// Wire up the sensor recording and replay controls
+function setupSensorControls() {
+  document.getElementById('startRecording').addEventListener('click', async () => {
+    const name = document.getElementById('recordingName').value.trim() || `session-${Date.now()}`;
+    await startSensorRecording(name);
+    showOptionsStatus(`Recording "${name}"`);
+  });
+
+  document.getElementById('stopRecording').addEventListener('click', async () => {
+    const trace = await stopSensorRecording();
+    showOptionsStatus(trace ? `Saved "${trace.name}" (${trace.samples.length} samples)` : 'Not recording');
+  });
+
+  document.getElementById('stopReplay').addEventListener('click', async () => {
+    await stopSensorReplay();
+    showOptionsStatus('Using live sensors');
+  });
+
+  document.getElementById('traceFile').addEventListener('change', async event => {
+    const [file] = event.target.files;
+    if (!file) {
+      return;
+    }
+    try {
+      await replayTrace(JSON.parse(await file.text()));
+    } catch (error) {
+      showOptionsStatus(`Could not replay ${file.name}: ${error.message}`, true);
+    }
+    event.target.value = '';
+  });
+}
+
+// Show the sensor mode and the saved and bundled traces
+async function renderSensorPanel() {
+  const {
+    [SENSOR_MODE_KEY]: sensorMode = { mode: 'live' },
+    [SENSOR_TRACES_KEY]: savedTraces = []
+  } = await chrome.storage.local.get([SENSOR_MODE_KEY, SENSOR_TRACES_KEY]);
+
+  const modeText = {
+    live: 'Mode: live sensors',
+    record: `Mode: recording "${sensorMode.name}"`,
+    replay: sensorMode.trace
+      ? `Mode: replaying "${sensorMode.trace.name}" (sample ${sensorMode.position} of ${sensorMode.trace.samples.length})`
+      : 'Mode: replay'
+  };
+  document.getElementById('sensorMode').textContent = modeText[sensorMode.mode] || modeText.live;
+
+  const bundledTraces = await Promise.all(BUNDLED_SENSOR_TRACES.map(file =>
+    fetch(chrome.runtime.getURL(file)).then(response => response.json())));
+
+  const traceList = document.getElementById('traceList');
+  traceList.textContent = '';
+  [...bundledTraces, ...savedTraces].forEach(trace => traceList.appendChild(createTraceRow(trace)));
+}
+
+// Build a table row for a trace with replay and download actions
+function createTraceRow(trace) {
+  const row = document.createElement('tr');
+  [trace.name, trace.samples.length, trace.description || ''].forEach(value => {
+    const cell = document.createElement('td');
+    cell.textContent = value;
+    row.appendChild(cell);
+  });
+
+  const actionsCell = document.createElement('td');
+  const replayButton = document.createElement('button');
+  replayButton.className = 'button button-primary button-small';
+  replayButton.textContent = 'Replay';
+  replayButton.addEventListener('click', () => replayTrace(trace));
+  actionsCell.appendChild(replayButton);
+
+  const downloadLink = document.createElement('a');
+  downloadLink.className = 'button button-secondary button-small';
+  downloadLink.textContent = 'Download';
+  downloadLink.download = `${trace.name}.json`;
+  downloadLink.href = URL.createObjectURL(new Blob([JSON.stringify(trace, null, 2)], { type: 'application/json' }));
+  actionsCell.appendChild(downloadLink);
+
+  row.appendChild(actionsCell);
+  return row;
+}
+
+async function replayTrace(trace) {
+  await startSensorReplay(trace);
+  showOptionsStatus(`Replaying "${trace.name}"; no tokens are requested until it ends`);
+}
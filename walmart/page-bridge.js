@@ -0,0 +1,240 @@
+// Page bridge running in the page's main world (registered with world: "MAIN").
+// Exposes the window.secureContext SDK and talks to the content script over postMessage,
+// so no inline scripts are injected and strict page CSPs are respected.
+
+(() => {
+  const BRIDGE_CHANNEL = 'secure-context';
+  const BRIDGE_VERSION = 1;
+  const STATUS_EVENT = 'securecontext:statuschange';
+  const PROOF_HEADER = 'X-Secure-Context-Proof';
+  // Send a request without a proof rather than hold it longer than this. The background waits at
+  // most SCHEDULER_POLICY.guardedCallWaitMs (config.js) for a token before signing, which is shorter.
+  const PROOF_TIMEOUT_MS = 2000;
+
+  if (window.secureContext) {
+    return;
+  }
+
+  let currentStatus = null;
+  let currentToken = null;
+  let apiPattern = null;
+  let nextRequestId = 1;
+  const listeners = new Set();
+  const pendingVerifications = new Map();
+  const pendingProofs = new Map();
+  const pendingStepUps = new Map();
+
+  // Only accept messages the content script posted to this window from this origin
+  function isFromExtension(event) {
+    return event.source === window &&
+      event.origin === window.location.origin &&
+      event.data &&
+      event.data.channel === BRIDGE_CHANNEL &&
+      event.data.version === BRIDGE_VERSION &&
+      event.data.direction === 'to-page';
+  }
+
+  function postToExtension(type, payload) {
+    window.postMessage({
+      channel: BRIDGE_CHANNEL,
+      version: BRIDGE_VERSION,
+      direction: 'to-extension',
+      type,
+      payload
+    }, window.location.origin);
+  }
+
+  function updateStatus(status) {
+    currentStatus = Object.freeze({ ...status });
+    listeners.forEach(listener => {
+      try {
+        listener(currentStatus);
+      } catch (error) {
+        console.error('secureContext status listener failed:', error);
+      }
+    });
+    window.dispatchEvent(new CustomEvent(STATUS_EVENT, { detail: currentStatus }));
+  }
+
+  window.addEventListener('message', event => {
+    if (!isFromExtension(event)) {
+      return;
+    }
+    const { type, payload } = event.data;
+
+    if (type === 'status') {
+      currentToken = payload.status === 'active' || payload.status === 'degraded' ? payload.token : null;
+      const { token, ...status } = payload;
+      updateStatus(status);
+    } else if (type === 'verification_result') {
+      const resolve = pendingVerifications.get(payload.requestId);
+      pendingVerifications.delete(payload.requestId);
+      if (resolve) {
+        resolve(currentStatus);
+      }
+    } else if (type === 'step_up_result') {
+      const pending = pendingStepUps.get(payload.requestId);
+      pendingStepUps.delete(payload.requestId);
+      if (!pending) {
+        return;
+      }
+      if (payload.code) {
+        pending.reject(Object.assign(new Error(payload.error), { code: payload.code }));
+      } else {
+        pending.resolve(currentStatus);
+      }
+    } else if (type === 'request_proof') {
+      const resolve = pendingProofs.get(payload.requestId);
+      pendingProofs.delete(payload.requestId);
+      if (resolve) {
+        resolve(payload.proof);
+      }
+    } else if (type === 'config') {
+      apiPattern = payload.apiPattern;
+    }
+  });
+
+  // Same matching as the background's isApiUrl (sites.js)
+  function isApiUrl(url) {
+    if (!apiPattern) {
+      return false;
+    }
+    const { hostname, pathname } = new URL(url, window.location.href);
+    const slash = apiPattern.indexOf('/');
+    const host = slash === -1 ? apiPattern : apiPattern.slice(0, slash);
+    const path = slash === -1 ? '' : apiPattern.slice(slash);
+    return (hostname === host || hostname.endsWith(`.${host}`)) && pathname.startsWith(path);
+  }
+
+  // Only API requests made while a token is held get a proof
+  function needsProof(url) {
+    return currentToken !== null && isApiUrl(url);
+  }
+
+  async function digestBody(bytes) {
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return btoa(String.fromCharCode(...new Uint8Array(digest)))
+      .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  // Ask the extension to sign a proof for a request; resolves null on failure or timeout
+  function requestProof(method, url, bodyDigest) {
+    const requestId = nextRequestId++;
+    return new Promise(resolve => {
+      pendingProofs.set(requestId, resolve);
+      setTimeout(() => {
+        if (pendingProofs.delete(requestId)) {
+          resolve(null);
+        }
+      }, PROOF_TIMEOUT_MS);
+      postToExtension('sign_request', { requestId, method, url, bodyDigest });
+    });
+  }
+
+  // Where a fetch() call goes. Building a Request here would use up the body of a Request input.
+  function getFetchUrl(input) {
+    return typeof input === 'string' || input instanceof URL ? String(input) : input.url;
+  }
+
+  // Add the proof header to fetch() calls to the site API
+  const nativeFetch = window.fetch;
+  window.fetch = async function (input, init) {
+    if (!needsProof(getFetchUrl(input))) {
+      return nativeFetch.call(this, input, init);
+    }
+    const request = new Request(input, init);
+    const bodyDigest = await digestBody(await request.clone().arrayBuffer());
+    const proof = await requestProof(request.method, request.url, bodyDigest);
+    if (proof) {
+      request.headers.set(PROOF_HEADER, proof);
+    }
+    return nativeFetch.call(this, request);
+  };
+
+  // Add the proof header to asynchronous XMLHttpRequests to the site API
+  const nativeOpen = XMLHttpRequest.prototype.open;
+  const nativeSend = XMLHttpRequest.prototype.send;
+  const xhrRequests = new WeakMap();
+
+  XMLHttpRequest.prototype.open = function (method, url, async = true, ...rest) {
+    xhrRequests.set(this, { method: String(method).toUpperCase(), url: new URL(url, window.location.href).href, async });
+    return nativeOpen.call(this, method, url, async, ...rest);
+  };
+
+  XMLHttpRequest.prototype.send = function (body = null) {
+    const info = xhrRequests.get(this);
+    if (!info || !info.async || body instanceof Document || !needsProof(info.url)) {
+      return nativeSend.call(this, body);
+    }
+    const serialized = new Response(body);
+    serialized.arrayBuffer()
+      .then(async bytes => ({ bytes, proof: await requestProof(info.method, info.url, await digestBody(bytes)) }))
+      .catch(error => {
+        // The body couldn't be read or digested: send the request without a proof rather than never
+        console.error('secureContext could not sign a request:', error);
+        return { bytes: null, proof: null };
+      })
+      .then(({ bytes, proof }) => {
+        if (proof) {
+          this.setRequestHeader(PROOF_HEADER, proof);
+        }
+        if (bytes && body instanceof FormData) {
+          // Multipart boundaries are random: send the exact bytes that were digested
+          this.setRequestHeader('Content-Type', serialized.headers.get('Content-Type'));
+          nativeSend.call(this, bytes);
+        } else {
+          nativeSend.call(this, body);
+        }
+      });
+  };
+
+  const secureContext = {
+    version: BRIDGE_VERSION,
+
+    // Current context token, or null when there is no usable token
+    getToken() {
+      const usableUntil = currentStatus && (currentStatus.graceUntil ?? currentStatus.expiresAt);
+      const expired = usableUntil !== null && usableUntil !== undefined && usableUntil <= Date.now();
+      return Promise.resolve(expired ? null : currentToken);
+    },
+
+    // Last status event, or null before the first verification
+    getStatus() {
+      return currentStatus;
+    },
+
+    // Subscribe to status events; returns an unsubscribe function
+    onStatusChange(callback) {
+      if (typeof callback !== 'function') {
+        throw new TypeError('onStatusChange expects a function');
+      }
+      listeners.add(callback);
+      return () => listeners.delete(callback);
+    },
+
+    // Ask the extension to verify context now; resolves with the resulting status
+    requestVerification() {
+      const requestId = nextRequestId++;
+      return new Promise(resolve => {
+        pendingVerifications.set(requestId, resolve);
+        postToExtension('request_verification', { requestId });
+      });
+    },
+
+    // After a step_up_required status, submit the code shown at the store's registers; resolves with
+    // the new status, or rejects with an error whose code says why (e.g. invalid_step_up_code)
+    submitStepUpCode(code) {
+      const requestId = nextRequestId++;
+      return new Promise((resolve, reject) => {
+        pendingStepUps.set(requestId, { resolve, reject });
+        postToExtension('submit_step_up', { requestId, code: String(code).trim() });
+      });
+    }
+  };
+
+  Object.defineProperty(window, 'secureContext', {
+    value: Object.freeze(secureContext),
+    writable: false,
+    configurable: false
+  });
+})();
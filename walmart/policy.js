@@ -0,0 +1,119 @@
+// Declarative scoring policies, applied in one place by the background worker.
+// Each site in the site registry names a preset and may override its minScore.
+//
+// A policy has:
+//   weights   - evaluator name -> relative weight; evaluators without a weight are ignored.
+//               travel, replay and clock need earlier samples and are skipped on the first one
+//   required  - evaluators that must produce a sub-score; a missing one fails verification
+//   minScore  - minimum weighted score for a token to be requested
+//   hardFail  - rules that fail verification regardless of the weighted score:
+//               { evaluator, when: 'missing' } or { evaluator, when: 'below', threshold }
+//   stepUp    - { minScore }: a context that only missed minScore, scoring at least this, can be
+//               completed with a store code (step-up.js); null where there are no stores
+
+const DEFAULT_SCORING_POLICY = {
+  weights: {
+    location: 0.3,
+    temporal: 0.15,
+    motion: 0.1,
+    network: 0.1,
+    // Network and beacon only score where the matched store has a surveyed fingerprint
+    beacon: 0.1,
+    travel: 0.15,
+    replay: 0.1,
+    clock: 0.1
+  },
+  required: ['location', 'temporal'],
+  minScore: 0.7,
+  hardFail: [
+    { evaluator: 'location', when: 'missing', reason: 'Location unavailable' },
+    { evaluator: 'location', when: 'below', threshold: 0.25, reason: 'Too far from any store' },
+    { evaluator: 'travel', when: 'below', threshold: 0.5, reason: 'Impossible travel between samples' },
+    { evaluator: 'clock', when: 'below', threshold: 0.5, reason: 'Device clock went backwards' }
+  ],
+  stepUp: { minScore: 0.4 }
+};
+
+// Online-only sites have no stores to match, so location carries less weight
+const ONLINE_SCORING_POLICY = {
+  ...DEFAULT_SCORING_POLICY,
+  weights: {
+    location: 0.15,
+    temporal: 0.2,
+    motion: 0.15,
+    network: 0.15,
+    travel: 0.15,
+    replay: 0.1,
+    clock: 0.1
+  },
+  required: ['temporal'],
+  hardFail: [
+    { evaluator: 'location', when: 'missing', reason: 'Location unavailable' },
+    { evaluator: 'travel', when: 'below', threshold: 0.5, reason: 'Impossible travel between samples' },
+    { evaluator: 'clock', when: 'below', threshold: 0.5, reason: 'Device clock went backwards' }
+  ],
+  stepUp: null
+};
+
+// Presets a site registry entry can name in its `policy` field
+const SCORING_POLICY_PRESETS = {
+  'in-store': DEFAULT_SCORING_POLICY,
+  'online': ONLINE_SCORING_POLICY
+};
+
+// Resolve a site registry entry's policy preset and its optional minScore override
+function getSitePolicy(site) {
+  const preset = (site && SCORING_POLICY_PRESETS[site.policy]) || DEFAULT_SCORING_POLICY;
+  return site && typeof site.minScore === 'number' ? { ...preset, minScore: site.minScore } : preset;
+}
+
+// Combine evaluator results into a scored assessment.
+// `evaluations` maps evaluator name -> { score, reason }, or null when its signal is missing.
+function applyScoringPolicy(policy, evaluations) {
+  const breakdown = {};
+  const failures = [];
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  Object.entries(policy.weights).forEach(([name, weight]) => {
+    const result = evaluations[name] || null;
+    if (!result) {
+      breakdown[name] = { score: null, weight, reason: 'Signal missing' };
+      if (policy.required.includes(name)) {
+        failures.push(`Required evaluator "${name}" produced no score`);
+      }
+      return;
+    }
+    breakdown[name] = { score: result.score, weight, reason: result.reason };
+    weightedSum += result.score * weight;
+    totalWeight += weight;
+  });
+
+  policy.hardFail.forEach(rule => {
+    const result = evaluations[rule.evaluator] || null;
+    const triggered = rule.when === 'missing'
+      ? !result
+      : Boolean(result) && result.score < rule.threshold;
+    if (triggered) {
+      failures.push(rule.reason);
+    }
+  });
+
+  // Missing optional signals are left out and the remaining weights renormalized
+  const score = totalWeight > 0 ? weightedSum / totalWeight : 0;
+  if (score < policy.minScore) {
+    failures.push('Insufficient consistency score');
+  }
+  // Only a low score can be stepped up, never a required signal or hard-fail rule
+  const stepUpEligible = Boolean(policy.stepUp) && failures.length === 1
+    && score < policy.minScore && score >= policy.stepUp.minScore;
+
+  return {
+    score,
+    minScore: policy.minScore,
+    passed: failures.length === 0,
+    stepUpEligible,
+    failures,
+    breakdown
+  };
+}
@@ -1,6 +1,43 @@
 // Popup script for managing device enrollment and status display
 
-const API_ENDPOINT = 'https://api.walmart.com/secure-context';
+// What each side of an enrollment shows for each state
+const ENROLLMENT_MESSAGES = {
+  owner: {
+    pending: 'Scan this code with the new device',
+    scanned: 'Link opened, waiting for the new device',
+    awaiting_approval: 'Approve this device?',
+    approved: 'Device enrolled',
+    rejected: 'Enrollment cancelled',
+    expired: 'Invitation expired'
+  },
+  device: {
+    awaiting_approval: 'Waiting for approval on your other device',
+    approved: 'This device is enrolled',
+    rejected: 'Enrollment rejected',
+    expired: 'Invitation expired'
+  }
+};
+const ENROLLMENT_FINAL_STATES = ['approved', 'rejected', 'expired'];
+
+// Most recent history entries shown in the popup; exports always contain the whole log
+const HISTORY_DISPLAY_LIMIT = 50;
+
+// How long the camera looks for an in-store QR code, and how often it checks a frame
+const STEP_UP_SCAN_TIMEOUT_MS = 30000;
+const STEP_UP_SCAN_INTERVAL_MS = 250;
+
+// Names of the scoring evaluators (policy.js) and sensor signals (sensor-providers.js) in the status card
+const EVALUATOR_LABELS = {
+  location: 'Location',
+  temporal: 'Temporal',
+  motion: 'Motion',
+  network: 'Network',
+  beacon: 'POS beacons',
+  travel: 'Travel',
+  replay: 'Replay',
+  clock: 'Clock'
+};
+const SENSOR_LABELS = { location: 'Location', wifi: 'Wi-Fi', motion: 'Motion', pos: 'POS beacons' };
 
 // Initialize popup with animations
 document.addEventListener('DOMContentLoaded', async () => {
@@ -8,6 +45,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   await updateStatus();
   loadDeviceInfo();
   setupEventListeners();
+  setupStatusPanel();
+  setupDevicePanel();
+  setupEnrollmentPanel();
+  setupHistoryPanel();
+  setupStepUpPanel();
 });
 
 // Set up event listeners with ripple effect
@@ -19,6 +61,7 @@ function setupEventListeners() {
 
   document.getElementById('enrollDevice').addEventListener('click', startDeviceEnrollment);
   document.getElementById('revokeDevice').addEventListener('click', revokeDevice);
+  document.getElementById('openOptions').addEventListener('click', () => chrome.runtime.openOptionsPage());
 }
 
 // Create ripple effect on button click
@@ -53,37 +96,21 @@ function animateStatusCard() {
   }, 100);
 }
 
-// Update context status display with animations
-async function updateStatus() {
-  const statusDot = document.getElementById('statusDot');
-  const statusText = document.getElementById('statusText');
-  const locationStatus = document.getElementById('locationStatus');
+// The active tab, and its latest session status and schedule while it is on a store page
+let statusTabId = null;
+let shownTabStatus = null;
+let shownSchedule = null;
 
+// Show the active tab's site and follow its session status while the popup is open. The tab's
+// session verifies on its own schedule; the popup only verifies when asked to with Re-verify now.
+async function updateStatus() {
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    const isStorePage = tab.url.includes('walmart.com/store/');
-
-    if (isStorePage) {
-      const response = await chrome.runtime.sendMessage({ type: 'VERIFY_CONTEXT' });
-
-      if (response.success) {
-        updateStatusWithAnimation(statusDot, statusText, locationStatus, {
-          dot: 'active',
-          text: 'Context Verified',
-          location: 'Location: Verified In-Store'
-        });
-      } else {
-        throw new Error(response.error);
-      }
-    } else {
-      updateStatusWithAnimation(statusDot, statusText, locationStatus, {
-        dot: 'inactive',
-        text: 'Not in Store',
-        location: 'Location: Outside Store'
-      });
-    }
+    statusTabId = tab.id;
+    await renderTabSite(tab.url);
+    watchTabStatus(tab.id);
   } catch (error) {
-    updateStatusWithAnimation(statusDot, statusText, locationStatus, {
+    showStatusCard({
       dot: 'inactive',
       text: 'Verification Failed',
       location: 'Location: Unknown'
@@ -92,6 +119,314 @@ async function updateStatus() {
   }
 }
 
+function setupStatusPanel() {
+  document.getElementById('reverify').addEventListener('click', reverifyTab);
+  // The token's remaining lifetime and the next check count down between status updates
+  setInterval(() => {
+    renderTokenLifetime();
+    renderSchedule();
+  }, 1000);
+}
+
+// Verify the tab's site now with a fresh context; the outcome arrives over the status port
+async function reverifyTab() {
+  const button = document.getElementById('reverify');
+  button.disabled = true;
+  button.textContent = 'Verifying...';
+  try {
+    await sendExtensionMessage('VERIFY_CONTEXT', { tabId: statusTabId });
+  } catch (error) {
+    showError(`Re-verification failed: ${error.message}`);
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Re-verify now';
+  }
+}
+
+// Which supported site the tab is on, and why it has no session if it isn't on one of its store pages
+async function renderTabSite(url) {
+  // Tabs outside the registered sites report no URL to the popup
+  const site = url ? findSiteForUrl(await loadSiteRegistry(), url) : null;
+  let text;
+  if (!site) {
+    text = 'Site: Not a supported site';
+  } else if (!isStorePageUrl(site, url)) {
+    text = `Site: ${site.domain} (not a store page)`;
+  } else if (!await chrome.permissions.contains({ origins: getSiteOrigins(site) })) {
+    text = `Site: ${site.domain} (access not granted)`;
+  } else {
+    text = `Site: ${site.domain} (${site.policy} policy)`;
+  }
+  document.getElementById('siteStatus').textContent = text;
+}
+
+// Follow the session status of a tab while the popup is open
+function watchTabStatus(tabId) {
+  const port = chrome.runtime.connect({ name: STATUS_PORT_NAME });
+  port.onMessage.addListener(message => {
+    let payload;
+    try {
+      payload = validateMessage(message, 'background');
+    } catch (error) {
+      console.warn(`Ignoring status message (${error.code}): ${error.message}`);
+      return;
+    }
+    if (message.type === 'TAB_STATUS' && payload.tabId === tabId) {
+      renderTabStatus(payload);
+    } else if (message.type === 'PORT_ERROR') {
+      showError(`Live status unavailable: ${payload.error}`);
+    }
+  });
+  port.postMessage(createMessage('SUBSCRIBE_STATUS', { tabId }));
+
+  // Route changes that don't join or leave a session still change the site line
+  chrome.tabs.onUpdated.addListener((updatedTabId, changeInfo) => {
+    if (updatedTabId === tabId && changeInfo.url) {
+      renderTabSite(changeInfo.url);
+    }
+  });
+}
+
+// Status card for a session status pushed by the background worker
+function renderTabStatus({ tabId, inStore, status, schedule = null }) {
+  shownTabStatus = inStore ? status : null;
+  shownSchedule = inStore ? schedule : null;
+  renderStatusDetails(shownTabStatus);
+  renderSchedule();
+  document.getElementById('reverify').style.display = inStore ? 'inline-block' : 'none';
+  if (inStore && !status) {
+    // The session's first verification is still running
+    return;
+  }
+  if (inStore && status.status === 'step_up_required') {
+    showStatusCard({ dot: 'degraded', text: 'Store Code Required', location: formatStoreLocation(status.store) });
+    showStepUpPanel(tabId, status.store);
+    return;
+  }
+  hideStepUpPanel();
+  let display;
+  if (!inStore) {
+    display = { dot: 'inactive', text: 'Not in Store', location: 'Location: Outside Store' };
+  } else if (status.status === 'active') {
+    display = { dot: 'active', text: 'Context Verified', location: formatStoreLocation(status.store) };
+  } else if (status.status === 'degraded') {
+    display = { dot: 'degraded', text: 'Degraded (Offline Grace)', location: formatStoreLocation(status.store) };
+  } else {
+    display = { dot: 'inactive', text: 'Verification Failed', location: 'Location: Unknown' };
+  }
+  showStatusCard(display);
+}
+
+// Reason, token lifetime, sub-scores and sensor states behind a session status
+function renderStatusDetails(status) {
+  document.getElementById('statusReason').textContent =
+    status && status.status !== 'active' && status.reason ? status.reason : '';
+  renderTokenLifetime();
+  renderScoreBreakdown(status ? status.assessment : null);
+  renderSensorStates(status ? status.sensors : null);
+  const hasDetails = Boolean(status && (status.assessment || status.sensors));
+  document.getElementById('scorePanel').style.display = hasDetails ? 'block' : 'none';
+}
+
+function renderTokenLifetime() {
+  const element = document.getElementById('tokenStatus');
+  const status = shownTabStatus;
+  if (!status || !status.token) {
+    element.textContent = '';
+    return;
+  }
+  const now = Date.now();
+  if (status.status === 'degraded') {
+    element.textContent = `Offline grace: ${formatRemaining(status.graceUntil - now)} left`;
+    return;
+  }
+  const expiry = getTokenExpiry(status.token);
+  element.textContent = expiry !== null && expiry > now
+    ? `Token expires in ${formatRemaining(expiry - now)}`
+    : 'Token expired, refreshing...';
+}
+
+// When and why the session verifies next, or why it is paused
+function renderSchedule() {
+  const element = document.getElementById('scheduleStatus');
+  const schedule = shownSchedule;
+  if (!schedule) {
+    element.textContent = '';
+  } else if (schedule.state === 'paused') {
+    element.textContent = `Checks paused: ${schedule.reason}`;
+  } else if (schedule.state === 'verifying') {
+    element.textContent = `Verifying (${schedule.reason})`;
+  } else {
+    element.textContent = `Next check in ${formatRemaining(schedule.nextRunAt - Date.now())} (${schedule.reason})`;
+  }
+}
+
+function formatRemaining(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return seconds >= 60 ? `${Math.floor(seconds / 60)} min ${seconds % 60} s` : `${seconds} s`;
+}
+
+// Weighted score against the site's minimum, and each evaluator's sub-score with its reason
+function renderScoreBreakdown(assessment) {
+  const summary = document.getElementById('scoreSummary');
+  const list = document.getElementById('scoreBreakdown');
+  list.textContent = '';
+  if (!assessment) {
+    summary.textContent = '';
+    return;
+  }
+  summary.textContent = `Consistency score ${assessment.score.toFixed(2)} (minimum ${assessment.minScore.toFixed(2)})`;
+  Object.entries(assessment.breakdown).forEach(([name, result]) => {
+    list.appendChild(createScoreItem(name, result));
+  });
+}
+
+function createScoreItem(name, { score, reason }) {
+  const item = document.createElement('li');
+  item.className = `score-item${score === null ? ' score-missing' : ''}`;
+
+  const label = document.createElement('span');
+  label.className = 'score-label';
+  label.textContent = EVALUATOR_LABELS[name] || name;
+  item.appendChild(label);
+
+  const bar = document.createElement('span');
+  bar.className = 'score-bar';
+  const fill = document.createElement('span');
+  fill.className = 'score-fill';
+  fill.style.width = `${Math.round((score || 0) * 100)}%`;
+  bar.appendChild(fill);
+  item.appendChild(bar);
+
+  const value = document.createElement('span');
+  value.className = 'score-value';
+  value.textContent = score === null ? '-' : score.toFixed(2);
+  item.appendChild(value);
+
+  const detail = document.createElement('div');
+  detail.className = 'score-reason';
+  detail.textContent = reason;
+  item.appendChild(detail);
+  return item;
+}
+
+// Each signal's collection status and permission in the latest verification
+function renderSensorStates(sensors) {
+  const list = document.getElementById('sensorStates');
+  list.textContent = '';
+  Object.entries(sensors || {}).forEach(([signal, { status, permission }]) => {
+    const item = document.createElement('li');
+    item.className = `sensor-state sensor-${status}`;
+    // A collected signal shows its permission; others show why they are missing
+    const state = status === 'ok' ? permission : status;
+    item.textContent = `${SENSOR_LABELS[signal] || signal}: ${state}`;
+    list.appendChild(item);
+  });
+}
+
+// What the status card shows, so repeated statuses don't replay the animation
+let shownStatusCard = null;
+
+function showStatusCard(display) {
+  const key = JSON.stringify(display);
+  if (key === shownStatusCard) {
+    return;
+  }
+  shownStatusCard = key;
+  updateStatusWithAnimation(document.getElementById('statusDot'), document.getElementById('statusText'),
+    document.getElementById('locationStatus'), display);
+}
+
+// The tab whose site is waiting for a store code, while the step-up panel is shown
+let stepUpTabId = null;
+
+function setupStepUpPanel() {
+  const input = document.getElementById('stepUpCode');
+  document.getElementById('submitStepUp').addEventListener('click', () => submitStepUp({ code: input.value.trim() }));
+  input.addEventListener('keydown', event => {
+    if (event.key === 'Enter') {
+      submitStepUp({ code: input.value.trim() });
+    }
+  });
+  // Scanning needs the Shape Detection API
+  const scanButton = document.getElementById('scanStepUp');
+  if ('BarcodeDetector' in window) {
+    scanButton.addEventListener('click', async () => {
+      try {
+        submitStepUp({ qrText: await scanStepUpQrCode() });
+      } catch (error) {
+        showError(`QR scan failed: ${error.message}`);
+      }
+    });
+  } else {
+    scanButton.style.display = 'none';
+  }
+}
+
+function showStepUpPanel(tabId, store) {
+  stepUpTabId = tabId;
+  document.getElementById('stepUpPrompt').textContent = store
+    ? `Enter the code shown at the registers of ${store.name}, or scan the store's QR code.`
+    : "Enter the code shown at the store's registers, or scan the store's QR code.";
+  document.getElementById('stepUpPanel').style.display = 'block';
+}
+
+function hideStepUpPanel() {
+  stepUpTabId = null;
+  document.getElementById('stepUpPanel').style.display = 'none';
+  document.getElementById('stepUpCode').value = '';
+}
+
+// Exchange a typed code or scanned QR code for a step-up token for the tab's site
+async function submitStepUp(secondFactor) {
+  if (stepUpTabId === null) {
+    return;
+  }
+  try {
+    const { store } = await sendExtensionMessage('STEP_UP', { tabId: stepUpTabId, ...secondFactor });
+    hideStepUpPanel();
+    showStatusCard({ dot: 'active', text: 'Context Verified (Store Code)', location: formatStoreLocation(store) });
+  } catch (error) {
+    showError(`Store code not accepted: ${error.message}`);
+  }
+}
+
+// Look for an in-store QR code with the camera; resolves with its text
+async function scanStepUpQrCode() {
+  const video = document.getElementById('stepUpScanner');
+  const detector = new BarcodeDetector({ formats: ['qr_code'] });
+  const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+  try {
+    video.srcObject = stream;
+    video.classList.add('scanning');
+    await video.play();
+    const deadline = Date.now() + STEP_UP_SCAN_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      const [barcode] = await detector.detect(video);
+      if (barcode) {
+        return barcode.rawValue;
+      }
+      await new Promise(resolve => setTimeout(resolve, STEP_UP_SCAN_INTERVAL_MS));
+    }
+    throw new Error('No QR code found');
+  } finally {
+    stream.getTracks().forEach(track => track.stop());
+    video.srcObject = null;
+    video.classList.remove('scanning');
+  }
+}
+
+// Describe the matched store for the "Location:" line
+function formatStoreLocation(store) {
+  if (!store) {
+    return 'Location: Verified In-Store';
+  }
+  if (store.distance === 0) {
+    return `Location: Verified In-Store (${store.store_id})`;
+  }
+  return `Location: ${store.distance} m from ${store.store_id}`;
+}
+
 // Animate status updates
 function updateStatusWithAnimation(dot, text, location, status) {
   // Fade out
@@ -134,27 +469,95 @@ async function loadDeviceInfo() {
   }
 }
 
-// Start device enrollment process with animations
+// Invite a new device; the background worker keeps the enrollment going while the popup is closed
 async function startDeviceEnrollment() {
   try {
-    const { publicKey } = await chrome.storage.local.get('publicKey');
-    
-    const response = await fetch(`${API_ENDPOINT}/generate-enrollment`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ publicKey })
-    });
+    const { enrollment } = await sendExtensionMessage('START_ENROLLMENT');
+    renderEnrollment(enrollment);
+  } catch (error) {
+    showError(`Failed to start device enrollment: ${error.message}`);
+  }
+}
 
-    if (!response.ok) {
-      throw new Error('Failed to generate enrollment token');
+// Wire up the enrollment panel and follow the enrollment the background worker stores
+function setupEnrollmentPanel() {
+  document.getElementById('approveEnrollment').addEventListener('click', () => decideEnrollment(true));
+  document.getElementById('rejectEnrollment').addEventListener('click', () => decideEnrollment(false));
+  document.getElementById('dismissEnrollment').addEventListener('click', dismissEnrollment);
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.enrollment) {
+      const enrollment = changes.enrollment.newValue;
+      renderEnrollment(enrollment);
+      if (enrollment && enrollment.status === 'approved') {
+        renderDevices();
+      }
     }
+  });
+  chrome.storage.local.get('enrollment').then(({ enrollment }) => renderEnrollment(enrollment));
+  setInterval(renderEnrollmentCountdown, 1000);
+}
 
-    const { enrollmentToken, enrollmentUrl } = await response.json();
+async function decideEnrollment(approve) {
+  try {
+    await sendExtensionMessage('DECIDE_ENROLLMENT', { approve });
+  } catch (error) {
+    showError(`Failed to ${approve ? 'approve' : 'reject'} device: ${error.message}`);
+  }
+}
+
+async function dismissEnrollment() {
+  try {
+    await sendExtensionMessage('CLEAR_ENROLLMENT');
+  } catch (error) {
+    showError(`Failed to cancel enrollment: ${error.message}`);
+  }
+}
 
-    // Show QR container with animation
-    const qrContainer = document.getElementById('qrContainer');
+// Enrollment being shown and the link its QR code was drawn for
+let currentEnrollment = null;
+let renderedEnrollmentUrl = null;
+
+function renderEnrollment(enrollment) {
+  const qrContainer = document.getElementById('qrContainer');
+  const wasShown = currentEnrollment !== null;
+  currentEnrollment = enrollment || null;
+  if (!currentEnrollment) {
+    qrContainer.style.display = 'none';
+    return;
+  }
+
+  const { role, status, candidate, reason, enrollmentUrl } = currentEnrollment;
+  const finished = ENROLLMENT_FINAL_STATES.includes(status);
+  document.getElementById('enrollmentStatus').textContent = [ENROLLMENT_MESSAGES[role][status], reason]
+    .filter(Boolean)
+    .join(': ');
+  // The new device shows its own fingerprint so it can be compared with the one being approved
+  document.getElementById('enrollmentCandidate').textContent = candidate
+    ? `${candidate.label || 'New device'} · ${candidate.fingerprint}`
+    : '';
+
+  const showQrCode = role === 'owner' && (status === 'pending' || status === 'scanned');
+  const qrCode = document.getElementById('qrCode');
+  const enrollmentLink = document.getElementById('enrollmentLink');
+  qrCode.style.display = showQrCode ? 'block' : 'none';
+  enrollmentLink.style.display = showQrCode ? 'block' : 'none';
+  if (showQrCode && renderedEnrollmentUrl !== enrollmentUrl) {
+    // Encoded here: the link holds the invitation secret and must not go to a QR service
+    qrCode.textContent = '';
+    qrCode.appendChild(createQrCodeSvg(encodeQrCode(enrollmentUrl)));
+    enrollmentLink.textContent = enrollmentUrl;
+    renderedEnrollmentUrl = enrollmentUrl;
+  }
+
+  const awaitingDecision = role === 'owner' && status === 'awaiting_approval';
+  document.getElementById('approveEnrollment').style.display = awaitingDecision ? '' : 'none';
+  document.getElementById('rejectEnrollment').style.display = awaitingDecision ? '' : 'none';
+  document.getElementById('dismissEnrollment').textContent = finished ? 'Done' : 'Cancel';
+  renderEnrollmentCountdown();
+
+  // Show QR container with animation
+  if (!wasShown) {
     qrContainer.style.display = 'block';
     qrContainer.style.opacity = '0';
     qrContainer.style.transform = 'translateY(20px)';
@@ -163,62 +566,285 @@ async function startDeviceEnrollment() {
       qrContainer.style.transition = 'all 0.3s ease';
       qrContainer.style.opacity = '1';
       qrContainer.style.transform = 'translateY(0)';
-
-      // Generate and display QR code
-      const qrCode = document.getElementById('qrCode');
-      qrCode.innerHTML = `<img src="https://api.qrserver.com/v1/create-qr-code/?data=${encodeURIComponent(enrollmentUrl)}&size=200x200" alt="Enrollment QR Code">`;
-
-      // Display enrollment link with animation
-      const enrollmentLink = document.getElementById('enrollmentLink');
-      enrollmentLink.textContent = enrollmentUrl;
-      enrollmentLink.style.opacity = '0';
-      
-      setTimeout(() => {
-        enrollmentLink.style.transition = 'opacity 0.3s ease';
-        enrollmentLink.style.opacity = '1';
-      }, 300);
     }, 100);
+  }
+}
 
-  } catch (error) {
-    showError('Failed to start device enrollment');
+// Time left on an open invitation
+function renderEnrollmentCountdown() {
+  const countdown = document.getElementById('enrollmentCountdown');
+  if (!currentEnrollment || ENROLLMENT_FINAL_STATES.includes(currentEnrollment.status)) {
+    countdown.textContent = '';
+    return;
   }
+  const seconds = Math.max(0, Math.ceil((currentEnrollment.expiresAt - Date.now()) / 1000));
+  countdown.textContent = `Expires in ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
 }
 
 // Revoke current device with confirmation
 async function revokeDevice() {
-  if (!confirm('Are you sure you want to revoke this device? This action cannot be undone.')) {
+  if (!confirm('Are you sure you want to revoke this device? It will have to be re-enrolled with a new key.')) {
     return;
   }
 
   try {
-    const { publicKey } = await chrome.storage.local.get('publicKey');
-    
-    const response = await fetch(`${API_ENDPOINT}/revoke-device`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ publicKey })
-    });
+    await sendExtensionMessage('REVOKE_DEVICE');
+    renderDevices();
+  } catch (error) {
+    showError(`Failed to revoke device: ${error.message}`);
+  }
+}
+
+// Wire up the device list and the re-enrollment notice
+function setupDevicePanel() {
+  document.getElementById('refreshDevices').addEventListener('click', renderDevices);
+  document.getElementById('reenrollDevice').addEventListener('click', reenrollDevice);
 
-    if (!response.ok) {
-      throw new Error('Failed to revoke device');
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.deviceState) {
+      renderDeviceState(changes.deviceState.newValue);
+    }
+    if (areaName === 'local' && changes.publicKey) {
+      loadDeviceInfo();
     }
+  });
+  chrome.storage.local.get('deviceState').then(({ deviceState }) => renderDeviceState(deviceState));
+  renderDevices();
+}
 
-    // Clear local storage and reload with fade out animation
-    document.body.style.opacity = '0';
-    document.body.style.transform = 'translateY(-20px)';
-    
-    setTimeout(async () => {
-      await chrome.storage.local.clear();
-      chrome.runtime.reload();
-    }, 300);
+// Show whether this device was revoked or is waiting to be enrolled again
+function renderDeviceState(deviceState) {
+  const notice = document.getElementById('reenrollNotice');
+  const text = document.getElementById('reenrollText');
+  const button = document.getElementById('reenrollDevice');
+  if (!deviceState) {
+    notice.style.display = 'none';
+    return;
+  }
+  notice.style.display = 'flex';
+  if (deviceState.status === 'revoked') {
+    text.textContent = 'This device has been revoked.';
+    button.style.display = '';
+  } else {
+    text.textContent = 'New key created. It is enrolled on the next verification.';
+    button.style.display = 'none';
+  }
+}
+
+// Replace the revoked key so the device can be enrolled again
+async function reenrollDevice() {
+  try {
+    await sendExtensionMessage('REENROLL_DEVICE');
+    renderDevices();
+  } catch (error) {
+    showError(`Failed to re-enroll device: ${error.message}`);
+  }
+}
+
+// List the devices enrolled on this device's account
+async function renderDevices() {
+  const list = document.getElementById('deviceList');
+  let devices = [];
+  let emptyText = 'No enrolled devices';
+  try {
+    ({ devices } = await sendExtensionMessage('LIST_DEVICES'));
+  } catch (error) {
+    emptyText = `Devices unavailable: ${error.message}`;
+  }
+
+  list.textContent = '';
+  if (devices.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'device-empty';
+    empty.textContent = emptyText;
+    list.appendChild(empty);
+  }
+  devices
+    .sort((a, b) => Number(b.current) - Number(a.current) || a.enrolledAt - b.enrolledAt)
+    .forEach(device => list.appendChild(createDeviceItem(device)));
+}
+
+function createDeviceItem(device) {
+  const item = document.createElement('li');
+  item.className = `device-item device-${device.status}`;
+
+  const name = document.createElement('div');
+  name.className = 'device-name';
+  name.textContent = device.label || `Device ${device.fingerprint.slice(0, 8)}`;
+  if (device.current) {
+    const tag = document.createElement('span');
+    tag.className = 'device-tag';
+    tag.textContent = 'This device';
+    name.appendChild(tag);
+  }
+  item.appendChild(name);
+
+  const fingerprint = document.createElement('div');
+  fingerprint.className = 'device-fingerprint';
+  fingerprint.textContent = device.fingerprint;
+  item.appendChild(fingerprint);
+
+  const detail = document.createElement('div');
+  detail.className = 'device-detail';
+  detail.textContent = [
+    `Enrolled ${new Date(device.enrolledAt).toLocaleDateString()}`,
+    `Last seen ${new Date(device.lastSeen).toLocaleString()}`,
+    device.signing === 'webauthn' ? 'Platform authenticator' : null,
+    device.status === 'revoked' ? `Revoked ${new Date(device.revokedAt).toLocaleDateString()}` : null
+  ].filter(Boolean).join(' · ');
+  item.appendChild(detail);
 
+  const actions = document.createElement('div');
+  actions.className = 'device-actions';
+  const rename = document.createElement('button');
+  rename.className = 'button button-secondary button-small';
+  rename.textContent = 'Rename';
+  rename.addEventListener('click', () => renameDevice(device));
+  actions.appendChild(rename);
+  if (device.status === 'enrolled') {
+    const revoke = document.createElement('button');
+    revoke.className = 'button button-secondary button-small';
+    revoke.textContent = 'Revoke';
+    revoke.addEventListener('click', () => revokeListedDevice(device));
+    actions.appendChild(revoke);
+  }
+  item.appendChild(actions);
+  return item;
+}
+
+async function renameDevice(device) {
+  const label = prompt('Device name', device.label || '');
+  if (label === null || !label.trim()) {
+    return;
+  }
+  try {
+    await sendExtensionMessage('RENAME_DEVICE', { fingerprint: device.fingerprint, label });
+    renderDevices();
+  } catch (error) {
+    showError(`Failed to rename device: ${error.message}`);
+  }
+}
+
+async function revokeListedDevice(device) {
+  const name = device.label || device.fingerprint.slice(0, 8);
+  const warning = device.current
+    ? `Revoke this device (${name})? It will have to be re-enrolled with a new key.`
+    : `Revoke ${name}? It will no longer be able to verify.`;
+  if (!confirm(warning)) {
+    return;
+  }
+  try {
+    await sendExtensionMessage('REVOKE_DEVICE', { fingerprint: device.fingerprint });
+    renderDevices();
   } catch (error) {
-    showError('Failed to revoke device');
+    showError(`Failed to revoke device: ${error.message}`);
   }
 }
 
+// Wire up the history filters and actions
+function setupHistoryPanel() {
+  const outcomeSelect = document.getElementById('historyOutcome');
+  ATTESTATION_OUTCOMES.forEach(outcome => {
+    const option = document.createElement('option');
+    option.value = outcome;
+    option.textContent = outcome;
+    outcomeSelect.appendChild(option);
+  });
+
+  document.getElementById('historySite').addEventListener('change', renderHistory);
+  outcomeSelect.addEventListener('change', renderHistory);
+  document.getElementById('verifyHistory').addEventListener('click', verifyHistory);
+  document.getElementById('exportHistoryJson').addEventListener('click', () => exportHistory('json'));
+  document.getElementById('exportHistoryCsv').addEventListener('click', () => exportHistory('csv'));
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[ATTESTATION_LOG_KEY]) {
+      renderHistory();
+    }
+  });
+  renderHistory();
+}
+
+// Show the newest log entries matching the filters
+async function renderHistory() {
+  const { entries } = await loadAttestationLog();
+
+  const siteSelect = document.getElementById('historySite');
+  const sites = [...new Set(entries.map(entry => entry.site))].sort();
+  sites.filter(site => !siteSelect.querySelector(`option[value="${site}"]`)).forEach(site => {
+    const option = document.createElement('option');
+    option.value = site;
+    option.textContent = site;
+    siteSelect.appendChild(option);
+  });
+
+  const siteFilter = siteSelect.value;
+  const outcomeFilter = document.getElementById('historyOutcome').value;
+  const shown = entries
+    .filter(entry => (!siteFilter || entry.site === siteFilter) && (!outcomeFilter || entry.outcome === outcomeFilter))
+    .slice(-HISTORY_DISPLAY_LIMIT)
+    .reverse();
+
+  const list = document.getElementById('historyList');
+  list.textContent = '';
+  if (shown.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'history-empty';
+    empty.textContent = 'No verifications recorded';
+    list.appendChild(empty);
+  }
+  shown.forEach(entry => list.appendChild(createHistoryItem(entry)));
+}
+
+function createHistoryItem(entry) {
+  const item = document.createElement('li');
+  item.className = `history-item history-${entry.outcome}`;
+
+  const summary = document.createElement('div');
+  summary.className = 'history-summary';
+  const score = entry.score === null ? '' : ` · ${entry.score}`;
+  summary.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${entry.site} · ${entry.outcome}${score}`;
+  item.appendChild(summary);
+
+  const details = [
+    entry.store ? formatStoreLocation(entry.store) : null,
+    entry.reason,
+    entry.anomalies.length > 0 ? `Anomalies: ${entry.anomalies.join(', ')}` : null
+  ].filter(Boolean);
+  if (details.length > 0) {
+    const detail = document.createElement('div');
+    detail.className = 'history-detail';
+    detail.textContent = details.join(' · ');
+    item.appendChild(detail);
+  }
+  return item;
+}
+
+// Check the stored log's hash chain and signatures
+async function verifyHistory() {
+  const integrity = document.getElementById('historyIntegrity');
+  const { entries, base } = await loadAttestationLog();
+  const result = await verifyAttestationLog(entries, base);
+  integrity.className = `history-integrity ${result.valid ? 'history-intact' : 'history-tampered'}`;
+  integrity.textContent = result.valid
+    ? `${result.checked} entries intact`
+    : `${result.problems.length} problems found`;
+  if (!result.valid) {
+    showError(`Entry ${result.problems[0].seq} ${result.problems[0].problem}`);
+  }
+}
+
+// Download the whole log as JSON (verifiable with tools/verify-attestation-log.js) or CSV
+async function exportHistory(format) {
+  const log = await loadAttestationLog();
+  const content = format === 'json' ? attestationLogToJson(log) : attestationLogToCsv(log);
+  const type = format === 'json' ? 'application/json' : 'text/csv';
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([content], { type }));
+  link.download = `attestation-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+  link.click();
+}
+
 // Display error message with animation
 function showError(message) {
   const errorElement = document.getElementById('errorMessage');
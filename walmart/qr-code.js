@@ -0,0 +1,428 @@
+// QR code encoder (ISO/IEC 18004, byte mode, versions 1-40) so enrollment links are rendered
+// locally instead of being sent to a QR service. Loaded by the popup.
+//
+// encodeQrCode(text) returns { version, size, modules } where modules[y][x] is true for dark
+// modules; createQrCodeSvg() draws it.
+
+// Error correction levels: `ordinal` indexes the tables below, `formatBits` goes into the format info
+const QR_ECC_LEVELS = {
+  L: { ordinal: 0, formatBits: 1 },
+  M: { ordinal: 1, formatBits: 0 },
+  Q: { ordinal: 2, formatBits: 3 },
+  H: { ordinal: 3, formatBits: 2 }
+};
+
+// Error correction codewords per block and number of blocks, by level and version (index 0 unused)
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const QR_ECC_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// Modules available for data and error correction codewords (including remainder bits)
+function qrRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+}
+
+function qrDataCodewords(version, ecc) {
+  return Math.floor(qrRawDataModules(version) / 8)
+    - QR_ECC_CODEWORDS_PER_BLOCK[ecc.ordinal][version] * QR_ECC_BLOCKS[ecc.ordinal][version];
+}
+
+// Centre coordinates of the alignment patterns on each axis
+function qrAlignmentPositions(version) {
+  if (version === 1) {
+    return [];
+  }
+  const size = version * 4 + 17;
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const positions = [6];
+  for (let position = size - 7; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+}
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function qrGfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+// Reed-Solomon generator polynomial of the given degree, highest coefficient first (leading 1 dropped)
+function qrReedSolomonDivisor(degree) {
+  const result = new Array(degree - 1).fill(0).concat([1]);
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = qrGfMultiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = qrGfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function qrReedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= qrGfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+// Byte-mode data codewords for a version, with terminator and padding
+function qrEncodeData(bytes, version, ecc) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+  append(0b0100, 4);
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacityBits = qrDataCodewords(version, ecc) * 8;
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+  }
+  return codewords;
+}
+
+// Split data into blocks, append each block's error correction and interleave the result
+function qrAddErrorCorrection(data, version, ecc) {
+  const blockCount = QR_ECC_BLOCKS[ecc.ordinal][version];
+  const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[ecc.ordinal][version];
+  const rawCodewords = Math.floor(qrRawDataModules(version) / 8);
+  const shortBlocks = blockCount - rawCodewords % blockCount;
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = qrReedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    const remainder = qrReedSolomonRemainder(block, divisor);
+    if (i < shortBlocks) {
+      block.push(0);
+    }
+    blocks.push(block.concat(remainder));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skip the placeholder byte padding short blocks
+      if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+// Module grid plus a mask of the function patterns that data and masking must leave alone
+function createQrGrid(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  const alignments = qrAlignmentPositions(version);
+  const last = alignments.length - 1;
+  alignments.forEach((cy, i) => {
+    alignments.forEach((cx, j) => {
+      // The corners overlap the finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = version << 12 | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+
+  // Reserve the format areas; the real bits are drawn once the mask is chosen
+  drawQrFormatBits({ size, modules }, QR_ECC_LEVELS.M, 0, set);
+  return { size, modules, reserved, set };
+}
+
+// Format information (level and mask) in both copies, plus the always-dark module
+function drawQrFormatBits({ size }, ecc, mask, set) {
+  const data = ecc.formatBits << 3 | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  const bits = (data << 10 | remainder) ^ 0x5412;
+  const bit = i => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) {
+    set(8, i, bit(i));
+  }
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) {
+    set(14 - i, 8, bit(i));
+  }
+  for (let i = 0; i < 8; i++) {
+    set(size - 1 - i, 8, bit(i));
+  }
+  for (let i = 8; i < 15; i++) {
+    set(8, size - 15 + i, bit(i));
+  }
+  set(8, size - 8, true);
+}
+
+// Place codeword bits in the zigzag order, two columns at a time from the bottom right
+function drawQrCodewords({ size, modules, reserved }, codewords) {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5;
+    }
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!reserved[y][x] && i < codewords.length * 8) {
+          modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => x * y % 2 + x * y % 3 === 0,
+  (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+// XOR a mask over the data modules; applying it twice undoes it
+function applyQrMask({ size, modules, reserved }, mask) {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && QR_MASKS[mask](x, y)) {
+        modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+}
+
+// Penalty score used to pick the mask: long runs, 2x2 blocks, finder-like patterns and dark/light balance
+function qrPenaltyScore({ size, modules }) {
+  let result = 0;
+
+  // Finder-like 1:1:3:1:1 patterns with four light modules on either side
+  const countFinderPatterns = history => {
+    const n = history[1];
+    const core = n > 0 && history[2] === n && history[3] === n * 3 && history[4] === n && history[5] === n;
+    return (core && history[0] >= n * 4 && history[6] >= n ? 1 : 0)
+      + (core && history[6] >= n * 4 && history[0] >= n ? 1 : 0);
+  };
+  const addRun = (length, history) => {
+    // The light border counts towards the first run
+    history.pop();
+    history.unshift(history[0] === 0 ? length + size : length);
+  };
+  const scoreLine = get => {
+    let runDark = false;
+    let runLength = 0;
+    const history = new Array(7).fill(0);
+    for (let i = 0; i < size; i++) {
+      if (get(i) === runDark) {
+        runLength++;
+        if (runLength === 5) {
+          result += 3;
+        } else if (runLength > 5) {
+          result++;
+        }
+      } else {
+        addRun(runLength, history);
+        if (!runDark) {
+          result += countFinderPatterns(history) * 40;
+        }
+        runDark = get(i);
+        runLength = 1;
+      }
+    }
+    if (runDark) {
+      addRun(runLength, history);
+      runLength = 0;
+    }
+    addRun(runLength + size, history);
+    result += countFinderPatterns(history) * 40;
+  };
+  for (let i = 0; i < size; i++) {
+    scoreLine(x => modules[i][x]);
+    scoreLine(y => modules[y][i]);
+  }
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) {
+        dark++;
+      }
+      if (x < size - 1 && y < size - 1) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          result += 3;
+        }
+      }
+    }
+  }
+  const total = size * size;
+  result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return result;
+}
+
+// Encode text (UTF-8, byte mode) in the smallest version that fits at the given level. Pass `mask`
+// to force a mask pattern instead of picking the one with the lowest penalty.
+function encodeQrCode(text, { ecc: level = 'M', mask = null } = {}) {
+  const ecc = QR_ECC_LEVELS[level];
+  if (!ecc) {
+    throw new Error(`Unknown QR error correction level: ${level}`);
+  }
+  const bytes = Array.from(new TextEncoder().encode(text));
+  let version = 1;
+  // Byte mode header: 4-bit mode plus an 8-bit (versions 1-9) or 16-bit length
+  while (version <= 40 && 4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > qrDataCodewords(version, ecc) * 8) {
+    version++;
+  }
+  if (version > 40) {
+    throw new Error('Text is too long for a QR code');
+  }
+
+  const grid = createQrGrid(version);
+  drawQrCodewords(grid, qrAddErrorCorrection(qrEncodeData(bytes, version, ecc), version, ecc));
+
+  let chosen = mask;
+  if (chosen === null) {
+    let lowest = Infinity;
+    for (let candidate = 0; candidate < QR_MASKS.length; candidate++) {
+      applyQrMask(grid, candidate);
+      drawQrFormatBits(grid, ecc, candidate, grid.set);
+      const penalty = qrPenaltyScore(grid);
+      if (penalty < lowest) {
+        lowest = penalty;
+        chosen = candidate;
+      }
+      applyQrMask(grid, candidate);
+    }
+  }
+  applyQrMask(grid, chosen);
+  drawQrFormatBits(grid, ecc, chosen, grid.set);
+  return { version, size: grid.size, modules: grid.modules };
+}
+
+// Draw a QR code as an SVG element with a light quiet zone of `margin` modules
+function createQrCodeSvg({ size, modules }, { moduleSize = 4, margin = 4 } = {}) {
+  const svgNamespace = 'http://www.w3.org/2000/svg';
+  const extent = size + margin * 2;
+  const svg = document.createElementNS(svgNamespace, 'svg');
+  svg.setAttribute('viewBox', `0 0 ${extent} ${extent}`);
+  svg.setAttribute('width', String(extent * moduleSize));
+  svg.setAttribute('height', String(extent * moduleSize));
+  svg.setAttribute('shape-rendering', 'crispEdges');
+
+  const background = document.createElementNS(svgNamespace, 'rect');
+  background.setAttribute('width', String(extent));
+  background.setAttribute('height', String(extent));
+  background.setAttribute('fill', '#ffffff');
+  svg.appendChild(background);
+
+  const path = [];
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) {
+      path.push(`M${x + margin} ${y + margin}h1v1h-1z`);
+    }
+  }));
+  const darkModules = document.createElementNS(svgNamespace, 'path');
+  darkModules.setAttribute('d', path.join(''));
+  darkModules.setAttribute('fill', '#000000');
+  svg.appendChild(darkModules);
+  return svg;
+}
@@ -0,0 +1,137 @@
+// Resilient backend requests for the background service worker: retryable/fatal classification,
+// exponential backoff with jitter and a circuit breaker per endpoint. Settings come from
+// REQUEST_POLICY in config.js.
+
+// Statuses worth retrying; any other 4xx is the backend's final answer
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Raised for failed backend requests. Retryable errors are transient (network, timeouts, 5xx, 429).
+class BackendRequestError extends Error {
+  constructor(message, { status = null, code = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Full-jitter exponential backoff for a 0-based retry attempt
+function computeBackoffDelay(attempt, policy = REQUEST_POLICY) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.random() * ceiling;
+}
+
+// Circuit breaker for each endpoint: { state: 'closed' | 'open' | 'half-open', failures, openedAt }
+const circuitBreakers = new Map();
+
+function getCircuitBreaker(endpoint) {
+  if (!circuitBreakers.has(endpoint)) {
+    circuitBreakers.set(endpoint, { state: 'closed', failures: 0, openedAt: 0 });
+  }
+  return circuitBreakers.get(endpoint);
+}
+
+// Reject requests while the breaker is open. Once the cooldown has passed a single trial
+// request is let through (half-open); its outcome closes or reopens the breaker.
+function checkCircuitBreaker(endpoint, policy, now = Date.now()) {
+  const breaker = getCircuitBreaker(endpoint);
+  if (breaker.state === 'closed') {
+    return;
+  }
+  const remaining = breaker.openedAt + policy.breakerCooldownMs - now;
+  if (breaker.state === 'open' && remaining <= 0) {
+    breaker.state = 'half-open';
+    return;
+  }
+  throw new BackendRequestError(`Backend temporarily unavailable (${endpoint})`, {
+    code: 'circuit_open',
+    retryable: true,
+    retryAfterMs: breaker.state === 'open' ? remaining : policy.baseDelayMs
+  });
+}
+
+function recordCircuitSuccess(endpoint) {
+  const breaker = getCircuitBreaker(endpoint);
+  breaker.state = 'closed';
+  breaker.failures = 0;
+}
+
+function recordCircuitFailure(endpoint, policy, now = Date.now()) {
+  const breaker = getCircuitBreaker(endpoint);
+  breaker.failures++;
+  if (breaker.state === 'half-open' || breaker.failures >= policy.breakerFailureThreshold) {
+    breaker.state = 'open';
+    breaker.openedAt = now;
+  }
+}
+
+// Send one JSON POST, turning every failure into a classified BackendRequestError
+async function sendBackendRequest(url, body, policy) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(policy.requestTimeoutMs)
+    });
+  } catch (error) {
+    throw new BackendRequestError(`Backend unreachable: ${error.message}`, { retryable: true });
+  }
+
+  const payload = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new BackendRequestError(
+      (payload && payload.message) || `Backend request failed with status ${response.status}`,
+      {
+        status: response.status,
+        code: payload && payload.error ? payload.error : null,
+        retryable: RETRYABLE_STATUSES.has(response.status),
+        retryAfterMs: parseRetryAfter(response.headers.get('Retry-After'))
+      }
+    );
+  }
+  return payload;
+}
+
+// POST to an endpoint path, retrying transient failures. Fatal errors are thrown at once; a
+// Retry-After longer than policy.maxDelayMs ends the retries early.
+async function postToBackend(endpoint, path, body, policy = REQUEST_POLICY) {
+  for (let attempt = 0; ; attempt++) {
+    checkCircuitBreaker(endpoint, policy);
+    try {
+      const payload = await sendBackendRequest(`${endpoint}${path}`, body, policy);
+      recordCircuitSuccess(endpoint);
+      return payload;
+    } catch (error) {
+      if (!error.retryable) {
+        // The backend answered, so it is healthy even though it refused the request
+        recordCircuitSuccess(endpoint);
+        throw error;
+      }
+      recordCircuitFailure(endpoint, policy);
+
+      const delay = Math.max(computeBackoffDelay(attempt, policy), error.retryAfterMs || 0);
+      if (attempt + 1 >= policy.maxAttempts || delay > policy.maxDelayMs) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
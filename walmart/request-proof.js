@@ -0,0 +1,65 @@
+// Per-request proof-of-possession (DPoP-style) for site API calls made from a tab.
+//
+// The proof is a compact ES256 JWS signed with the device key and sent in X-Secure-Context-Proof:
+//   header  { typ: 'secure-context-pop+jwt', alg: 'ES256', pk: <device public key hex> }
+//   payload { htm, htu, bdh, ath, iat, jti }
+// htm/htu are the method and URL (without query or fragment), bdh the base64url SHA-256 of the
+// body, ath the base64url SHA-256 of the context token the request carries.
+
+const REQUEST_PROOF_TYPE = 'secure-context-pop+jwt';
+
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function hexToBase64Url(hex) {
+  return base64UrlEncode(hex.match(/../g).map(byte => parseInt(byte, 16)));
+}
+
+function encodeJsonBase64Url(value) {
+  return base64UrlEncode(new TextEncoder().encode(JSON.stringify(value)));
+}
+
+async function sha256Base64Url(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return base64UrlEncode(new Uint8Array(digest));
+}
+
+// The request URL as covered by the proof: origin and path only
+function normalizeProofUrl(url) {
+  const parsed = new URL(url);
+  return `${parsed.origin}${parsed.pathname}`;
+}
+
+// Sign a proof for one request bound to the token it carries
+async function createRequestProof({ method, url, bodyDigest, token }) {
+  const deviceKey = await getDeviceKey();
+  const header = { typ: REQUEST_PROOF_TYPE, alg: 'ES256', pk: deviceKey.publicKey };
+  const payload = {
+    htm: method.toUpperCase(),
+    htu: normalizeProofUrl(url),
+    bdh: bodyDigest,
+    ath: await sha256Base64Url(token),
+    iat: Math.floor(Date.now() / 1000),
+    jti: base64UrlEncode(crypto.getRandomValues(new Uint8Array(12)))
+  };
+  const signingInput = `${encodeJsonBase64Url(header)}.${encodeJsonBase64Url(payload)}`;
+  const signature = await signData(signingInput, deviceKey.keyPair.privateKey);
+  return `${signingInput}.${hexToBase64Url(signature)}`;
+}
+
+// Sign a proof for an API request from a tab, bound to the token the tab's header rule attaches
+async function signTabRequest(tab, { method, url, bodyDigest }) {
+  if (typeof method !== 'string' || typeof bodyDigest !== 'string' || !/^[A-Za-z0-9_-]{43}$/.test(bodyDigest)) {
+    throw new Error('Malformed request');
+  }
+  const site = findSiteForUrl(await loadSiteRegistry(), tab.url);
+  if (!site || !isApiUrl(site, url)) {
+    throw new Error('Not a site API request');
+  }
+  const token = await getTabHeaderToken(tab.id);
+  if (!token) {
+    throw new Error('No context token for this tab');
+  }
+  return createRequestProof({ method, url, bodyDigest, token });
+}
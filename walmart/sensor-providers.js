@@ -0,0 +1,234 @@
+// Pluggable sensor providers with record-and-replay support.
+//
+// Each signal (location, wifi, motion, pos) is collected by a registered provider:
+//   isAvailable()        -> Promise<boolean>
+//   getPermissionState() -> Promise<'granted' | 'prompt' | 'denied' | 'not-required'>
+//   collect()            -> Promise<reading>
+//
+// Live location and motion providers need a document (geolocation does not exist in the service
+// worker), so they are registered in the offscreen document (offscreen.js); Wi-Fi and POS beacon
+// providers talk to the native companion host from the worker (native-companion.js). The worker
+// sets the live collector that combines both (offscreen-manager.js). Every provider call has a
+// per-signal timeout.
+//
+// Wi-Fi readings are { networks: [{ bssid, ssid, rssi, frequency }], timestamp } and POS readings
+// { beacons: [{ id, rssi, txPower }], timestamp }.
+//
+// The sensor mode in chrome.storage.local selects how providers are used:
+//   { mode: 'live' }                        - live providers only
+//   { mode: 'record', name }                - live providers, each round appended to a recording
+//   { mode: 'replay', trace, startedAt, position } - readings fed from a recorded or hand-written trace
+//
+// Recording and replay are development tools: they only work in an unpacked install, and replayed
+// rounds are marked `replayed: true` so the background never requests a token for them.
+//
+// Traces have the shape { name, description, samples: [{ t, location, wifi, motion, pos }] } where
+// `t` and any reading `timestamp` are milliseconds relative to the start of the trace.
+
+const SENSOR_SIGNALS = ['location', 'wifi', 'motion', 'pos'];
+const SENSOR_MODE_KEY = 'sensorMode';
+const SENSOR_RECORDING_KEY = 'sensorRecording';
+const SENSOR_TRACES_KEY = 'sensorTraces';
+// How long each signal may take, permission check included, before it is reported as timed out
+const SENSOR_TIMEOUTS_MS = { location: 10000, wifi: 2000, motion: 2000, pos: 2000 };
+
+const liveSensorProviders = {};
+// Collects one round from the live sensors: () => Promise<readings>
+let liveSensorCollector = () => collectFromProviders(liveSensorProviders, Date.now());
+
+// Register the live provider for a signal
+function registerSensorProvider(signal, provider) {
+  if (!SENSOR_SIGNALS.includes(signal)) {
+    throw new Error(`Unknown sensor signal: ${signal}`);
+  }
+  liveSensorProviders[signal] = provider;
+}
+
+// Replace where live rounds come from, e.g. with a request to another context
+function setLiveSensorCollector(collector) {
+  liveSensorCollector = collector;
+}
+
+// Provider feeding one signal from a trace sample; signals absent from the sample are unavailable
+function createReplayProvider(signal, sample, baseTime) {
+  return {
+    isAvailable: async () => Boolean(sample[signal]),
+    getPermissionState: async () => 'granted',
+    collect: async () => toAbsoluteReading(sample[signal], baseTime)
+  };
+}
+
+function toRelativeReading(reading, startedAt) {
+  return typeof reading.timestamp === 'number'
+    ? { ...reading, timestamp: reading.timestamp - startedAt }
+    : reading;
+}
+
+function toAbsoluteReading(reading, baseTime) {
+  return typeof reading.timestamp === 'number'
+    ? { ...reading, timestamp: reading.timestamp + baseTime }
+    : reading;
+}
+
+async function collectFromProvider(provider) {
+  if (!provider || !await provider.isAvailable()) {
+    return { status: 'unavailable', permission: null, reading: null };
+  }
+  const permission = await provider.getPermissionState();
+  if (permission === 'denied') {
+    return { status: 'denied', permission, reading: null };
+  }
+  return { status: 'ok', permission, reading: await provider.collect() };
+}
+
+// Collect every signal from a set of providers. A failing or slow provider never fails the round:
+// its signal is reported with a status and a null reading.
+async function collectFromProviders(providers, timestamp) {
+  const entries = await Promise.all(SENSOR_SIGNALS.map(async signal => {
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve({ status: 'timeout', permission: null, reading: null }), SENSOR_TIMEOUTS_MS[signal]);
+    });
+    try {
+      return [signal, await Promise.race([collectFromProvider(providers[signal]), timeout])];
+    } catch (error) {
+      return [signal, { status: 'error', permission: null, reading: null, error: error.message }];
+    } finally {
+      clearTimeout(timer);
+    }
+  }));
+  return { timestamp, signals: Object.fromEntries(entries) };
+}
+
+// A round in which no signal could be collected, e.g. because the collecting context failed
+function createFailedReadings(timestamp, message) {
+  const signals = {};
+  SENSOR_SIGNALS.forEach(signal => {
+    signals[signal] = { status: 'error', permission: null, reading: null, error: message };
+  });
+  return { timestamp, signals };
+}
+
+// Each signal's status and permission in a round, without its reading, for status displays
+function describeSensorStates(readings) {
+  const states = {};
+  Object.entries(readings.signals).forEach(([signal, { status, permission }]) => {
+    states[signal] = { status, permission };
+  });
+  return states;
+}
+
+// Whether this is an unpacked install; store installs have an update_url in their manifest
+function isDevelopmentBuild() {
+  return !('update_url' in chrome.runtime.getManifest());
+}
+
+// Collect one round of readings according to the current sensor mode
+async function collectSensorReadings() {
+  const { [SENSOR_MODE_KEY]: sensorMode = { mode: 'live' } } = await chrome.storage.local.get(SENSOR_MODE_KEY);
+
+  if (!isDevelopmentBuild()) {
+    return liveSensorCollector();
+  }
+  if (sensorMode.mode === 'replay') {
+    return replayNextSample(sensorMode);
+  }
+  if (sensorMode.mode === 'record') {
+    return recordSample();
+  }
+  return liveSensorCollector();
+}
+
+// Collect from live providers and append the round to the in-progress recording
+async function recordSample() {
+  const readings = await liveSensorCollector();
+  const now = readings.timestamp;
+  const { [SENSOR_RECORDING_KEY]: recording } = await chrome.storage.local.get(SENSOR_RECORDING_KEY);
+  const startedAt = recording ? recording.startedAt : now;
+  const sample = { t: now - startedAt };
+  Object.entries(readings.signals).forEach(([signal, { status, reading }]) => {
+    if (status === 'ok') {
+      sample[signal] = toRelativeReading(reading, startedAt);
+    }
+  });
+
+  const samples = recording ? recording.samples : [];
+  samples.push(sample);
+  await chrome.storage.local.set({ [SENSOR_RECORDING_KEY]: { startedAt, samples } });
+  return readings;
+}
+
+// Feed the next trace sample; the trace ends by switching back to live sensors
+async function replayNextSample(sensorMode) {
+  const { trace, startedAt, position = 0 } = sensorMode;
+  const sample = trace.samples[position];
+  if (!sample) {
+    await stopSensorReplay();
+    return liveSensorCollector();
+  }
+
+  const providers = {};
+  SENSOR_SIGNALS.forEach(signal => {
+    providers[signal] = createReplayProvider(signal, sample, startedAt);
+  });
+  await chrome.storage.local.set({ [SENSOR_MODE_KEY]: { ...sensorMode, position: position + 1 } });
+  return { ...await collectFromProviders(providers, startedAt + sample.t), replayed: true };
+}
+
+// Check a trace before replaying it
+function isValidSensorTrace(trace) {
+  return Boolean(trace) &&
+    typeof trace.name === 'string' &&
+    Array.isArray(trace.samples) &&
+    trace.samples.every(sample => typeof sample.t === 'number');
+}
+
+// Start recording live sensor rounds under a name
+async function startSensorRecording(name) {
+  if (!isDevelopmentBuild()) {
+    throw new Error('Sensor recording is only available in development builds');
+  }
+  await chrome.storage.local.remove(SENSOR_RECORDING_KEY);
+  await chrome.storage.local.set({ [SENSOR_MODE_KEY]: { mode: 'record', name } });
+}
+
+// Stop recording and save the session as a trace
+async function stopSensorRecording() {
+  const {
+    [SENSOR_MODE_KEY]: sensorMode,
+    [SENSOR_RECORDING_KEY]: recording,
+    [SENSOR_TRACES_KEY]: traces = []
+  } = await chrome.storage.local.get([SENSOR_MODE_KEY, SENSOR_RECORDING_KEY, SENSOR_TRACES_KEY]);
+
+  if (!sensorMode || sensorMode.mode !== 'record') {
+    return null;
+  }
+  const trace = {
+    name: sensorMode.name,
+    description: `Recorded ${new Date(recording ? recording.startedAt : Date.now()).toISOString()}`,
+    samples: recording ? recording.samples : []
+  };
+  await chrome.storage.local.set({
+    [SENSOR_MODE_KEY]: { mode: 'live' },
+    [SENSOR_TRACES_KEY]: [...traces.filter(saved => saved.name !== trace.name), trace]
+  });
+  await chrome.storage.local.remove(SENSOR_RECORDING_KEY);
+  return trace;
+}
+
+// Replay a trace from its first sample
+async function startSensorReplay(trace) {
+  if (!isDevelopmentBuild()) {
+    throw new Error('Sensor replay is only available in development builds');
+  }
+  if (!isValidSensorTrace(trace)) {
+    throw new Error('Invalid sensor trace');
+  }
+  await chrome.storage.local.set({
+    [SENSOR_MODE_KEY]: { mode: 'replay', trace, startedAt: Date.now(), position: 0 }
+  });
+}
+
+async function stopSensorReplay() {
+  await chrome.storage.local.set({ [SENSOR_MODE_KEY]: { mode: 'live' } });
+}
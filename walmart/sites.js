@@ -0,0 +1,167 @@
+// Site registry shared by the background worker, content script, popup and options page.
+//
+// Sites come from three layers, later layers overriding earlier ones:
+//   1. DEFAULT_SITES bundled below
+//   2. User edits from the options page (chrome.storage.sync "userSites")
+//   3. Admin-pushed sites (chrome.storage.managed "sites"), which users cannot change
+
+const DEFAULT_SITES = {
+  'walmart.com': {
+    enabled: true,
+    apiPattern: 'api.walmart.com',
+    storePattern: '/store/',
+    endpoint: 'https://api.walmart.com/secure-context',
+    policy: 'in-store'
+  },
+  'amazon.com': {
+    enabled: true,
+    apiPattern: 'api.amazon.com',
+    storePattern: '/dp/',
+    endpoint: 'https://api.amazon.com/secure-context',
+    policy: 'online'
+  },
+  'target.com': {
+    enabled: true,
+    apiPattern: 'api.target.com',
+    storePattern: '/p/',
+    endpoint: 'https://api.target.com/secure-context',
+    policy: 'in-store'
+  },
+  'bestbuy.com': {
+    enabled: true,
+    apiPattern: 'api.bestbuy.com',
+    storePattern: '/products/',
+    endpoint: 'https://api.bestbuy.com/secure-context',
+    policy: 'in-store'
+  },
+  'ebay.com': {
+    enabled: true,
+    apiPattern: 'api.ebay.com',
+    storePattern: '/itm/',
+    endpoint: 'https://api.ebay.com/secure-context',
+    policy: 'online'
+  },
+  'costco.com': {
+    enabled: true,
+    apiPattern: 'api.costco.com',
+    storePattern: '/product/',
+    endpoint: 'https://api.costco.com/secure-context',
+    policy: 'in-store',
+    minScore: 0.8
+  }
+};
+
+const SITE_POLICY_PRESETS = ['in-store', 'online'];
+
+let siteRegistryPromise = null;
+
+// Check a site entry from user or managed storage before using it
+function isValidSiteEntry(domain, site) {
+  return /^([a-z0-9-]+\.)+[a-z]{2,}$/.test(domain) &&
+    Boolean(site) &&
+    typeof site.apiPattern === 'string' && /^([a-z0-9-]+\.)+[a-z]{2,}(\/[\w\-./~%]*)?$/.test(site.apiPattern) &&
+    typeof site.storePattern === 'string' && site.storePattern.startsWith('/') &&
+    typeof site.endpoint === 'string' && /^(https:\/\/|http:\/\/localhost[:/])/.test(site.endpoint) &&
+    SITE_POLICY_PRESETS.includes(site.policy) &&
+    (site.minScore === undefined || typeof site.minScore === 'number');
+}
+
+// Merge the three layers into one registry keyed by domain
+async function readSiteRegistry() {
+  const [{ userSites = {} }, managed] = await Promise.all([
+    chrome.storage.sync.get('userSites'),
+    // Managed storage is unavailable on some platforms and when no policy is installed
+    chrome.storage.managed.get(['sites', 'allowUserSites']).catch(() => ({}))
+  ]);
+
+  const registry = {};
+  Object.entries(DEFAULT_SITES).forEach(([domain, site]) => {
+    registry[domain] = { ...site, domain, source: 'default', locked: false };
+  });
+
+  if (managed.allowUserSites !== false) {
+    Object.entries(userSites).forEach(([domain, overrides]) => {
+      const site = { ...registry[domain], ...overrides };
+      if (isValidSiteEntry(domain, site)) {
+        registry[domain] = { ...site, domain, source: registry[domain] ? 'default' : 'user', locked: false };
+      }
+    });
+  }
+
+  Object.entries(managed.sites || {}).forEach(([domain, site]) => {
+    const entry = { enabled: true, ...site };
+    if (isValidSiteEntry(domain, entry)) {
+      registry[domain] = { ...entry, domain, source: 'managed', locked: true };
+    } else {
+      console.warn(`Ignoring invalid managed site entry for ${domain}`);
+    }
+  });
+
+  return registry;
+}
+
+// Load the merged registry, cached until one of its layers changes
+function loadSiteRegistry() {
+  if (!siteRegistryPromise) {
+    siteRegistryPromise = readSiteRegistry().catch(error => {
+      siteRegistryPromise = null;
+      throw error;
+    });
+  }
+  return siteRegistryPromise;
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'managed' || (areaName === 'sync' && changes.userSites)) {
+    siteRegistryPromise = null;
+  }
+});
+
+// Find the enabled site a URL belongs to
+function findSiteForUrl(registry, url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+  return Object.values(registry).find(site =>
+    site.enabled && (hostname === site.domain || hostname.endsWith(`.${site.domain}`))) || null;
+}
+
+// Whether a URL is a store page of its site
+function isStorePageUrl(site, url) {
+  return Boolean(site) && new URL(url).pathname.includes(site.storePattern);
+}
+
+// Split an apiPattern ("api.example.com" or "api.example.com/v1/") into its host and path prefix
+function parseApiPattern(apiPattern) {
+  const slash = apiPattern.indexOf('/');
+  return slash === -1
+    ? { host: apiPattern, path: '' }
+    : { host: apiPattern.slice(0, slash), path: apiPattern.slice(slash) };
+}
+
+// Whether a URL is a site API request: its host is the pattern's host or a subdomain of it and its
+// path starts with the pattern's path, as with the header rules' filter (getApiUrlFilter)
+function isApiUrl(site, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  const { host, path } = parseApiPattern(site.apiPattern);
+  const { hostname, pathname } = parsed;
+  return (hostname === host || hostname.endsWith(`.${host}`)) && pathname.startsWith(path);
+}
+
+// Host permission patterns a site needs: its own pages plus its endpoint
+function getSiteOrigins(site) {
+  const origins = [`https://*.${site.domain}/*`];
+  const endpoint = new URL(site.endpoint);
+  if (endpoint.hostname !== site.domain && !endpoint.hostname.endsWith(`.${site.domain}`)) {
+    origins.push(`${endpoint.protocol}//${endpoint.hostname}/*`);
+  }
+  return origins;
+}
@@ -0,0 +1,124 @@
+// Step-up verification. A store-page context that only missed the site's minScore, still scoring at
+// least its policy's stepUp.minScore (policy.js), near a registered store, ends in step_up_required
+// instead of failing. The shopper then enters the rotating code shown at that store's registers (in
+// the page through secureContext.submitStepUpCode, or in the popup) or scans the store's QR code with
+// the popup. The code is signed with the device key together with the low-scoring context and
+// exchanged at the backend's /step-up endpoint for a token with a reduced lifetime.
+
+// A step-up completes the context that required it, so that context can't be too old
+const STEP_UP_CONTEXT_MAX_AGE_MS = 2 * 60 * 1000;
+const STEP_UP_CODE_PATTERN = /^\d{6}$/;
+// In-store QR codes encode securecontext://step-up?store=<storeId>&code=<code>
+const STEP_UP_QR_PREFIX = 'securecontext://step-up';
+
+// Contexts awaiting a store code by site domain: { site, siteUrl, context, store, requiredAt }
+const pendingStepUps = new Map();
+
+class StepUpError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Keep a context that needs a store code to complete; returns the error ending its verification
+function requireStepUp(site, siteUrl, context, store) {
+  pendingStepUps.set(site.domain, { site, siteUrl, context, store, requiredAt: Date.now() });
+  return new StepUpRequiredError(context.assessment, store, context.sensors);
+}
+
+function getPendingStepUp(domain, now = Date.now()) {
+  const pending = pendingStepUps.get(domain);
+  if (pending && pending.requiredAt + STEP_UP_CONTEXT_MAX_AGE_MS <= now) {
+    pendingStepUps.delete(domain);
+    return null;
+  }
+  return pending || null;
+}
+
+// The store and code an in-store QR code carries
+function parseStepUpQrText(text) {
+  let url;
+  try {
+    url = new URL(text.trim());
+  } catch (error) {
+    url = null;
+  }
+  if (!url || `${url.protocol}//${url.host}${url.pathname}` !== STEP_UP_QR_PREFIX) {
+    throw new StepUpError('invalid_qr_code', 'Not a store step-up QR code');
+  }
+  return { storeId: url.searchParams.get('store'), code: url.searchParams.get('code') || '' };
+}
+
+// Sign the pending context with the store code under a fresh nonce and exchange it at /step-up. The
+// backend holds the context's score to the same geofence proof rules as /issue-token.
+async function requestStepUpToken({ site, siteUrl, context, store }, code) {
+  const deviceKey = await getDeviceKey();
+  const apiEndpoint = getApiEndpoint(site);
+  const origin = new URL(siteUrl).origin;
+
+  const { nonce } = await postToBackend(apiEndpoint, '/challenge', { origin });
+  const geofence = await buildGeofenceProof(context.contextData, context.stores, context.contextHash, deviceKey.publicKey);
+  const signedPayload = buildSignedStepUpPayload({
+    contextHash: context.contextHash,
+    nonce,
+    origin,
+    url: siteUrl,
+    storeId: store.store_id,
+    code,
+    geofenceTranscript: geofence ? geofence.transcript : null
+  });
+  const signature = await signTokenRequest(deviceKey, signedPayload);
+
+  return postToBackend(apiEndpoint, '/step-up', {
+    contextHash: context.contextHash,
+    nonce,
+    origin,
+    url: siteUrl,
+    signature,
+    consistencyScore: context.assessment.score,
+    publicKey: deviceKey.publicKey,
+    storeId: store.store_id,
+    code,
+    geofenceProof: geofence ? geofence.proof : null
+  });
+}
+
+// Complete a site's pending step-up with a store code (and the store a scanned QR code named);
+// the reduced-lifetime token is cached like any other so the site's sessions pick it up
+async function completeStepUp(domain, { code, storeId = null }) {
+  const pending = getPendingStepUp(domain);
+  if (!pending) {
+    throw new StepUpError('no_step_up_pending', 'This site is not waiting for a store code');
+  }
+  if (storeId !== null && storeId !== pending.store.store_id) {
+    throw new StepUpError('store_mismatch', `That code is for a different store than ${pending.store.name}`);
+  }
+  if (!STEP_UP_CODE_PATTERN.test(code)) {
+    throw new StepUpError('invalid_code', 'Store codes are 6 digits');
+  }
+
+  const { site, context, store } = pending;
+  let token;
+  try {
+    token = await requestStepUpToken(pending, code).catch(error => {
+      if (!NONCE_ERROR_CODES.includes(error.code)) {
+        throw error;
+      }
+      return requestStepUpToken(pending, code);
+    });
+  } catch (error) {
+    // A mistyped or rotated code can be retried against the same context
+    if (error.code !== 'invalid_step_up_code') {
+      pendingStepUps.delete(domain);
+    }
+    logAttestation({ site: site.domain, outcome: 'failed', assessment: context.assessment, store, reason: error.message });
+    throw error;
+  }
+
+  pendingStepUps.delete(domain);
+  const result = { site, token, store, assessment: context.assessment, sensors: context.sensors, stepUp: true };
+  tokenCache.set(site.domain, result);
+  logAttestation({ site: site.domain, outcome: 'stepped_up', assessment: context.assessment, store });
+  return result;
+}
@@ -0,0 +1,95 @@
+// Store geofence registry: bundled stores.json, superseded by newer copies cached in storage
+
+const STORE_REGISTRY_REFRESH_ALARM = 'store-registry-refresh';
+const STORE_REGISTRY_REFRESH_MINUTES = 24 * 60;
+
+let storeRegistryPromise = null;
+
+// A store's optional radio fingerprint: { wifi: [{ bssid, rssi }], beacons: [{ id, rssi }] }
+function isValidStoreFingerprint(fingerprint) {
+  const isEmitterList = (list, key) => list === undefined || (Array.isArray(list) &&
+    list.every(emitter => emitter && typeof emitter[key] === 'string' && typeof emitter.rssi === 'number'));
+  return fingerprint === undefined || (Boolean(fingerprint) &&
+    isEmitterList(fingerprint.wifi, 'bssid') &&
+    isEmitterList(fingerprint.beacons, 'id'));
+}
+
+// Check the shape of a registry before trusting it
+function isValidStoreRegistry(registry) {
+  return Boolean(registry) &&
+    typeof registry.version === 'number' &&
+    Array.isArray(registry.stores) &&
+    registry.stores.every(store =>
+      typeof store.storeId === 'string' &&
+      typeof store.site === 'string' &&
+      (Array.isArray(store.polygon) && store.polygon.length >= 3 ||
+        store.center && typeof store.radius === 'number') &&
+      isValidStoreFingerprint(store.fingerprint));
+}
+
+// Load the newest registry available: the cached update or the bundled file
+function loadStoreRegistry() {
+  if (!storeRegistryPromise) {
+    storeRegistryPromise = Promise.all([
+      fetch(chrome.runtime.getURL('stores.json')).then(response => response.json()),
+      chrome.storage.local.get('storeRegistry')
+    ])
+      .then(([bundled, { storeRegistry }]) =>
+        isValidStoreRegistry(storeRegistry) && storeRegistry.version > bundled.version
+          ? storeRegistry
+          : bundled)
+      .catch(error => {
+        storeRegistryPromise = null;
+        throw error;
+      });
+  }
+  return storeRegistryPromise;
+}
+
+// Replace the registry with a newer version; returns false if it was rejected
+async function updateStoreRegistry(registry) {
+  if (!isValidStoreRegistry(registry)) {
+    throw new Error('Invalid store registry');
+  }
+  const current = await loadStoreRegistry();
+  if (registry.version <= current.version) {
+    return false;
+  }
+  await chrome.storage.local.set({ storeRegistry: registry });
+  storeRegistryPromise = Promise.resolve(registry);
+  return true;
+}
+
+// Pull the registry from the configured update URL, if any
+async function refreshStoreRegistry() {
+  if (!BACKEND_CONFIG.storeRegistryUrl) {
+    return false;
+  }
+  const response = await fetch(BACKEND_CONFIG.storeRegistryUrl);
+  if (!response.ok) {
+    throw new Error('Failed to download store registry');
+  }
+  return updateStoreRegistry(await response.json());
+}
+
+// Get the registered stores for a site registry entry
+async function getStoresForSite(site) {
+  const registry = await loadStoreRegistry();
+  return registry.stores.filter(store => store.site === site.domain);
+}
+
+// Schedule periodic registry refreshes
+function scheduleStoreRegistryRefresh() {
+  chrome.alarms.create(STORE_REGISTRY_REFRESH_ALARM, {
+    delayInMinutes: 1,
+    periodInMinutes: STORE_REGISTRY_REFRESH_MINUTES
+  });
+}
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === STORE_REGISTRY_REFRESH_ALARM) {
+    refreshStoreRegistry().catch(error => {
+      console.warn('Store registry refresh failed:', error.message);
+    });
+  }
+});
@@ -0,0 +1,409 @@
+// Tab session manager. Follows every tab's top-level navigations, including client-side route
+// changes, and tracks which tabs are on a store page of a site the user has granted access to.
+// Tabs on the same site share one session: a single verification loop whose token is attached to
+// each tab's API requests (header-rules.js) and pushed to each tab's content script.
+//
+// Content scripts get NAVIGATION_CHANGE { inStore } when their tab joins or leaves a session and
+// CONTEXT_STATUS { status, token, consistencyScore, reason, graceUntil, store } after every
+// verification; extension pages subscribed to the tab's status (message-router.js) get TAB_STATUS.
+//
+// Sessions are also the verification scheduler (SCHEDULER_POLICY in config.js). A refresh that falls
+// due while every tab of the site is hidden, or while the device is idle or locked, pauses the
+// session instead; a tab becoming visible or the device becoming active resumes it with an immediate
+// check, and so does a guarded API call from one of its tabs. Each decision is kept for diagnostics.
+
+const TAB_SESSION_ALARM = 'tab-sessions';
+
+// Sessions by site domain:
+// { site, url, tabIds, status, timer, nextRunAt, inFlight, schedule: { state, reason, nextRunAt } }
+const siteSessions = new Map();
+// Site domain of the session each tab belongs to
+const tabSessionDomains = new Map();
+// Tabs whose page reported itself hidden; tabs that haven't reported count as visible
+const hiddenTabIds = new Set();
+// chrome.idle state of the device: 'active', 'idle' or 'locked'
+let deviceIdleState = 'active';
+// Latest scheduler decisions, oldest first: { at, site, decision, reason, delayMs? }
+const schedulerDecisions = [];
+
+// Record a scheduling decision for SCHEDULER_DIAGNOSTICS; site is null for device-wide ones
+function recordSchedulerDecision(site, decision, reason, details = {}) {
+  schedulerDecisions.push({ at: Date.now(), site, decision, reason, ...details });
+  if (schedulerDecisions.length > SCHEDULER_POLICY.diagnosticsLimit) {
+    schedulerDecisions.shift();
+  }
+}
+
+// Messages to tabs whose content script hasn't loaded yet are dropped; it asks with CONTEXT_READY
+function sendToTab(tabId, type, payload) {
+  chrome.tabs.sendMessage(tabId, createMessage(type, payload)).catch(() => {});
+}
+
+// Move a tab into or out of a session for the URL it is now on
+async function updateTabSession(tabId, url) {
+  const site = findSiteForUrl(await loadSiteRegistry(), url);
+  const inStore = Boolean(site) && isStorePageUrl(site, url)
+    && await chrome.permissions.contains({ origins: [`https://*.${site.domain}/*`] });
+
+  const previous = tabSessionDomains.get(tabId);
+  if (previous && (!inStore || previous !== site.domain)) {
+    await leaveSiteSession(tabId);
+  }
+  if (inStore) {
+    joinSiteSession(tabId, site, url);
+  }
+}
+
+function joinSiteSession(tabId, site, url) {
+  let session = siteSessions.get(site.domain);
+  const created = !session;
+  if (created) {
+    session = {
+      site,
+      url,
+      tabIds: new Set(),
+      status: null,
+      timer: null,
+      nextRunAt: null,
+      inFlight: null,
+      schedule: { state: 'verifying', reason: 'session started', nextRunAt: null }
+    };
+    siteSessions.set(site.domain, session);
+    chrome.alarms.create(TAB_SESSION_ALARM, { periodInMinutes: 0.5 });
+  }
+  // Tokens are bound to the URL of the page that most recently navigated
+  session.site = site;
+  session.url = url;
+
+  if (session.tabIds.has(tabId)) {
+    return;
+  }
+  session.tabIds.add(tabId);
+  tabSessionDomains.set(tabId, site.domain);
+  sendToTab(tabId, 'NAVIGATION_CHANGE', { inStore: true });
+  if (created) {
+    runSessionVerification(session, 'session started');
+  } else if (session.status) {
+    applySessionStatus(session, tabId);
+  }
+  publishTabStatus(tabId);
+  resumeSession(session, 'tab joined');
+}
+
+async function leaveSiteSession(tabId) {
+  const domain = tabSessionDomains.get(tabId);
+  if (!domain) {
+    return;
+  }
+  tabSessionDomains.delete(tabId);
+  const session = siteSessions.get(domain);
+  session.tabIds.delete(tabId);
+  if (session.tabIds.size === 0) {
+    clearTimeout(session.timer);
+    siteSessions.delete(domain);
+    if (siteSessions.size === 0) {
+      chrome.alarms.clear(TAB_SESSION_ALARM);
+    }
+  }
+  await removeTabHeaderRule(tabId).catch(() => {});
+  sendToTab(tabId, 'NAVIGATION_CHANGE', { inStore: false });
+  publishTabStatus(tabId);
+}
+
+// Verify the session's site now; callers arriving while a verification runs share it
+function runSessionVerification(session, reason, options = {}) {
+  if (!session.inFlight) {
+    clearTimeout(session.timer);
+    session.nextRunAt = null;
+    setSessionSchedule(session, { state: 'verifying', reason, nextRunAt: null });
+    recordSchedulerDecision(session.site.domain, 'verify', reason);
+    session.inFlight = verifySession(session, options).finally(() => {
+      session.inFlight = null;
+    });
+  }
+  return session.inFlight;
+}
+
+function setSessionSchedule(session, schedule) {
+  session.schedule = schedule;
+  session.tabIds.forEach(tabId => publishTabStatus(tabId));
+}
+
+// Why the session shouldn't refresh now, or null
+function getSessionPauseReason(session) {
+  if (SCHEDULER_POLICY.pauseWhenIdle && deviceIdleState !== 'active') {
+    return `device ${deviceIdleState}`;
+  }
+  if (SCHEDULER_POLICY.pauseWhenHidden && [...session.tabIds].every(tabId => hiddenTabIds.has(tabId))) {
+    return 'all tabs hidden';
+  }
+  return null;
+}
+
+// A refresh that fell due runs unless the session should pause; a paused session keeps its last
+// status (its token may expire meanwhile) until it is resumed
+function runScheduledVerification(session, reason) {
+  const pauseReason = getSessionPauseReason(session);
+  if (!pauseReason) {
+    runSessionVerification(session, reason);
+    return;
+  }
+  session.nextRunAt = null;
+  setSessionSchedule(session, { state: 'paused', reason: pauseReason, nextRunAt: null });
+  recordSchedulerDecision(session.site.domain, 'pause', pauseReason);
+}
+
+// Verify a paused session right away once nothing keeps it paused
+function resumeSession(session, reason) {
+  if (session.schedule.state === 'paused' && !getSessionPauseReason(session)) {
+    runSessionVerification(session, reason);
+  }
+}
+
+function scheduleSessionVerification(session, delay, reason) {
+  session.nextRunAt = Date.now() + delay;
+  session.timer = setTimeout(() => runScheduledVerification(session, `${reason} due`), delay);
+  session.schedule = { state: 'scheduled', reason, nextRunAt: session.nextRunAt };
+  recordSchedulerDecision(session.site.domain, 'schedule', reason, { delayMs: delay });
+}
+
+// Run one verification, hand the outcome to every tab and schedule the next run from the token's expiry.
+// Statuses also carry the assessment and sensor states behind them for the popup.
+async function verifySession(session, options) {
+  let status;
+  let delay;
+  let nextReason;
+  try {
+    const { token, store = null, degraded = null, assessment = null, sensors = null } =
+      await verifySiteContext(session.url, options);
+    if (degraded) {
+      // Backend unreachable: the last token stays usable through the grace window
+      status = {
+        status: 'degraded',
+        token,
+        store,
+        reason: degraded.reason,
+        graceUntil: degraded.graceUntil,
+        assessment,
+        sensors
+      };
+      delay = degraded.retryAfterMs || TOKEN_DEGRADED_RETRY_MS;
+      nextReason = 'backend retry';
+    } else if (!isTokenExpired(token)) {
+      status = { status: 'active', token, store, assessment, sensors };
+      // Refresh ahead of the token's real expiry
+      delay = computeRefreshDelay(token);
+      nextReason = 'token refresh';
+    } else {
+      status = { status: 'failed', token: null, reason: 'No valid token issued' };
+      delay = TOKEN_FALLBACK_REFRESH_MS;
+      nextReason = 'retry after failure';
+    }
+  } catch (error) {
+    console.error('Context verification failed:', error.message);
+    status = {
+      // The shopper can still get a token with a store code (step-up.js)
+      status: error.code === 'step_up_required' ? 'step_up_required' : 'failed',
+      token: null,
+      consistencyScore: error.assessment ? error.assessment.score : 0,
+      reason: error.message,
+      store: error.store || null,
+      assessment: error.assessment || null,
+      sensors: error.sensors || null
+    };
+    delay = TOKEN_FALLBACK_REFRESH_MS;
+    nextReason = 'retry after failure';
+  }
+
+  // Every tab may have left while the verification ran
+  if (siteSessions.get(session.site.domain) !== session) {
+    return status;
+  }
+  session.status = status;
+  scheduleSessionVerification(session, delay, nextReason);
+  await Promise.all([...session.tabIds].map(tabId => applySessionStatus(session, tabId)));
+  return status;
+}
+
+// Attach the session's token to a tab's API requests and tell its content script
+async function applySessionStatus(session, tabId) {
+  const { status, token = null, consistencyScore = 0, reason = null, graceUntil = null, store = null } = session.status;
+  if (token) {
+    await setTabHeaderRule(tabId, session.site, token, graceUntil || getTokenExpiry(token)).catch(error => {
+      console.error(`Failed to set header rule for tab ${tabId}:`, error);
+    });
+  } else {
+    await removeTabHeaderRule(tabId).catch(() => {});
+  }
+  sendToTab(tabId, 'CONTEXT_STATUS', { status, token, consistencyScore, reason, graceUntil, store });
+  publishTabStatus(tabId);
+}
+
+// Whether a tab is in a session, the session's latest status and when it verifies next
+function getTabSessionStatus(tabId) {
+  const session = siteSessions.get(tabSessionDomains.get(tabId));
+  return {
+    inStore: Boolean(session),
+    status: session ? session.status : null,
+    schedule: session ? session.schedule : null
+  };
+}
+
+// Verify a tab's site now (for the page SDK's requestVerification, or the popup's re-verify with
+// reuseToken false); null if the tab has no session
+async function verifyTabSessionNow(tabId, reason, options = {}) {
+  const session = siteSessions.get(tabSessionDomains.get(tabId));
+  if (!session) {
+    return null;
+  }
+  if (options.reuseToken === false) {
+    // A verification already running may have reused the token
+    await session.inFlight;
+  }
+  await runSessionVerification(session, reason, options);
+  return session.status;
+}
+
+// Before a guarded API call from a tab: a paused session, or one whose token is due for refresh,
+// verifies now. While the current token is still valid the call is signed with it right away;
+// otherwise it waits up to guardedCallWaitMs for the new one.
+async function ensureTabSessionToken(tabId) {
+  const session = siteSessions.get(tabSessionDomains.get(tabId));
+  if (!session) {
+    return;
+  }
+  const token = session.status && session.status.token;
+  if (session.schedule.state !== 'paused' && !(token && isTokenDueForRefresh(token))) {
+    return;
+  }
+  const verification = runSessionVerification(session, 'guarded API call');
+  if (token && !isTokenExpired(token)) {
+    return;
+  }
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(resolve, SCHEDULER_POLICY.guardedCallWaitMs);
+  });
+  await Promise.race([verification, timeout]);
+  clearTimeout(timer);
+}
+
+// A tab's page was shown or hidden; showing it resumes its session if that was paused
+function setTabVisibility(tabId, visible) {
+  if (visible) {
+    hiddenTabIds.delete(tabId);
+  } else {
+    hiddenTabIds.add(tabId);
+  }
+  const session = siteSessions.get(tabSessionDomains.get(tabId));
+  if (session && visible) {
+    resumeSession(session, 'tab visible again');
+  }
+}
+
+// The scheduler's state and recent decisions, for tuning SCHEDULER_POLICY
+function getSchedulerDiagnostics() {
+  return {
+    idleState: deviceIdleState,
+    sessions: [...siteSessions.values()].map(session => ({
+      site: session.site.domain,
+      tabIds: [...session.tabIds],
+      hiddenTabIds: [...session.tabIds].filter(tabId => hiddenTabIds.has(tabId)),
+      status: session.status ? session.status.status : null,
+      schedule: session.schedule
+    })),
+    decisions: schedulerDecisions.slice()
+  };
+}
+
+// Verify a site's session now, e.g. once a step-up token is cached; null if no tab is on the site
+async function verifySiteSessionNow(domain) {
+  const session = siteSessions.get(domain);
+  if (!session) {
+    return null;
+  }
+  // A verification already running started before the token was cached
+  await session.inFlight;
+  await runSessionVerification(session, 'step-up completed');
+  return session.status;
+}
+
+// A content script that just loaded asks for its tab's state. Navigation events may have been
+// missed (the worker was suspended, or the tab was opened before the extension started).
+async function describeTabSession(tab) {
+  await updateTabSession(tab.id, tab.url);
+  return getTabSessionStatus(tab.id);
+}
+
+// Rebuild sessions from the open tabs, e.g. after the worker restarted or the registry changed
+async function syncTabSessions() {
+  const tabs = await chrome.tabs.query({});
+  const urls = new Map(tabs.filter(tab => tab.url).map(tab => [tab.id, tab.url]));
+  for (const tabId of [...tabSessionDomains.keys()]) {
+    if (!urls.has(tabId)) {
+      await leaveSiteSession(tabId);
+    }
+  }
+  for (const [tabId, url] of urls) {
+    await updateTabSession(tabId, url);
+  }
+}
+
+function resyncTabSessions() {
+  syncTabSessions().catch(error => {
+    console.error('Failed to sync tab sessions:', error);
+  });
+}
+
+function handleTabNavigation(details) {
+  if (details.frameId !== 0) {
+    return;
+  }
+  updateTabSession(details.tabId, details.url).catch(error => {
+    console.error(`Failed to update session for tab ${details.tabId}:`, error);
+  });
+}
+
+// Full loads, plus history API and fragment route changes in single-page apps
+chrome.webNavigation.onCommitted.addListener(handleTabNavigation);
+chrome.webNavigation.onHistoryStateUpdated.addListener(handleTabNavigation);
+chrome.webNavigation.onReferenceFragmentUpdated.addListener(handleTabNavigation);
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  hiddenTabIds.delete(tabId);
+  leaveSiteSession(tabId).catch(() => {});
+});
+
+// Idle and locked devices don't refresh; becoming active again resumes paused sessions
+chrome.idle.setDetectionInterval(SCHEDULER_POLICY.idleDetectionSeconds);
+chrome.idle.queryState(SCHEDULER_POLICY.idleDetectionSeconds).then(state => {
+  deviceIdleState = state;
+});
+chrome.idle.onStateChanged.addListener(state => {
+  deviceIdleState = state;
+  recordSchedulerDecision(null, 'idle_state', state);
+  if (state === 'active') {
+    siteSessions.forEach(session => resumeSession(session, 'device active again'));
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'managed' || (areaName === 'sync' && changes.userSites)) {
+    resyncTabSessions();
+  }
+});
+chrome.permissions.onAdded.addListener(resyncTabSessions);
+chrome.permissions.onRemoved.addListener(resyncTabSessions);
+
+// Timers don't survive a suspended worker; the alarm wakes it and catches up on overdue sessions
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === TAB_SESSION_ALARM) {
+    siteSessions.forEach(session => {
+      if (session.nextRunAt !== null && session.nextRunAt <= Date.now()) {
+        runScheduledVerification(session, 'overdue refresh');
+      }
+    });
+  }
+});
+
+resyncTabSessions();
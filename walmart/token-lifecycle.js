@@ -0,0 +1,60 @@
+// Token lifecycle helpers shared by the background service worker and content script
+
+// Refresh this long before a token expires, plus up to TOKEN_REFRESH_JITTER_MS of random jitter
+const TOKEN_REFRESH_LEAD_MS = 5000;
+const TOKEN_REFRESH_JITTER_MS = 2000;
+const TOKEN_MIN_REFRESH_DELAY_MS = 1000;
+
+// Used when a token carries no expiry and after failed verifications
+const TOKEN_FALLBACK_REFRESH_MS = 25000;
+
+// Retry delay while running degraded on an offline-grace token, unless the backend asked for longer
+const TOKEN_DEGRADED_RETRY_MS = 5000;
+
+// Decode the payload of a JWT without verifying it
+function decodeJwtPayload(jwt) {
+  const parts = typeof jwt === 'string' ? jwt.split('.') : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+  try {
+    const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Get a token's expiry in ms from `expiresAt` or the JWT `exp` claim
+function getTokenExpiry(token) {
+  if (!token) {
+    return null;
+  }
+  if (typeof token.expiresAt === 'number') {
+    return token.expiresAt;
+  }
+  const payload = decodeJwtPayload(token.token);
+  return payload && typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+}
+
+// Tokens without a known expiry are treated as expired
+function isTokenExpired(token, now = Date.now()) {
+  const expiry = getTokenExpiry(token);
+  return expiry === null || expiry <= now;
+}
+
+// Whether a token is close enough to expiry that it should be replaced rather than reused
+function isTokenDueForRefresh(token, now = Date.now()) {
+  const expiry = getTokenExpiry(token);
+  return expiry === null || expiry - now <= TOKEN_REFRESH_LEAD_MS;
+}
+
+// Delay until a token should be refreshed, jittered so tabs don't refresh in lockstep
+function computeRefreshDelay(token, now = Date.now()) {
+  const expiry = getTokenExpiry(token);
+  if (expiry === null) {
+    return TOKEN_FALLBACK_REFRESH_MS;
+  }
+  const jitter = Math.random() * TOKEN_REFRESH_JITTER_MS;
+  return Math.max(TOKEN_MIN_REFRESH_DELAY_MS, expiry - now - TOKEN_REFRESH_LEAD_MS - jitter);
+}
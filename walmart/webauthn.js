@@ -0,0 +1,95 @@
+// WebAuthn ceremonies for the worker's device credential (device-credential.js), run in the
+// offscreen document since service workers have no navigator.credentials. The extension is its own
+// relying party: the RP id is the extension id and the origin chrome-extension://<id>.
+
+const WEBAUTHN_TIMEOUT_MS = 60000;
+// ES256: ECDSA over P-256 with SHA-256, the same curve as the WebCrypto device key
+const WEBAUTHN_ALGORITHM_ES256 = -7;
+
+function bytesToBase64Url(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// Register a credential on the platform authenticator; resolves with its id (base64url) and its
+// public key as a hex raw P-256 point, the format device keys use
+async function createPlatformCredential({ userName }) {
+  const available = typeof PublicKeyCredential !== 'undefined'
+    && await PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable();
+  if (!available) {
+    throw new MessageError('authenticator_unavailable', 'No platform authenticator available');
+  }
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      rp: { id: chrome.runtime.id, name: 'Secure Context Attestation' },
+      user: { id: crypto.getRandomValues(new Uint8Array(16)), name: userName, displayName: userName },
+      // No attestation is checked: the worker proves possession with an assertion when linking it
+      challenge: crypto.getRandomValues(new Uint8Array(32)),
+      pubKeyCredParams: [{ type: 'public-key', alg: WEBAUTHN_ALGORITHM_ES256 }],
+      authenticatorSelection: { authenticatorAttachment: 'platform', residentKey: 'discouraged', userVerification: 'preferred' },
+      attestation: 'none',
+      timeout: WEBAUTHN_TIMEOUT_MS
+    }
+  });
+  const publicKey = await crypto.subtle.importKey('spki', credential.response.getPublicKey(),
+    { name: 'ECDSA', namedCurve: 'P-256' }, true, ['verify']);
+  const raw = new Uint8Array(await crypto.subtle.exportKey('raw', publicKey));
+  return {
+    id: credential.id,
+    publicKey: Array.from(raw).map(b => b.toString(16).padStart(2, '0')).join('')
+  };
+}
+
+// Sign a challenge (base64url) with the credential; user verification is not asked for, so token
+// refreshes don't prompt each time
+async function getPlatformAssertion({ credentialId, challenge }) {
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      rpId: chrome.runtime.id,
+      challenge: base64UrlToBytes(challenge),
+      allowCredentials: [{ type: 'public-key', id: base64UrlToBytes(credentialId) }],
+      userVerification: 'discouraged',
+      timeout: WEBAUTHN_TIMEOUT_MS
+    }
+  });
+  return {
+    credentialId: credential.id,
+    authenticatorData: bytesToBase64Url(credential.response.authenticatorData),
+    clientDataJSON: bytesToBase64Url(credential.response.clientDataJSON),
+    signature: bytesToBase64Url(credential.response.signature)
+  };
+}
+
+const WEBAUTHN_MESSAGE_HANDLERS = {
+  WEBAUTHN_CREATE: async payload => ({ credential: await createPlatformCredential(payload) }),
+  WEBAUTHN_GET: async payload => ({ assertion: await getPlatformAssertion(payload) })
+};
+
+// Answer the worker's WEBAUTHN_* requests; ceremony failures (DOMExceptions) become webauthn_failed
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handler = message && Object.hasOwn(WEBAUTHN_MESSAGE_HANDLERS, message.type)
+    ? WEBAUTHN_MESSAGE_HANDLERS[message.type]
+    : null;
+  if (!handler) {
+    return false;
+  }
+  let payload;
+  try {
+    payload = validateMessage(message, getMessageSenderKind(sender));
+  } catch (error) {
+    sendResponse({ success: false, error: error.message, code: error.code });
+    return false;
+  }
+  handler(payload)
+    .then(result => sendResponse({ success: true, ...result }))
+    .catch(error => sendResponse({
+      success: false,
+      error: error instanceof MessageError ? error.message : `${error.name}: ${error.message}`,
+      code: error instanceof MessageError ? error.code : 'webauthn_failed'
+    }));
+  return true; // Respond asynchronously
+});
@@ -0,0 +1,432 @@
+// Zero-knowledge proof that a location fix lies inside a store geofence, without revealing it.
+//
+// Latitude and longitude in integer microdegrees are hidden in Pedersen commitments
+// C = x·G + r·H on P-256. For the store's bounding box on each axis the prover shows that
+// x - min and max - x both lie in [0, 2^k) with a bit-decomposition range proof: each bit gets its
+// own commitment and an OR-proof that it commits to 0 or 1, and the bit commitments sum to the
+// shifted coordinate commitment. Fiat-Shamir challenges hash a transcript that includes the device
+// public key and context hash, and the device key signs that transcript (see canonical.js),
+// binding the proof to it.
+//
+// Loaded by the background worker with importScripts and by the reference backend with require().
+
+const ZKP_PROOF_VERSION = 1;
+const ZKP_DOMAIN_TAG = 'secure-context/geofence-proof/v1';
+const ZKP_MAX_RANGE_BITS = 32;
+const ZKP_RANGE_LABELS = ['latLow', 'latHigh', 'lngLow', 'lngHigh'];
+const ZKP_METERS_PER_DEGREE = Math.PI * 6371000 / 180;
+
+// NIST P-256 domain parameters (a = -3)
+const P256 = {
+  p: 0xffffffff00000001000000000000000000000000ffffffffffffffffffffffffn,
+  n: 0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551n,
+  b: 0x5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604bn,
+  gx: 0x6b17d1f2e12c4247f8bce6e563a440f277037d812deb33a0f4a13945d898c296n,
+  gy: 0x4fe342e2fe1a7f9b8ee7eb4a7c0f9e162bce33576b315ececbb6406837bf51f5n
+};
+
+function zkpMod(a, m) {
+  const result = a % m;
+  return result < 0n ? result + m : result;
+}
+
+function zkpModPow(base, exponent, m) {
+  let result = 1n;
+  base = zkpMod(base, m);
+  while (exponent > 0n) {
+    if (exponent & 1n) {
+      result = result * base % m;
+    }
+    base = base * base % m;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+// Inverse modulo a prime
+function zkpModInverse(a, m) {
+  return zkpModPow(a, m - 2n, m);
+}
+
+// Points are Jacobian [X, Y, Z] triples; Z = 0 is the point at infinity
+const EC_INFINITY = [1n, 1n, 0n];
+const EC_G = [P256.gx, P256.gy, 1n];
+
+function ecDouble([x, y, z]) {
+  const { p } = P256;
+  if (z === 0n || y === 0n) {
+    return EC_INFINITY;
+  }
+  const delta = z * z % p;
+  const gamma = y * y % p;
+  const beta = x * gamma % p;
+  const alpha = 3n * zkpMod(x - delta, p) * (x + delta) % p;
+  const x3 = zkpMod(alpha * alpha - 8n * beta, p);
+  const z3 = zkpMod((y + z) ** 2n - gamma - delta, p);
+  const y3 = zkpMod(alpha * (4n * beta - x3) - 8n * gamma * gamma, p);
+  return [x3, y3, z3];
+}
+
+function ecAdd(a, b) {
+  const { p } = P256;
+  if (a[2] === 0n) {
+    return b;
+  }
+  if (b[2] === 0n) {
+    return a;
+  }
+  const z1z1 = a[2] * a[2] % p;
+  const z2z2 = b[2] * b[2] % p;
+  const u1 = a[0] * z2z2 % p;
+  const u2 = b[0] * z1z1 % p;
+  const s1 = a[1] * b[2] % p * z2z2 % p;
+  const s2 = b[1] * a[2] % p * z1z1 % p;
+  const h = zkpMod(u2 - u1, p);
+  const r = zkpMod(s2 - s1, p);
+  if (h === 0n) {
+    return r === 0n ? ecDouble(a) : EC_INFINITY;
+  }
+  const hh = h * h % p;
+  const hhh = h * hh % p;
+  const v = u1 * hh % p;
+  const x3 = zkpMod(r * r - hhh - 2n * v, p);
+  const y3 = zkpMod(r * (v - x3) - s1 * hhh, p);
+  const z3 = a[2] * b[2] % p * h % p;
+  return [x3, y3, z3];
+}
+
+function ecNegate([x, y, z]) {
+  return [x, zkpMod(-y, P256.p), z];
+}
+
+// a·A + b·B with a single shared doubling chain (Shamir's trick)
+function ecMultiplyPair(pointA, a, pointB, b) {
+  a = zkpMod(a, P256.n);
+  b = zkpMod(b, P256.n);
+  const both = ecAdd(pointA, pointB);
+  let result = EC_INFINITY;
+  const bits = Math.max(a.toString(2).length, b.toString(2).length);
+  for (let i = BigInt(bits - 1); i >= 0n; i--) {
+    result = ecDouble(result);
+    const bitA = (a >> i) & 1n;
+    const bitB = (b >> i) & 1n;
+    if (bitA && bitB) {
+      result = ecAdd(result, both);
+    } else if (bitA) {
+      result = ecAdd(result, pointA);
+    } else if (bitB) {
+      result = ecAdd(result, pointB);
+    }
+  }
+  return result;
+}
+
+function ecMultiply(point, scalar) {
+  return ecMultiplyPair(point, scalar, EC_INFINITY, 0n);
+}
+
+function ecToAffine([x, y, z]) {
+  const { p } = P256;
+  const zInv = zkpModInverse(z, p);
+  const zInv2 = zInv * zInv % p;
+  return { x: x * zInv2 % p, y: y * zInv2 % p * zInv % p };
+}
+
+function zkpToHex(value, bytes = 32) {
+  return value.toString(16).padStart(bytes * 2, '0');
+}
+
+// y for a given x on the curve with the requested parity, or null if x is not on the curve
+function ecLiftX(x, odd) {
+  const { p, b } = P256;
+  const rhs = zkpMod(x ** 3n - 3n * x + b, p);
+  // p ≡ 3 (mod 4), so a square root is rhs^((p + 1) / 4)
+  const y = zkpModPow(rhs, (p + 1n) / 4n, p);
+  if (y * y % p !== rhs) {
+    return null;
+  }
+  return (y & 1n) === (odd ? 1n : 0n) ? y : p - y;
+}
+
+// Compressed SEC1 hex encoding
+function ecEncode(point) {
+  if (point[2] === 0n) {
+    throw new Error('Cannot encode the point at infinity');
+  }
+  const { x, y } = ecToAffine(point);
+  return `${y & 1n ? '03' : '02'}${zkpToHex(x)}`;
+}
+
+function ecDecode(hex) {
+  if (typeof hex !== 'string' || !/^0[23][0-9a-f]{64}$/.test(hex)) {
+    throw new Error('Malformed point');
+  }
+  const x = BigInt(`0x${hex.slice(2)}`);
+  const y = x < P256.p ? ecLiftX(x, hex.startsWith('03')) : null;
+  if (y === null) {
+    throw new Error('Point is not on the curve');
+  }
+  return [x, y, 1n];
+}
+
+function parseScalar(hex) {
+  if (typeof hex !== 'string' || !/^[0-9a-f]{64}$/.test(hex)) {
+    throw new Error('Malformed scalar');
+  }
+  const value = BigInt(`0x${hex}`);
+  if (value >= P256.n) {
+    throw new Error('Scalar out of range');
+  }
+  return value;
+}
+
+async function zkpSha256Hex(text) {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function hashToScalar(text) {
+  return zkpMod(BigInt(`0x${await zkpSha256Hex(text)}`), P256.n);
+}
+
+// Uniform-enough random scalar (384 random bits reduced mod n)
+function randomScalar() {
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(48));
+  const hex = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  return zkpMod(BigInt(`0x${hex}`), P256.n);
+}
+
+// Second generator H with no known discrete log relative to G: the first curve point whose
+// x-coordinate is SHA-256(tag || counter)
+let zkpGeneratorH = null;
+
+async function getGeneratorH() {
+  if (!zkpGeneratorH) {
+    zkpGeneratorH = (async () => {
+      for (let counter = 0; ; counter++) {
+        const x = zkpMod(BigInt(`0x${await zkpSha256Hex(`${ZKP_DOMAIN_TAG}/H/${counter}`)}`), P256.p);
+        const y = ecLiftX(x, false);
+        if (y !== null) {
+          return [x, y, 1n];
+        }
+      }
+    })();
+  }
+  return zkpGeneratorH;
+}
+
+// Bounding box of a store geofence in integer microdegrees; circle stores use the box around the circle
+function getGeofenceBounds(store) {
+  if (Array.isArray(store.polygon)) {
+    const lats = store.polygon.map(vertex => vertex.lat);
+    const lngs = store.polygon.map(vertex => vertex.lng);
+    return {
+      latMin: Math.floor(Math.min(...lats) * 1e6),
+      latMax: Math.ceil(Math.max(...lats) * 1e6),
+      lngMin: Math.floor(Math.min(...lngs) * 1e6),
+      lngMax: Math.ceil(Math.max(...lngs) * 1e6)
+    };
+  }
+  const dLat = store.radius / ZKP_METERS_PER_DEGREE;
+  const dLng = dLat / Math.cos(store.center.lat * Math.PI / 180);
+  return {
+    latMin: Math.floor((store.center.lat - dLat) * 1e6),
+    latMax: Math.ceil((store.center.lat + dLat) * 1e6),
+    lngMin: Math.floor((store.center.lng - dLng) * 1e6),
+    lngMax: Math.ceil((store.center.lng + dLng) * 1e6)
+  };
+}
+
+function toMicrodegrees(location) {
+  return { lat: Math.round(location.lat * 1e6), lng: Math.round(location.lng * 1e6) };
+}
+
+function isPointInBounds(point, bounds) {
+  return point.lat >= bounds.latMin && point.lat <= bounds.latMax &&
+    point.lng >= bounds.lngMin && point.lng <= bounds.lngMax;
+}
+
+// Bits needed so that [0, 2^k) covers the box on one axis
+function rangeBitsFor(min, max) {
+  return Math.max(1, (max - min).toString(2).length);
+}
+
+// Point committed to by each range: x - min for the low bound, max - x for the high bound
+function rangeTarget(commitment, bound, isLow) {
+  const shift = ecMultiply(EC_G, BigInt(bound));
+  return isLow ? ecAdd(commitment, ecNegate(shift)) : ecAdd(shift, ecNegate(commitment));
+}
+
+// Hash of everything the prover commits to before the challenges are derived
+function geofenceTranscript(proof, publicKey, contextHash) {
+  const { bounds } = proof;
+  return zkpSha256Hex([
+    ZKP_DOMAIN_TAG,
+    publicKey,
+    contextHash,
+    proof.storeId,
+    bounds.latMin, bounds.latMax, bounds.lngMin, bounds.lngMax,
+    proof.commitments.lat,
+    proof.commitments.lng,
+    ...ZKP_RANGE_LABELS.flatMap(label => proof.ranges[label].map(bit => bit.c))
+  ].join('|'));
+}
+
+function bitChallenge(transcript, label, index, a0, a1) {
+  return hashToScalar(`${transcript}|${label}|${index}|${ecEncode(a0)}|${ecEncode(a1)}`);
+}
+
+// Prove that `point` (microdegrees) lies inside `bounds` for a store, bound to a device key and
+// context hash. Returns { proof, transcript }.
+async function createGeofenceProof({ point, bounds, storeId, publicKey, contextHash }) {
+  if (!isPointInBounds(point, bounds)) {
+    throw new Error('Location is outside the store geofence');
+  }
+  const { n } = P256;
+  const h = await getGeneratorH();
+  const commit = (value, blind) => ecMultiplyPair(EC_G, value, h, blind);
+
+  const blinds = { lat: randomScalar(), lng: randomScalar() };
+  const commitments = {
+    lat: commit(BigInt(point.lat), blinds.lat),
+    lng: commit(BigInt(point.lng), blinds.lng)
+  };
+
+  // Commit to the bits of each range value; the bit blinds sum (weighted by 2^i) to the range blind
+  const ranges = {};
+  ZKP_RANGE_LABELS.forEach(label => {
+    const axis = label.startsWith('lat') ? 'lat' : 'lng';
+    const isLow = label.endsWith('Low');
+    const min = bounds[`${axis}Min`];
+    const max = bounds[`${axis}Max`];
+    const bits = rangeBitsFor(min, max);
+    const value = BigInt(isLow ? point[axis] - min : max - point[axis]);
+    const rangeBlind = isLow ? blinds[axis] : zkpMod(-blinds[axis], n);
+
+    const bitBlinds = [];
+    let blindSum = 0n;
+    for (let i = 0; i < bits - 1; i++) {
+      bitBlinds.push(randomScalar());
+      blindSum = zkpMod(blindSum + (1n << BigInt(i)) * bitBlinds[i], n);
+    }
+    bitBlinds.push(zkpMod((rangeBlind - blindSum) * zkpModInverse(1n << BigInt(bits - 1), n), n));
+
+    ranges[label] = bitBlinds.map((blind, i) => {
+      const bit = (value >> BigInt(i)) & 1n;
+      return { bit, blind, point: commit(bit, blind) };
+    });
+  });
+
+  const proof = {
+    version: ZKP_PROOF_VERSION,
+    storeId,
+    bounds: { ...bounds },
+    commitments: { lat: ecEncode(commitments.lat), lng: ecEncode(commitments.lng) },
+    ranges: {}
+  };
+  ZKP_RANGE_LABELS.forEach(label => {
+    proof.ranges[label] = ranges[label].map(bit => ({ c: ecEncode(bit.point) }));
+  });
+  const transcript = await geofenceTranscript(proof, publicKey, contextHash);
+
+  // OR-proof per bit: real proof of knowledge of the blind for the actual bit, simulated for the other
+  for (const label of ZKP_RANGE_LABELS) {
+    for (const [i, { bit, blind, point: c }] of ranges[label].entries()) {
+      const statements = [c, ecAdd(c, ecNegate(EC_G))];
+      const real = Number(bit);
+      const simulated = 1 - real;
+      const e = [0n, 0n];
+      const s = [0n, 0n];
+      const a = [];
+
+      e[simulated] = randomScalar();
+      s[simulated] = randomScalar();
+      a[simulated] = ecMultiplyPair(h, s[simulated], statements[simulated], zkpMod(-e[simulated], n));
+      const nonce = randomScalar();
+      a[real] = ecMultiply(h, nonce);
+
+      const challenge = await bitChallenge(transcript, label, i, a[0], a[1]);
+      e[real] = zkpMod(challenge - e[simulated], n);
+      s[real] = zkpMod(nonce + e[real] * blind, n);
+
+      Object.assign(proof.ranges[label][i], {
+        e0: zkpToHex(e[0]), e1: zkpToHex(e[1]), s0: zkpToHex(s[0]), s1: zkpToHex(s[1])
+      });
+    }
+  }
+
+  return { proof, transcript };
+}
+
+// Check that every bit commitment sums to the range target: Σ 2^i·C_i = target
+function checkBitDecomposition(bitPoints, target) {
+  let sum = EC_INFINITY;
+  for (let i = bitPoints.length - 1; i >= 0; i--) {
+    sum = ecAdd(ecDouble(sum), bitPoints[i]);
+  }
+  const difference = ecAdd(sum, ecNegate(target));
+  return difference[2] === 0n;
+}
+
+// Verify a geofence proof for a device key and context hash. The caller must check that
+// proof.bounds are the registered bounds for proof.storeId. Returns { valid, reason, transcript }.
+async function verifyGeofenceProof(proof, { publicKey, contextHash }) {
+  try {
+    if (!proof || proof.version !== ZKP_PROOF_VERSION || typeof proof.storeId !== 'string') {
+      return { valid: false, reason: 'unsupported_proof' };
+    }
+    const { bounds } = proof;
+    const edges = ['latMin', 'latMax', 'lngMin', 'lngMax'];
+    if (!bounds || !edges.every(edge => Number.isSafeInteger(bounds[edge])) ||
+        bounds.latMin > bounds.latMax || bounds.lngMin > bounds.lngMax) {
+      return { valid: false, reason: 'invalid_bounds' };
+    }
+
+    const { n } = P256;
+    const h = await getGeneratorH();
+    const commitments = { lat: ecDecode(proof.commitments.lat), lng: ecDecode(proof.commitments.lng) };
+    const transcript = await geofenceTranscript(proof, publicKey, contextHash);
+
+    for (const label of ZKP_RANGE_LABELS) {
+      const axis = label.startsWith('lat') ? 'lat' : 'lng';
+      const isLow = label.endsWith('Low');
+      const bits = rangeBitsFor(bounds[`${axis}Min`], bounds[`${axis}Max`]);
+      const rangeProof = proof.ranges[label];
+      if (bits > ZKP_MAX_RANGE_BITS || !Array.isArray(rangeProof) || rangeProof.length !== bits) {
+        return { valid: false, reason: 'invalid_range_length' };
+      }
+
+      const bitPoints = rangeProof.map(bit => ecDecode(bit.c));
+      const target = rangeTarget(commitments[axis], bounds[isLow ? `${axis}Min` : `${axis}Max`], isLow);
+      if (!checkBitDecomposition(bitPoints, target)) {
+        return { valid: false, reason: 'range_mismatch' };
+      }
+
+      for (const [i, bit] of rangeProof.entries()) {
+        const e0 = parseScalar(bit.e0);
+        const e1 = parseScalar(bit.e1);
+        const s0 = parseScalar(bit.s0);
+        const s1 = parseScalar(bit.s1);
+        const c = bitPoints[i];
+        const a0 = ecMultiplyPair(h, s0, c, zkpMod(-e0, n));
+        const a1 = ecMultiplyPair(h, s1, ecAdd(c, ecNegate(EC_G)), zkpMod(-e1, n));
+        if (zkpMod(e0 + e1, n) !== await bitChallenge(transcript, label, i, a0, a1)) {
+          return { valid: false, reason: 'invalid_bit_proof' };
+        }
+      }
+    }
+    return { valid: true, reason: null, transcript };
+  } catch (error) {
+    return { valid: false, reason: 'malformed_proof' };
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    getGeofenceBounds,
+    toMicrodegrees,
+    isPointInBounds,
+    createGeofenceProof,
+    verifyGeofenceProof
+  };
+}